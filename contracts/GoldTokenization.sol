@@ -3,15 +3,21 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title GoldTokenization
  * @dev Contract for tokenizing physical gold holdings
  * Each physical gold container is represented on the blockchain
  * 10 grams of gold = 1 digital token
+ * Grams and tokens are fixed-point amounts with 18 decimals (1e18 = 1 gram or 1 token)
+ * The ledger is also exposed as an ERC-20 token: every container belongs to a holder address
+ * (the contract itself, as custodian, until one is assigned) and an address's balance is the
+ * sum of the tokens in its containers
  */
-contract GoldTokenization is AccessControl, ReentrancyGuard {
+contract GoldTokenization is AccessControl, ReentrancyGuard, IERC20Metadata {
     using Counters for Counters.Counter;
 
     // Role definitions
@@ -24,6 +30,9 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
     // Conversion rate: 10 grams = 1 token
     uint256 public constant GRAMS_PER_TOKEN = 10;
 
+    // Decimals of gram and token amounts
+    uint8 public constant DECIMALS = 18;
+
     // Container struct
     struct Container {
         string tagId;
@@ -44,10 +53,41 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         bool exists;
     }
 
+    // Proof-of-reserve attestation of a signed vault audit
+    struct Attestation {
+        address auditor;
+        uint256 auditedGrams;
+        uint256 supplyGrams;
+        uint256 timestamp;
+    }
+
     // Mappings
     mapping(string => Container) private containers;
     mapping(bytes32 => Group) private groups;
     mapping(string => string[]) private containerHistory;
+    // RFID => tag ID of the container it is bound to
+    mapping(string => string) private rfidBindings;
+    // keccak256 of a tag ID => tag ID, to recover indexed tag IDs of calls that carry none (ERC-20 transfers)
+    mapping(bytes32 => string) private tagIdsByHash;
+
+    // ERC-20 view of the ledger. A container without a holder is held by the contract (custody).
+    mapping(string => address) private containerHolders;
+    // Containers of each holder other than custody; ERC-20 transfers pay into the first one
+    mapping(address => string[]) private holderContainers;
+    // Tag ID => position in its holder's holderContainers list, plus one
+    mapping(string => uint256) private holderContainerIndex;
+    mapping(address => uint256) private _balances;
+    mapping(address => mapping(address => uint256)) private _allowances;
+    uint256 private _totalSupply;
+
+    // Redemption IDs already burned, so a redemption can't be paid out twice
+    mapping(bytes32 => bool) private redemptions;
+
+    // Vault audit hash => attestation
+    mapping(bytes32 => Attestation) private attestations;
+
+    // Merkle root of container balances => time it was anchored
+    mapping(bytes32 => uint256) private balanceRoots;
     
     // Events with indexed parameters for efficient filtering
     event ContainerCreated(
@@ -68,6 +108,56 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         uint256 timestamp
     );
 
+    // Emitted after the TokensTransferred event of every leg of a batch transfer
+    event TokensBatchTransferred(
+        string indexed fromTagId,
+        uint256 legs,
+        uint256 tokens,
+        uint256 grams,
+        uint256 timestamp
+    );
+
+    event ContainerRfidUpdated(
+        string indexed tagId,
+        string previousRfid,
+        string rfid,
+        uint256 timestamp
+    );
+
+    // Tokens burned for gold withdrawn from the vault
+    event TokensRedeemed(
+        string indexed tagId,
+        bytes32 indexed redemptionId,
+        uint256 tokens,
+        uint256 grams,
+        uint256 timestamp
+    );
+
+    // A signed vault audit compared against the token supply at the time it was recorded
+    event ReservesAttested(
+        bytes32 indexed auditHash,
+        address indexed auditor,
+        uint256 auditedGrams,
+        uint256 supplyGrams,
+        uint256 timestamp
+    );
+
+    // A snapshot of every container's balance, committed as a Merkle root
+    event BalanceRootAnchored(
+        bytes32 indexed root,
+        uint256 containerCount,
+        uint256 totalGrams,
+        uint256 totalTokens,
+        uint256 timestamp
+    );
+
+    event ContainerHolderChanged(
+        string indexed tagId,
+        address indexed previousHolder,
+        address indexed holder,
+        uint256 timestamp
+    );
+
     event GroupCreated(
         bytes32 indexed groupHash,
         string name,
@@ -75,6 +165,13 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event ContainerAssignedToGroup(
+        string indexed tagId,
+        bytes32 indexed previousGroupHash,
+        bytes32 indexed groupHash,
+        uint256 timestamp
+    );
+
     // Custom errors for gas optimization
     error ContainerAlreadyExists();
     error ContainerDoesNotExist();
@@ -84,6 +181,9 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
     error GroupDoesNotExist();
     error Unauthorized();
     error InvalidOperation();
+    error RfidAlreadyBound();
+    error HolderHasNoContainers();
+    error InsufficientAllowance();
 
     /**
      * @dev Constructor sets up admin role
@@ -101,7 +201,7 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
      * @dev Create a new container
      * @param tagId Unique identifier for the container
      * @param rfid RFID tag of the container
-     * @param grams Amount of gold in grams
+     * @param grams Amount of gold in grams, with 18 decimals
      * @param groupHash Optional group hash for batch management
      */
     function createContainer(
@@ -110,13 +210,57 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         uint256 grams,
         bytes32 groupHash
     ) external onlyRole(MINTER_ROLE) {
+        _createContainer(tagId, rfid, grams, groupHash);
+    }
+
+    /**
+     * @dev Create several containers in one transaction; reverts if any of them fails
+     * @param tagIds Unique identifiers for the containers
+     * @param rfids RFID tags of the containers
+     * @param grams Amounts of gold in grams, with 18 decimals
+     * @param groupHashes Optional group hashes (zero for none)
+     */
+    function createContainers(
+        string[] calldata tagIds,
+        string[] calldata rfids,
+        uint256[] calldata grams,
+        bytes32[] calldata groupHashes
+    ) external onlyRole(MINTER_ROLE) {
+        // Check that there is something to create and every container has all its fields
+        if (
+            tagIds.length == 0 ||
+            rfids.length != tagIds.length ||
+            grams.length != tagIds.length ||
+            groupHashes.length != tagIds.length
+        ) {
+            revert InvalidOperation();
+        }
+
+        for (uint256 i = 0; i < tagIds.length; i++) {
+            _createContainer(tagIds[i], rfids[i], grams[i], groupHashes[i]);
+        }
+    }
+
+    /**
+     * @dev Create a container and emit ContainerCreated
+     * @param tagId Unique identifier for the container
+     * @param rfid RFID tag of the container
+     * @param grams Amount of gold in grams, with 18 decimals
+     * @param groupHash Optional group hash for batch management
+     */
+    function _createContainer(
+        string calldata tagId,
+        string calldata rfid,
+        uint256 grams,
+        bytes32 groupHash
+    ) private {
         // Check if container already exists
         if (containers[tagId].exists) {
             revert ContainerAlreadyExists();
         }
 
-        // Check if grams is valid
-        if (grams == 0) {
+        // Check if grams is valid and converts to tokens exactly
+        if (grams == 0 || grams % GRAMS_PER_TOKEN != 0) {
             revert InvalidAmount();
         }
 
@@ -125,6 +269,14 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
             revert GroupDoesNotExist();
         }
 
+        // Bind the RFID, which must not belong to another container
+        if (bytes(rfid).length > 0) {
+            if (bytes(rfidBindings[rfid]).length > 0) {
+                revert RfidAlreadyBound();
+            }
+            rfidBindings[rfid] = tagId;
+        }
+
         // Calculate tokens (10 grams = 1 token)
         uint256 tokens = grams / GRAMS_PER_TOKEN;
 
@@ -145,8 +297,13 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
 
         // Add to container history
         containerHistory[tagId].push(tagId);
+        tagIdsByHash[keccak256(bytes(tagId))] = tagId;
 
-        // Emit event
+        // New tokens are minted into custody
+        _totalSupply += tokens;
+        _balances[address(this)] += tokens;
+
+        // Emit events
         emit ContainerCreated(
             tagId,
             rfid,
@@ -156,6 +313,7 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
             groupHash,
             block.timestamp
         );
+        emit Transfer(address(0), address(this), tokens);
     }
 
     /**
@@ -163,13 +321,200 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
      * If toTagId doesn't exist, a new container is created
      * @param fromTagId Source container tag ID
      * @param toTagId Destination container tag ID
-     * @param tokenAmount Amount of tokens to transfer
+     * @param tokenAmount Amount of tokens to transfer, with 18 decimals
      */
     function transferTokens(
         string calldata fromTagId,
         string calldata toTagId,
         uint256 tokenAmount
     ) external nonReentrant onlyRole(MINTER_ROLE) {
+        _transferTokens(fromTagId, toTagId, tokenAmount);
+    }
+
+    /**
+     * @dev Split tokens from one container across several destinations; reverts if any leg fails
+     * @param fromTagId Source container tag ID
+     * @param toTagIds Destination container tag IDs
+     * @param tokenAmounts Amount of tokens (18 decimals) to transfer to each destination
+     */
+    function batchTransferTokens(
+        string calldata fromTagId,
+        string[] calldata toTagIds,
+        uint256[] calldata tokenAmounts
+    ) external nonReentrant onlyRole(MINTER_ROLE) {
+        // Check that there is something to transfer and every destination has an amount
+        if (toTagIds.length == 0 || tokenAmounts.length != toTagIds.length) {
+            revert InvalidOperation();
+        }
+
+        uint256 totalTokens = 0;
+        for (uint256 i = 0; i < toTagIds.length; i++) {
+            _transferTokens(fromTagId, toTagIds[i], tokenAmounts[i]);
+            totalTokens += tokenAmounts[i];
+        }
+
+        // Emit event
+        emit TokensBatchTransferred(
+            fromTagId,
+            toTagIds.length,
+            totalTokens,
+            totalTokens * GRAMS_PER_TOKEN,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Burn tokens from a container for gold taken out of the vault
+     * @param tagId Container the gold is taken from
+     * @param tokenAmount Amount of tokens to burn, with 18 decimals
+     * @param redemptionId Off-chain redemption reference; each can only be redeemed once
+     */
+    function redeemTokens(
+        string calldata tagId,
+        uint256 tokenAmount,
+        bytes32 redemptionId
+    ) external nonReentrant onlyRole(MINTER_ROLE) {
+        // Check if container exists
+        if (!containers[tagId].exists) {
+            revert ContainerDoesNotExist();
+        }
+
+        // Check if token amount is valid
+        if (tokenAmount == 0) {
+            revert InvalidAmount();
+        }
+
+        // Check if container has enough tokens
+        if (containers[tagId].tokens < tokenAmount) {
+            revert InsufficientTokens();
+        }
+
+        // Check that the redemption is set and has not been burned yet
+        if (redemptionId == bytes32(0) || redemptions[redemptionId]) {
+            revert InvalidOperation();
+        }
+
+        // Calculate grams leaving the vault
+        uint256 grams = tokenAmount * GRAMS_PER_TOKEN;
+
+        containers[tagId].tokens -= tokenAmount;
+        containers[tagId].grams -= grams;
+        redemptions[redemptionId] = true;
+
+        // Burn from the container's holder
+        address holder = _holderOf(tagId);
+        _balances[holder] -= tokenAmount;
+        _totalSupply -= tokenAmount;
+
+        // Emit events
+        emit TokensRedeemed(
+            tagId,
+            redemptionId,
+            tokenAmount,
+            grams,
+            block.timestamp
+        );
+        emit Transfer(holder, address(0), tokenAmount);
+    }
+
+    /**
+     * @dev Record a vault audit next to the current token supply
+     * @param auditHash keccak256 of the signed audit
+     * @param auditor Address that signed the audit
+     * @param auditedGrams Gold counted in the vault, with 18 decimals
+     */
+    function attestReserves(
+        bytes32 auditHash,
+        address auditor,
+        uint256 auditedGrams
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        // Check that the audit is set and has not been recorded yet
+        if (auditHash == bytes32(0) || auditor == address(0) || attestations[auditHash].timestamp != 0) {
+            revert InvalidOperation();
+        }
+
+        // Supply in grams that the vault should hold
+        uint256 supplyGrams = _totalSupply * GRAMS_PER_TOKEN;
+
+        attestations[auditHash] = Attestation({
+            auditor: auditor,
+            auditedGrams: auditedGrams,
+            supplyGrams: supplyGrams,
+            timestamp: block.timestamp
+        });
+
+        // Emit event
+        emit ReservesAttested(
+            auditHash,
+            auditor,
+            auditedGrams,
+            supplyGrams,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Anchor the Merkle root of a snapshot of container balances
+     * @param root Merkle root over (tagId, grams, tokens) of every container
+     * @param containerCount Number of containers in the snapshot
+     * @param totalGrams Sum of the containers' grams, with 18 decimals
+     * @param totalTokens Sum of the containers' tokens, with 18 decimals
+     */
+    function anchorBalanceRoot(
+        bytes32 root,
+        uint256 containerCount,
+        uint256 totalGrams,
+        uint256 totalTokens
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        // Check that the root is set and has not been anchored yet
+        if (root == bytes32(0) || balanceRoots[root] != 0) {
+            revert InvalidOperation();
+        }
+
+        balanceRoots[root] = block.timestamp;
+
+        // Emit event
+        emit BalanceRootAnchored(
+            root,
+            containerCount,
+            totalGrams,
+            totalTokens,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Move tokens between containers and emit the ERC-20 Transfer between their holders
+     * @param fromTagId Source container tag ID
+     * @param toTagId Destination container tag ID
+     * @param tokenAmount Amount of tokens to transfer, with 18 decimals
+     */
+    function _transferTokens(
+        string calldata fromTagId,
+        string calldata toTagId,
+        uint256 tokenAmount
+    ) private {
+        _moveTokens(fromTagId, toTagId, tokenAmount);
+
+        address fromHolder = _holderOf(fromTagId);
+        address toHolder = _holderOf(toTagId);
+        if (fromHolder != toHolder) {
+            emit Transfer(fromHolder, toHolder, tokenAmount);
+        }
+    }
+
+    /**
+     * @dev Move tokens between containers, creating the destination if needed, and emit TokensTransferred.
+     * Updates the holders' balances but leaves the ERC-20 Transfer event to the caller.
+     * @param fromTagId Source container tag ID
+     * @param toTagId Destination container tag ID
+     * @param tokenAmount Amount of tokens to transfer, with 18 decimals
+     */
+    function _moveTokens(
+        string memory fromTagId,
+        string memory toTagId,
+        uint256 tokenAmount
+    ) private {
         // Check if source container exists
         if (!containers[fromTagId].exists) {
             revert ContainerDoesNotExist();
@@ -216,6 +561,15 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
 
             // Initialize container history
             containerHistory[toTagId] = [fromTagId];
+            tagIdsByHash[keccak256(bytes(toTagId))] = toTagId;
+        }
+
+        // Move the balance if the containers belong to different holders (new containers are in custody)
+        address fromHolder = _holderOf(fromTagId);
+        address toHolder = _holderOf(toTagId);
+        if (fromHolder != toHolder) {
+            _balances[fromHolder] -= tokenAmount;
+            _balances[toHolder] += tokenAmount;
         }
 
         // Emit event
@@ -231,12 +585,12 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
     /**
      * @dev Create a new group for batch management
      * @param groupHash Unique hash for the group
-     * @param name Name of the group
+     * @param groupName Name of the group
      * @param description Description of the group
      */
     function createGroup(
         bytes32 groupHash,
-        string calldata name,
+        string calldata groupName,
         string calldata description
     ) external onlyRole(GROUP_MANAGER_ROLE) {
         // Check if group already exists
@@ -247,7 +601,7 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         // Create group
         groups[groupHash] = Group({
             groupHash: groupHash,
-            name: name,
+            name: groupName,
             description: description,
             createdAt: block.timestamp,
             exists: true
@@ -256,12 +610,104 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         // Emit event
         emit GroupCreated(
             groupHash,
-            name,
+            groupName,
             description,
             block.timestamp
         );
     }
 
+    /**
+     * @dev Bind an RFID to a container, replacing its current one
+     * @param tagId Container tag ID
+     * @param rfid New RFID tag of the container
+     */
+    function setContainerRfid(
+        string calldata tagId,
+        string calldata rfid
+    ) external onlyRole(MINTER_ROLE) {
+        // Check if container exists
+        if (!containers[tagId].exists) {
+            revert ContainerDoesNotExist();
+        }
+
+        string memory previousRfid = containers[tagId].rfid;
+
+        // Check that the RFID is set and actually changes
+        if (bytes(rfid).length == 0 || keccak256(bytes(rfid)) == keccak256(bytes(previousRfid))) {
+            revert InvalidOperation();
+        }
+
+        // Check that no other container holds the RFID
+        if (bytes(rfidBindings[rfid]).length > 0) {
+            revert RfidAlreadyBound();
+        }
+
+        // Release the previous RFID so it can be bound elsewhere
+        if (bytes(previousRfid).length > 0) {
+            delete rfidBindings[previousRfid];
+        }
+
+        rfidBindings[rfid] = tagId;
+        containers[tagId].rfid = rfid;
+
+        // Emit event
+        emit ContainerRfidUpdated(
+            tagId,
+            previousRfid,
+            rfid,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Assign a container to a holder address, moving its tokens to the holder's ERC-20 balance
+     * @param tagId Container tag ID
+     * @param holder New holder, or the zero address to return the container to custody
+     */
+    function setContainerHolder(
+        string calldata tagId,
+        address holder
+    ) external onlyRole(MINTER_ROLE) {
+        // Check if container exists
+        if (!containers[tagId].exists) {
+            revert ContainerDoesNotExist();
+        }
+
+        if (holder == address(0)) {
+            holder = address(this);
+        }
+
+        address previousHolder = _holderOf(tagId);
+
+        // Check that the holder actually changes
+        if (holder == previousHolder) {
+            revert InvalidOperation();
+        }
+
+        if (previousHolder != address(this)) {
+            _removeHolderContainer(previousHolder, tagId);
+        }
+        if (holder != address(this)) {
+            _addHolderContainer(holder, tagId);
+            containerHolders[tagId] = holder;
+        } else {
+            delete containerHolders[tagId];
+        }
+
+        uint256 tokens = containers[tagId].tokens;
+        _balances[previousHolder] -= tokens;
+        _balances[holder] += tokens;
+
+        // Emit events
+        emit ContainerHolderChanged(
+            tagId,
+            previousHolder,
+            holder,
+            block.timestamp
+        );
+        emit Transfer(previousHolder, holder, tokens);
+    }
+
     /**
      * @dev Assign container to a group
      * @param tagId Container tag ID
@@ -271,9 +717,26 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
         string calldata tagId,
         bytes32 groupHash
     ) external onlyRole(GROUP_MANAGER_ROLE) {
-        // Check if container exists
-        if (!containers[tagId].exists) {
-            revert ContainerDoesNotExist();
+        // Check if group exists
+        if (!groups[groupHash].exists) {
+            revert GroupDoesNotExist();
+        }
+
+        _assignContainerToGroup(tagId, groupHash);
+    }
+
+    /**
+     * @dev Assign several containers to a group in one transaction
+     * @param tagIds Container tag IDs
+     * @param groupHash Group hash
+     */
+    function assignContainersToGroup(
+        string[] calldata tagIds,
+        bytes32 groupHash
+    ) external onlyRole(GROUP_MANAGER_ROLE) {
+        // Check if there is anything to assign
+        if (tagIds.length == 0) {
+            revert InvalidOperation();
         }
 
         // Check if group exists
@@ -281,8 +744,207 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
             revert GroupDoesNotExist();
         }
 
+        for (uint256 i = 0; i < tagIds.length; i++) {
+            _assignContainerToGroup(tagIds[i], groupHash);
+        }
+    }
+
+    /**
+     * @dev Update a container's group hash and emit ContainerAssignedToGroup
+     * @param tagId Container tag ID
+     * @param groupHash Group hash (must exist)
+     */
+    function _assignContainerToGroup(string calldata tagId, bytes32 groupHash) private {
+        // Check if container exists
+        if (!containers[tagId].exists) {
+            revert ContainerDoesNotExist();
+        }
+
+        bytes32 previousGroupHash = containers[tagId].groupHash;
+
         // Update container's group hash
         containers[tagId].groupHash = groupHash;
+
+        // Emit event
+        emit ContainerAssignedToGroup(
+            tagId,
+            previousGroupHash,
+            groupHash,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Holder of a container; the contract itself for containers in custody
+     * @param tagId Container tag ID
+     */
+    function _holderOf(string memory tagId) private view returns (address) {
+        address holder = containerHolders[tagId];
+        return holder == address(0) ? address(this) : holder;
+    }
+
+    /**
+     * @dev Append a container to its holder's list
+     * @param holder Holder address (not custody)
+     * @param tagId Container tag ID
+     */
+    function _addHolderContainer(address holder, string calldata tagId) private {
+        holderContainers[holder].push(tagId);
+        holderContainerIndex[tagId] = holderContainers[holder].length;
+    }
+
+    /**
+     * @dev Remove a container from its holder's list by swapping in the last entry
+     * @param holder Holder address (not custody)
+     * @param tagId Container tag ID
+     */
+    function _removeHolderContainer(address holder, string calldata tagId) private {
+        string[] storage tagIds = holderContainers[holder];
+        uint256 index = holderContainerIndex[tagId] - 1;
+        uint256 lastIndex = tagIds.length - 1;
+
+        if (index != lastIndex) {
+            string memory lastTagId = tagIds[lastIndex];
+            tagIds[index] = lastTagId;
+            holderContainerIndex[lastTagId] = index + 1;
+        }
+
+        tagIds.pop();
+        delete holderContainerIndex[tagId];
+    }
+
+    /**
+     * @dev ERC-20 token name
+     */
+    function name() external pure override returns (string memory) {
+        return "Tokenized Gold";
+    }
+
+    /**
+     * @dev ERC-20 token symbol
+     */
+    function symbol() external pure override returns (string memory) {
+        return "GOLD";
+    }
+
+    /**
+     * @dev ERC-20 decimals, the same as the ledger's token amounts
+     */
+    function decimals() external pure override returns (uint8) {
+        return DECIMALS;
+    }
+
+    /**
+     * @dev Tokens in all containers
+     */
+    function totalSupply() external view override returns (uint256) {
+        return _totalSupply;
+    }
+
+    /**
+     * @dev Tokens in the containers held by an account (the contract's own balance is custody)
+     * @param account Holder address
+     */
+    function balanceOf(address account) external view override returns (uint256) {
+        return _balances[account];
+    }
+
+    /**
+     * @dev Remaining amount a spender may transfer on behalf of an owner
+     * @param owner Token holder
+     * @param spender Approved spender
+     */
+    function allowance(address owner, address spender) external view override returns (uint256) {
+        return _allowances[owner][spender];
+    }
+
+    /**
+     * @dev Allow a spender to transfer tokens on the caller's behalf
+     * @param spender Approved spender
+     * @param amount Allowance, with 18 decimals (type(uint256).max for unlimited)
+     */
+    function approve(address spender, uint256 amount) external override returns (bool) {
+        if (spender == address(0)) {
+            revert InvalidOperation();
+        }
+
+        _allowances[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    /**
+     * @dev Transfer tokens from the caller's containers to the recipient's first container
+     * @param to Recipient, which must hold at least one container
+     * @param amount Amount of tokens, with 18 decimals
+     */
+    function transfer(address to, uint256 amount) external override nonReentrant returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Transfer tokens on behalf of an owner, using up the caller's allowance
+     * @param from Token holder
+     * @param to Recipient, which must hold at least one container
+     * @param amount Amount of tokens, with 18 decimals
+     */
+    function transferFrom(address from, address to, uint256 amount) external override nonReentrant returns (bool) {
+        uint256 currentAllowance = _allowances[from][msg.sender];
+        if (currentAllowance != type(uint256).max) {
+            if (currentAllowance < amount) {
+                revert InsufficientAllowance();
+            }
+            _allowances[from][msg.sender] = currentAllowance - amount;
+            emit Approval(from, msg.sender, currentAllowance - amount);
+        }
+
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Move an ERC-20 amount through the container ledger. Tokens are taken from the sender's
+     * containers in list order and paid into the recipient's first container, with a
+     * TokensTransferred event per container debited.
+     * @param from Sender
+     * @param to Recipient
+     * @param amount Amount of tokens, with 18 decimals
+     */
+    function _transfer(address from, address to, uint256 amount) private {
+        // Tokens can only move between holders; custody is managed through setContainerHolder
+        if (to == address(0) || to == address(this)) {
+            revert InvalidOperation();
+        }
+
+        // Check if the sender holds enough tokens
+        if (_balances[from] < amount) {
+            revert InsufficientTokens();
+        }
+
+        // Check if the recipient has a container to receive the tokens
+        if (holderContainers[to].length == 0) {
+            revert HolderHasNoContainers();
+        }
+
+        if (from != to) {
+            string memory toTagId = holderContainers[to][0];
+            string[] storage fromTagIds = holderContainers[from];
+            uint256 remaining = amount;
+
+            for (uint256 i = 0; i < fromTagIds.length && remaining > 0; i++) {
+                uint256 available = containers[fromTagIds[i]].tokens;
+                if (available == 0) {
+                    continue;
+                }
+
+                uint256 leg = available < remaining ? available : remaining;
+                _moveTokens(fromTagIds[i], toTagId, leg);
+                remaining -= leg;
+            }
+        }
+
+        emit Transfer(from, to, amount);
     }
 
     /**
@@ -352,4 +1014,107 @@ contract GoldTokenization is AccessControl, ReentrancyGuard {
 
         return containerHistory[tagId];
     }
+
+    /**
+     * @dev Get the container an RFID is bound to
+     * @param rfid RFID tag
+     * @return Tag ID of the container, or an empty string if the RFID is unbound
+     */
+    function getContainerByRfid(string calldata rfid) external view returns (string memory) {
+        return rfidBindings[rfid];
+    }
+
+    /**
+     * @dev Get the holder of a container
+     * @param tagId Container tag ID
+     * @return Holder address, or the contract's address if the container is in custody
+     */
+    function getContainerHolder(string calldata tagId) external view returns (address) {
+        // Check if container exists
+        if (!containers[tagId].exists) {
+            revert ContainerDoesNotExist();
+        }
+
+        return _holderOf(tagId);
+    }
+
+    /**
+     * @dev Get the containers assigned to a holder
+     * @param holder Holder address
+     * @return Tag IDs, in the order ERC-20 transfers draw from them
+     */
+    function getHolderContainers(address holder) external view returns (string[] memory) {
+        return holderContainers[holder];
+    }
+
+    /**
+     * @dev Get a tag ID from the keccak256 hash found in indexed event topics
+     * @param tagIdHash keccak256 of the tag ID
+     * @return Tag ID, or an empty string if no container has that hash
+     */
+    function getTagIdByHash(bytes32 tagIdHash) external view returns (string memory) {
+        return tagIdsByHash[tagIdHash];
+    }
+
+    /**
+     * @dev Check whether a redemption has been burned
+     * @param redemptionId Off-chain redemption reference
+     * @return True if redeemTokens was called with this redemption ID
+     */
+    function isRedeemed(bytes32 redemptionId) external view returns (bool) {
+        return redemptions[redemptionId];
+    }
+
+    /**
+     * @dev Get a recorded vault audit
+     * @param auditHash keccak256 of the signed audit
+     * @return Auditor, audited grams, supply in grams when recorded, and timestamp (zero if not recorded)
+     */
+    function getAttestation(bytes32 auditHash) external view returns (
+        address,
+        uint256,
+        uint256,
+        uint256
+    ) {
+        Attestation memory attestation = attestations[auditHash];
+        return (
+            attestation.auditor,
+            attestation.auditedGrams,
+            attestation.supplyGrams,
+            attestation.timestamp
+        );
+    }
+
+    /**
+     * @dev Get the time a balance root was anchored
+     * @param root Merkle root of a balance snapshot
+     * @return Timestamp, zero if the root was not anchored
+     */
+    function getBalanceRoot(bytes32 root) external view returns (uint256) {
+        return balanceRoots[root];
+    }
+
+    /**
+     * @dev Check that a container balance is included in an anchored snapshot
+     * @param root Merkle root of the snapshot
+     * @param proof Sibling hashes from the leaf to the root
+     * @param tagId Container tag ID
+     * @param grams Grams of the container in the snapshot, with 18 decimals
+     * @param tokens Tokens of the container in the snapshot, with 18 decimals
+     * @return True if the root was anchored and the proof is valid
+     */
+    function verifyBalanceProof(
+        bytes32 root,
+        bytes32[] calldata proof,
+        string calldata tagId,
+        uint256 grams,
+        uint256 tokens
+    ) external view returns (bool) {
+        if (balanceRoots[root] == 0) {
+            return false;
+        }
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(tagId, grams, tokens))));
+        return MerkleProof.verifyCalldata(proof, root, leaf);
+    }
 }
@@ -29,8 +29,10 @@ async function main() {
     // Wait for the contract to be mined
     console.log("Waiting for contract to be mined...");
     await goldTokenization.deployed();
+    const deployReceipt = await goldTokenization.deployTransaction.wait();
     
     console.log("GoldTokenization deployed to:", goldTokenization.address);
+    console.log("Deployment block:", deployReceipt.blockNumber);
     
     // Save the contract address and other info to a file
     const deploymentInfo = {
@@ -38,6 +40,7 @@ async function main() {
       deploymentNetwork: hre.network.name,
       deploymentTime: new Date().toISOString(),
       transactionHash: goldTokenization.deployTransaction.hash,
+      deploymentBlock: deployReceipt.blockNumber,
       deployer: deployer.address
     };
     
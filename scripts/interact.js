@@ -20,10 +20,10 @@ async function main() {
   // Example: Create a new container
   const tagId = "GOLD-" + Date.now();
   const rfid = "RFID-" + Date.now();
-  const grams = 100; // 100 grams = 10 tokens
+  const grams = ethers.utils.parseUnits("100", 18); // 100 grams = 10 tokens, both with 18 decimals
   const groupHash = ethers.utils.formatBytes32String(""); // Empty group hash
 
-  console.log(`Creating container with tagId: ${tagId}, rfid: ${rfid}, grams: ${grams}`);
+  console.log(`Creating container with tagId: ${tagId}, rfid: ${rfid}, grams: ${ethers.utils.formatUnits(grams, 18)}`);
   
   const tx = await goldTokenization.createContainer(tagId, rfid, grams, groupHash);
   await tx.wait();
@@ -36,8 +36,8 @@ async function main() {
   console.log("Container details:");
   console.log("- Tag ID:", container[0]);
   console.log("- RFID:", container[1]);
-  console.log("- Grams:", container[2].toString());
-  console.log("- Tokens:", container[3].toString());
+  console.log("- Grams:", ethers.utils.formatUnits(container[2], 18));
+  console.log("- Tokens:", ethers.utils.formatUnits(container[3], 18));
   console.log("- Block Number:", container[4].toString());
   console.log("- Group Hash:", container[5]);
 }
@@ -14,23 +14,49 @@ const PORT = process.env.PORT || 3000;
 
 // Import services
 const eventListenerService = require('./src/services/eventListenerService');
+const jobService = require('./src/services/jobService');
+const snapshotService = require('./src/services/snapshotService');
+const webhookService = require('./src/services/webhookService');
+const { authenticate } = require('./src/middleware/authMiddleware');
 
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors());
-app.use(express.json());
+// Vault audits list up to 2000 bars
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Import routes
+const authRoutes = require('./src/routes/authRoutes');
 const containerRoutes = require('./src/routes/containerRoutes');
 const transactionRoutes = require('./src/routes/transactionRoutes');
 const groupRoutes = require('./src/routes/groupRoutes');
 const analyticsRoutes = require('./src/routes/analyticsRoutes');
+const reconciliationRoutes = require('./src/routes/reconciliationRoutes');
+const roleRoutes = require('./src/routes/roleRoutes');
+const jobRoutes = require('./src/routes/jobRoutes');
+const tokenRoutes = require('./src/routes/tokenRoutes');
+const redemptionRoutes = require('./src/routes/redemptionRoutes');
+const reserveRoutes = require('./src/routes/reserveRoutes');
+const snapshotRoutes = require('./src/routes/snapshotRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+
+// Every API route requires an API key; routes check roles individually
+app.use('/api', authenticate);
 
 // Use routes
+app.use('/api/auth', authRoutes);
 app.use('/api/containers', containerRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/groups', groupRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/token', tokenRoutes);
+app.use('/api/redemptions', redemptionRoutes);
+app.use('/api/reserves', reserveRoutes);
+app.use('/api/snapshots', snapshotRoutes);
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api', analyticsRoutes);
 
 // Health check endpoint
@@ -84,6 +110,15 @@ const server = app.listen(PORT, () => {
       console.error('Failed to start blockchain event listener:', error);
       console.error('The server will continue running, but blockchain events will not be processed.');
     }
+
+    // Start submitting queued contract writes
+    jobService.start();
+    
+    // Start anchoring balance snapshots every SNAPSHOT_INTERVAL ms
+    snapshotService.start();
+    
+    // Start delivering the events the listener processes to webhook subscribers
+    webhookService.start();
   } else {
     console.warn('CONTRACT_ADDRESS not set in environment variables. Blockchain event listener not started.');
     console.warn('The server will continue running, but blockchain events will not be processed.');
@@ -102,6 +137,11 @@ process.on('SIGTERM', () => {
     console.error('Error stopping blockchain event listener:', error);
   }
   
+  // Stop the job worker; unfinished jobs are resumed on the next start
+  jobService.stop();
+  snapshotService.stop();
+  webhookService.stop();
+  
   server.close(() => {
     console.log('HTTP server closed');
     prisma.$disconnect();
@@ -120,6 +160,11 @@ process.on('SIGINT', () => {
     console.error('Error stopping blockchain event listener:', error);
   }
   
+  // Stop the job worker; unfinished jobs are resumed on the next start
+  jobService.stop();
+  snapshotService.stop();
+  webhookService.stop();
+  
   server.close(() => {
     console.log('HTTP server closed');
     prisma.$disconnect();
@@ -15,8 +15,8 @@ exports.getBlockchainVisualization = async (req, res, next) => {
 		const blockchainData = {
 			totalBlocks: containers.length,
 			totalTransactions: transactions.length,
-			totalGrams: containers.reduce((sum, c) => sum + (c.grams || 0), 0),
-			totalTokens: containers.reduce((sum, c) => sum + (c.tokens || 0), 0),
+			totalGrams: web3Service.sumAmounts(containers.map((c) => c.grams)),
+			totalTokens: web3Service.sumAmounts(containers.map((c) => c.tokens)),
 			blocks: containers.map((container) => ({
 				blockNumber: container.blockNumber,
 				blockHash: container.id,
@@ -114,8 +114,8 @@ exports.getDashboardStats = async (req, res, next) => {
 		const totals = await prisma.container.aggregate({
 			_sum: { grams: true, tokens: true }
 		});
-		const totalGrams = totals._sum.grams || 0;
-		const totalTokens = totals._sum.tokens || 0;
+		const totalGrams = totals._sum.grams || '0';
+		const totalTokens = totals._sum.tokens || '0';
 
 		const recentTransactions = await prisma.transaction.findMany({
 			orderBy: { timestamp: 'desc' },
@@ -149,9 +149,9 @@ exports.getDashboardStats = async (req, res, next) => {
 					totalBlocks,
 					totalTransactions,
 					totalGroups,
-					totalGrams: Math.round(totalGrams * 100) / 100,
-					totalTokens: Math.round(totalTokens * 100) / 100,
-					averageTokensPerBlock: totalBlocks > 0 ? Math.round((totalTokens / totalBlocks) * 100) / 100 : 0
+					totalGrams,
+					totalTokens,
+					averageTokensPerBlock: totalBlocks > 0 ? Math.round((Number(totalTokens) / totalBlocks) * 100) / 100 : 0
 				},
 				recentActivity: recentTransactions,
 				largestContainers: largestContainers.map((c) => ({
@@ -162,7 +162,7 @@ exports.getDashboardStats = async (req, res, next) => {
 				})),
 				dailyVolume: dailyVolume.map((row) => ({
 					date: row.day,
-					totalTokens: Number(row.totalTokens),
+					totalTokens: row.totalTokens,
 					transactionCount: Number(row.transactionCount)
 				})),
 				systemHealth: {
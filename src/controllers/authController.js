@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const prismaService = require('../services/prismaService');
+const { hashApiKey } = require('../middleware/authMiddleware');
+
+/**
+ * Create an API key. The key is only returned in this response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, roles } = req.body;
+    
+    const key = `gt_${crypto.randomBytes(32).toString('hex')}`;
+    
+    const apiKey = await prismaService.createApiKey({
+      name,
+      keyHash: hashApiKey(key),
+      keyPrefix: key.slice(0, 10),
+      roles: [...new Set(roles)]
+    });
+    
+    res.status(201).json({
+      success: true,
+      apiKey: {
+        id: apiKey.id,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix,
+        roles: apiKey.roles,
+        createdAt: apiKey.createdAt
+      },
+      key
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List API keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await prismaService.listApiKeys();
+    
+    res.status(200).json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const apiKey = await prismaService.revokeApiKey(id);
+    
+    res.status(200).json({
+      success: true,
+      apiKey
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: true, message: 'API key not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Describe the credential used for this request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.whoAmI = (req, res) => {
+  res.status(200).json({
+    success: true,
+    auth: req.auth
+  });
+};
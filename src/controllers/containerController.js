@@ -1,8 +1,15 @@
 const web3Service = require('../services/web3Service');
 const prismaService = require('../services/prismaService');
+const jobService = require('../services/jobService');
+const importService = require('../services/importService');
+const snapshotService = require('../services/snapshotService');
+const provenanceService = require('../services/provenanceService');
+const statementService = require('../services/statementService');
+
+const { JOB_TYPES } = jobService;
 
 /**
- * Create a new container
+ * Queue the creation of a new container
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -22,26 +29,297 @@ exports.createContainer = async (req, res, next) => {
       return res.status(409).json({ error: true, message: 'Container with this tagId already exists' });
     }
     
-    // Create container on blockchain
-    const receipt = await web3Service.createContainer(tagId, rfid, grams, groupHash || '');
-    
-    // Calculate tokens (10 grams = 1 token)
-    const tokens = Math.floor(grams / 10);
+    // Check if the RFID is free; the contract binds an RFID to one container only
+    const rfidContainer = await prismaService.getContainerByRfid(rfid);
+    if (rfidContainer) {
+      return res.status(409).json({ error: true, message: `RFID is already bound to container ${rfidContainer.tagId}` });
+    }
     
-    // Create container in database
-    const container = await prismaService.createContainer({
+    // Queue the contract call; the job worker writes the container once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.CREATE_CONTAINER, {
       tagId,
       rfid,
-      grams,
-      tokens,
-      blockNumber: receipt.blockNumber,
+      grams: String(grams),
       groupHash: groupHash || null
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      job: jobService.formatJob(job)
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue binding a new RFID to a container, replacing its current one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateContainerRfid = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    const { rfid } = req.body;
+    
+    // Check if container exists
+    const container = await prismaService.getContainerByTagId(tagId);
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
     
-    res.status(201).json({
+    if (container.rfid === rfid) {
+      return res.status(400).json({ error: true, message: 'Container already has this RFID' });
+    }
+    
+    // Check if the RFID is bound to another container
+    const rfidContainer = await prismaService.getContainerByRfid(rfid);
+    if (rfidContainer) {
+      return res.status(409).json({ error: true, message: `RFID is already bound to container ${rfidContainer.tagId}` });
+    }
+    
+    // Queue the contract call; the job worker updates the container and its RFID history once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.UPDATE_RFID, {
+      tagId,
+      rfid
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
       success: true,
-      container,
-      transactionHash: receipt.transactionHash
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue assigning a container to an ERC-20 holder address, or returning it to custody
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.setContainerHolder = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    const holder = web3Service.toHolderAddress(req.body.holder);
+    
+    // Check if container exists
+    const container = await prismaService.getContainerByTagId(tagId);
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
+    
+    if ((container.holderAddress || null) === holder) {
+      return res.status(400).json({ error: true, message: holder ? 'Container already has this holder' : 'Container is already in custody' });
+    }
+    
+    // A holder could move the tokens set aside for redemptions out with an ERC-20 transfer
+    if (holder && (await prismaService.getReservedTokens(tagId)).greaterThan(0)) {
+      return res.status(409).json({ error: true, message: 'Container has tokens set aside for redemptions' });
+    }
+    
+    // Queue the contract call; the job worker updates the container once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.SET_HOLDER, {
+      tagId,
+      holder
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the RFIDs bound to a container over time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getContainerRfidHistory = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    
+    // Check if container exists
+    const container = await prismaService.getContainerByTagId(tagId);
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
+    
+    const changes = await prismaService.getRfidChanges(tagId);
+    
+    res.status(200).json({
+      success: true,
+      tagId,
+      rfid: container.rfid,
+      changes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Trace a container's gold back through transfers to the containers it was minted into
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getContainerProvenance = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    const depth = parseInt(req.query.depth) || provenanceService.DEFAULT_DEPTH;
+    
+    // Check if container exists
+    const container = await prismaService.getContainerByTagId(tagId);
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
+    
+    const provenance = await provenanceService.getProvenance(container, depth);
+    
+    res.status(200).json({
+      success: true,
+      tagId,
+      grams: container.grams,
+      depth,
+      ...provenance
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the Merkle proof that a container's balance is included in a snapshot, by default the latest anchored one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getContainerProof = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    const { snapshotId } = req.query;
+    
+    const snapshot = snapshotId
+      ? await prismaService.getSnapshot(snapshotId)
+      : await prismaService.getLatestSnapshot('ANCHORED');
+    if (!snapshot) {
+      return res.status(404).json({ error: true, message: snapshotId ? 'Snapshot not found' : 'No snapshot has been anchored yet' });
+    }
+    
+    const inclusion = snapshotService.getProof(snapshot, tagId);
+    if (!inclusion) {
+      return res.status(404).json({ error: true, message: 'Container is not in this snapshot' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      snapshot: snapshotService.formatSnapshot(snapshot),
+      ...inclusion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a container's statement for a period as JSON, CSV or PDF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getContainerStatement = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    const { from, to } = req.query;
+    const format = req.query.format || 'json';
+    
+    // Check if container exists
+    const container = await prismaService.getContainerByTagId(tagId);
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
+    
+    const statement = await statementService.buildStatement(container, from || null, to || null);
+    
+    if (format === 'json') {
+      return res.status(200).json({ success: true, statement });
+    }
+    
+    const period = `${statement.from ? statement.from.toISOString().slice(0, 10) : 'start'}-to-${statement.to.toISOString().slice(0, 10)}`;
+    const filename = `statement-${tagId.replace(/[^\w.-]/g, '_')}-${period}.${format}`;
+    res.attachment(filename);
+    
+    if (format === 'csv') {
+      return res.type('text/csv').status(200).send(statementService.toCsv(statement));
+    }
+    
+    res.type('application/pdf').status(200).send(statementService.toPdf(statement));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import containers from a CSV or JSON file and queue the valid ones for minting
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.importContainers = async (req, res, next) => {
+  try {
+    const parsed = importService.parseContainerFile(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: true, message: parsed.error });
+    }
+    
+    const result = await importService.importContainers(parsed.containers, {
+      dryRun: req.query.dryRun === 'true',
+      requestedBy: req.auth && req.auth.name
+    });
+    if (result.error) {
+      return res.status(400).json({ error: true, message: result.error });
+    }
+    
+    res.status(result.jobs.length > 0 ? 202 : 200).json({
+      success: true,
+      ...result,
+      jobs: result.jobs.map((job) => jobService.formatJob(job))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List containers with filters and cursor pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listContainers = async (req, res, next) => {
+  try {
+    const {
+      rfid, rfidPrefix, noRfid, groupHash,
+      minGrams, maxGrams, minTokens, maxTokens,
+      createdFrom, createdTo,
+      sortBy, order, limit, cursor
+    } = req.query;
+    
+    const result = await prismaService.listContainers(
+      { rfid, rfidPrefix, noRfid, groupHash, minGrams, maxGrams, minTokens, maxTokens, createdFrom, createdTo },
+      { sortBy, order, limit: limit || 20, cursor }
+    );
+    
+    res.status(200).json({
+      success: true,
+      ...result
     });
   } catch (error) {
     next(error);
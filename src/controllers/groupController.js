@@ -1,9 +1,11 @@
-const web3Service = require('../services/web3Service');
 const prismaService = require('../services/prismaService');
+const jobService = require('../services/jobService');
 const crypto = require('crypto');
 
+const { JOB_TYPES } = jobService;
+
 /**
- * Create a new group
+ * Queue the creation of a new group
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -20,20 +22,39 @@ exports.createGroup = async (req, res, next) => {
     // Generate group hash
     const groupHash = crypto.createHash('sha256').update(`${name}-${Date.now()}`).digest('hex');
     
-    // Create group on blockchain
-    const receipt = await web3Service.createGroup(groupHash, name, description || '');
-    
-    // Create group in database
-    const group = await prismaService.createGroup({
+    // Queue the contract call; the job worker writes the group once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.CREATE_GROUP, {
       groupHash,
       name,
       description: description || null
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      groupHash,
+      job: jobService.formatJob(job)
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List groups with holdings and transfer aggregates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listGroups = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
     
-    res.status(201).json({
+    const result = await prismaService.listGroups(page, limit, req.query.search || undefined);
+    
+    res.status(200).json({
       success: true,
-      group,
-      transactionHash: receipt.transactionHash
+      ...result
     });
   } catch (error) {
     next(error);
@@ -69,3 +90,81 @@ exports.getGroup = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Queue assigning a container to a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.assignContainerToGroup = async (req, res, next) => {
+  try {
+    const { tagId } = req.params;
+    const { groupHash } = req.body;
+    
+    const [container, group] = await Promise.all([
+      prismaService.getContainerByTagId(tagId),
+      prismaService.getGroupByHash(groupHash)
+    ]);
+    
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
+    
+    if (!group) {
+      return res.status(404).json({ error: true, message: 'Group not found' });
+    }
+    
+    // Queue the contract call; the job worker updates the container once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.ASSIGN_TO_GROUP, {
+      tagIds: [tagId],
+      groupHash: group.groupHash,
+      chainHash: group.chainHash || group.groupHash
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue assigning several containers to a group in one transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.assignContainersToGroup = async (req, res, next) => {
+  try {
+    const { groupHash } = req.params;
+    const tagIds = [...new Set(req.body.tagIds)];
+    
+    const group = await prismaService.getGroupByHash(groupHash);
+    if (!group) {
+      return res.status(404).json({ error: true, message: 'Group not found' });
+    }
+    
+    const containers = await prismaService.getContainersByTagIds(tagIds);
+    const missing = tagIds.filter((tagId) => !containers.some((container) => container.tagId === tagId));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: true, message: 'Containers not found', tagIds: missing });
+    }
+    
+    // Queue the contract call; the job worker updates the containers once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.ASSIGN_TO_GROUP, {
+      tagIds,
+      groupHash: group.groupHash,
+      chainHash: group.chainHash || group.groupHash
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,25 @@
+const prismaService = require('../services/prismaService');
+const jobService = require('../services/jobService');
+
+/**
+ * Get a job with its transaction hash, receipt and revert reason
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await prismaService.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ error: true, message: 'Job not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
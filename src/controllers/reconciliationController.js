@@ -0,0 +1,41 @@
+const reconciliationService = require('../services/reconciliationService');
+
+/**
+ * Report containers whose database state differs from the chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReport = async (req, res, next) => {
+  try {
+    const report = await reconciliationService.buildReport();
+    
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Repair drifted containers, treating the chain as the source of truth
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.repair = async (req, res, next) => {
+  try {
+    const { tagIds } = req.body;
+    
+    const result = await reconciliationService.repair(tagIds && tagIds.length ? tagIds : null);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
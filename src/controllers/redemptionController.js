@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const web3Service = require('../services/web3Service');
+const prismaService = require('../services/prismaService');
+const jobService = require('../services/jobService');
+
+const { JOB_TYPES, JOB_STATUS } = jobService;
+const { REDEMPTION_STATUS } = prismaService;
+
+/**
+ * Whether a redemption is waiting for review: requested, or approved but its burn job failed or was never queued
+ * @param {Object} redemption - Redemption
+ * @param {Object} job - Its latest burn job, if any
+ * @returns {boolean} - True if it can be approved or rejected
+ */
+function isReviewable(redemption, job) {
+  return redemption.status === REDEMPTION_STATUS.REQUESTED || (
+    redemption.status === REDEMPTION_STATUS.APPROVED && (!job || job.status === JOB_STATUS.FAILED)
+  );
+}
+
+/**
+ * Request gold to be taken out of a container. The tokens are set aside until the request is rejected or burned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.requestRedemption = async (req, res, next) => {
+  try {
+    const { tagId, grams, method, recipient, deliveryAddress, notes } = req.body;
+    
+    // Check if container exists
+    const container = await prismaService.getContainerByTagId(tagId);
+    if (!container) {
+      return res.status(404).json({ error: true, message: 'Container not found' });
+    }
+    
+    // Tokens held by an ERC-20 holder can leave the container with a plain ERC-20 transfer, which the API cannot stop
+    if (container.holderAddress) {
+      return res.status(409).json({ error: true, message: 'Container has a holder; return it to custody before redeeming' });
+    }
+    
+    // The contract only sees the redemption as a bytes32 ID
+    const id = crypto.randomUUID();
+    const tokens = web3Service.gramsToTokens(grams);
+    
+    // Set the tokens aside unless other redemptions already did
+    let result;
+    try {
+      result = await prismaService.reserveRedemption({
+        id,
+        redemptionHash: web3Service.toBytes32(id),
+        tagId,
+        grams: web3Service.tokensToGrams(tokens),
+        tokens,
+        method,
+        recipient,
+        deliveryAddress: method === 'DELIVERY' ? deliveryAddress : null,
+        notes,
+        requestedBy: req.auth && req.auth.name
+      });
+    } catch (error) {
+      // Lost a serialization conflict with a concurrent request for the same container
+      if (error.code === 'P2034') {
+        return res.status(409).json({ error: true, message: 'Another redemption of this container is being requested; try again' });
+      }
+      throw error;
+    }
+    
+    if (!result.redemption) {
+      return res.status(400).json({
+        error: true,
+        message: `Container has ${web3Service.fromUnits(web3Service.toUnits(result.available))} tokens available for redemption`
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      redemption: result.redemption
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List redemptions, optionally by status or container
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listRedemptions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const result = await prismaService.listRedemptions({
+      status: req.query.status,
+      tagId: req.query.tagId
+    }, page, limit);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a redemption with the status of its burn job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getRedemption = async (req, res, next) => {
+  try {
+    const redemption = await prismaService.getRedemption(req.params.id);
+    if (!redemption) {
+      return res.status(404).json({ error: true, message: 'Redemption not found' });
+    }
+    
+    const job = redemption.jobId ? await prismaService.getJob(redemption.jobId) : null;
+    
+    res.status(200).json({
+      success: true,
+      redemption,
+      job: job ? jobService.formatJob(job) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a redemption and queue burning its tokens. A redemption whose burn failed can be approved again.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.approveRedemption = async (req, res, next) => {
+  try {
+    const redemption = await prismaService.getRedemption(req.params.id);
+    if (!redemption) {
+      return res.status(404).json({ error: true, message: 'Redemption not found' });
+    }
+    
+    const previousJob = redemption.jobId ? await prismaService.getJob(redemption.jobId) : null;
+    if (!isReviewable(redemption, previousJob)) {
+      return res.status(409).json({ error: true, message: `Redemption is ${redemption.status.toLowerCase()}` });
+    }
+    
+    // Gold leaves the vault on the word of two different keys
+    const reviewer = req.auth && req.auth.name;
+    if (redemption.requestedBy && redemption.requestedBy === reviewer) {
+      return res.status(403).json({ error: true, message: 'A redemption must be approved by a different API key than the one that requested it' });
+    }
+    
+    // Tokens may have been moved out of the container, or approved for other redemptions, since the request
+    let result;
+    try {
+      result = await prismaService.approveRedemption(redemption, reviewer);
+    } catch (error) {
+      if (error.code === 'P2034') {
+        return res.status(409).json({ error: true, message: 'Another redemption of this container is being approved; try again' });
+      }
+      throw error;
+    }
+    if (result.reason === 'CHANGED') {
+      return res.status(409).json({ error: true, message: 'Redemption was reviewed meanwhile' });
+    }
+    if (result.reason === 'INSUFFICIENT_TOKENS') {
+      return res.status(409).json({ error: true, message: 'Container no longer holds enough tokens for this redemption' });
+    }
+    
+    // Queue the burn; the job worker debits the container and marks the redemption burned once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.REDEEM_TOKENS, {
+      redemptionId: redemption.id,
+      redemptionHash: redemption.redemptionHash,
+      tagId: redemption.tagId,
+      tokenAmount: String(redemption.tokens)
+    }, reviewer);
+    const approved = await prismaService.updateRedemption(redemption.id, { jobId: job.id });
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      redemption: approved,
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a redemption, releasing the tokens it set aside
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rejectRedemption = async (req, res, next) => {
+  try {
+    const redemption = await prismaService.getRedemption(req.params.id);
+    if (!redemption) {
+      return res.status(404).json({ error: true, message: 'Redemption not found' });
+    }
+    
+    const job = redemption.jobId ? await prismaService.getJob(redemption.jobId) : null;
+    if (!isReviewable(redemption, job)) {
+      return res.status(409).json({ error: true, message: `Redemption is ${redemption.status.toLowerCase()}` });
+    }
+    
+    const rejected = await prismaService.updateRedemption(redemption.id, {
+      status: REDEMPTION_STATUS.REJECTED,
+      reviewedBy: req.auth && req.auth.name,
+      reviewedAt: new Date(),
+      rejectionReason: req.body.reason
+    });
+    
+    res.status(200).json({
+      success: true,
+      redemption: rejected
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record that the gold of a burned redemption was delivered or collected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.completeRedemption = async (req, res, next) => {
+  try {
+    const redemption = await prismaService.getRedemption(req.params.id);
+    if (!redemption) {
+      return res.status(404).json({ error: true, message: 'Redemption not found' });
+    }
+    
+    // Gold is only released once its tokens are burned
+    if (redemption.status !== REDEMPTION_STATUS.BURNED) {
+      return res.status(409).json({ error: true, message: `Redemption is ${redemption.status.toLowerCase()}, not burned` });
+    }
+    
+    const completed = await prismaService.updateRedemption(redemption.id, {
+      status: REDEMPTION_STATUS.COMPLETED,
+      deliveryReference: req.body.reference,
+      completedBy: req.auth && req.auth.name,
+      completedAt: new Date()
+    });
+    
+    res.status(200).json({
+      success: true,
+      redemption: completed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,113 @@
+const prismaService = require('../services/prismaService');
+const reserveService = require('../services/reserveService');
+const jobService = require('../services/jobService');
+
+const { JOB_TYPES } = jobService;
+
+/**
+ * Upload a signed vault audit, compare it with the containers and queue recording its hash on-chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.uploadAttestation = async (req, res, next) => {
+  try {
+    const { auditor, vault, auditedAt, bars, signature } = req.body;
+    const audit = { auditor, vault, auditedAt, bars };
+    
+    // Without an allow-list anyone could sign an audit for their own address
+    if (!reserveService.isConfigured()) {
+      return res.status(503).json({ error: true, message: 'No auditors are configured; set AUDITOR_ADDRESSES to accept audits' });
+    }
+    
+    // Only the auditor's key can vouch for the bars
+    const signatureError = reserveService.verifySignature(audit, signature);
+    if (signatureError) {
+      return res.status(400).json({ error: true, message: signatureError });
+    }
+    
+    const auditHash = reserveService.hashAudit(audit);
+    if (await prismaService.getAttestationByHash(auditHash)) {
+      return res.status(409).json({ error: true, message: 'This audit has already been uploaded' });
+    }
+    
+    const comparison = await reserveService.compare(bars);
+    const attestation = await prismaService.createAttestation({
+      auditHash,
+      auditorName: auditor.name,
+      auditorAddress: auditor.address,
+      vault: vault || null,
+      auditedAt: new Date(auditedAt),
+      signature,
+      bars: bars.map((bar) => ({ rfid: bar.rfid, grams: String(bar.grams) })),
+      ...comparison,
+      uploadedBy: req.auth && req.auth.name
+    });
+    
+    // Queue the attestation; the job worker marks it recorded once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.ATTEST_RESERVES, {
+      attestationId: attestation.id,
+      auditHash,
+      auditor: auditor.address,
+      auditedGrams: comparison.auditedGrams
+    }, req.auth && req.auth.name);
+    
+    const queued = await prismaService.updateAttestation(attestation.id, { jobId: job.id });
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      attestation: reserveService.formatAttestation(queued),
+      job: jobService.formatJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List vault audits with their coverage ratio and missing or extra bars
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listAttestations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const { attestations, pagination } = await prismaService.listAttestations(page, limit);
+    
+    res.status(200).json({
+      success: true,
+      attestations: attestations.map((attestation) => reserveService.formatAttestation(attestation)),
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a vault audit with its bars and the status of its job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAttestation = async (req, res, next) => {
+  try {
+    const attestation = await prismaService.getAttestation(req.params.id);
+    if (!attestation) {
+      return res.status(404).json({ error: true, message: 'Attestation not found' });
+    }
+    
+    const job = attestation.jobId ? await prismaService.getJob(attestation.jobId) : null;
+    
+    res.status(200).json({
+      success: true,
+      attestation: reserveService.formatAttestation(attestation, true),
+      job: job ? jobService.formatJob(job) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,128 @@
+const web3Service = require('../services/web3Service');
+const prismaService = require('../services/prismaService');
+const eventListenerService = require('../services/eventListenerService');
+const jobService = require('../services/jobService');
+
+const { JOB_TYPES } = jobService;
+
+/**
+ * Queue a role change and respond with its job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} type - Job type
+ * @param {Object} payload - { role, account }
+ */
+async function queueRoleChange(req, res, type, payload) {
+  // The job worker records the change once it is mined; its result says whether the role actually changed
+  const job = await jobService.enqueue(type, payload, req.auth && req.auth.name);
+  
+  res.location(`/api/jobs/${job.id}`).status(202).json({
+    success: true,
+    job: jobService.formatJob(job)
+  });
+}
+
+/**
+ * List the current holders of each role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listRoleHolders = async (req, res, next) => {
+  try {
+    const roles = await prismaService.getRoleHolders();
+    
+    res.status(200).json({
+      success: true,
+      serviceAccount: web3Service.senderAddress || null,
+      roles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List role changes with pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getRoleHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const result = await prismaService.getRoleChanges(page, limit);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue granting a role to an account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.grantRole = async (req, res, next) => {
+  try {
+    await queueRoleChange(req, res, JOB_TYPES.GRANT_ROLE, { role: req.params.role, account: req.body.account });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue revoking a role from an account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeRole = async (req, res, next) => {
+  try {
+    await queueRoleChange(req, res, JOB_TYPES.REVOKE_ROLE, { role: req.params.role, account: req.body.account });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue renouncing a role held by the service account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.renounceRole = async (req, res, next) => {
+  try {
+    await queueRoleChange(req, res, JOB_TYPES.RENOUNCE_ROLE, { role: req.params.role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rebuild the role history from RoleGranted/RoleRevoked events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.syncRoles = async (req, res, next) => {
+  try {
+    const result = await eventListenerService.syncRoleEvents();
+    const roles = await prismaService.getRoleHolders();
+    
+    res.status(200).json({
+      success: true,
+      ...result,
+      roles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,82 @@
+const prismaService = require('../services/prismaService');
+const snapshotService = require('../services/snapshotService');
+const jobService = require('../services/jobService');
+
+/**
+ * Snapshot every container's balance now and queue anchoring its Merkle root
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createSnapshot = async (req, res, next) => {
+  try {
+    const result = await snapshotService.takeSnapshot(req.auth && req.auth.name);
+    if (!result) {
+      return res.status(400).json({ error: true, message: 'There are no containers to snapshot' });
+    }
+    
+    // The balances match an earlier snapshot that is anchored or being anchored: its root already covers them
+    if (!result.job) {
+      return res.status(200).json({
+        success: true,
+        snapshot: snapshotService.formatSnapshot(result.snapshot),
+        job: null
+      });
+    }
+    
+    res.location(`/api/jobs/${result.job.id}`).status(202).json({
+      success: true,
+      snapshot: snapshotService.formatSnapshot(result.snapshot),
+      job: jobService.formatJob(result.job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List balance snapshots with their Merkle roots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSnapshots = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const result = await prismaService.listSnapshots(page, limit);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a balance snapshot and the status of its anchoring job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSnapshot = async (req, res, next) => {
+  try {
+    const snapshot = await prismaService.getSnapshot(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: true, message: 'Snapshot not found' });
+    }
+    
+    const job = snapshot.jobId ? await prismaService.getJob(snapshot.jobId) : null;
+    
+    res.status(200).json({
+      success: true,
+      snapshot: snapshotService.formatSnapshot(snapshot),
+      job: job ? jobService.formatJob(job) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,76 @@
+const web3Service = require('../services/web3Service');
+const prismaService = require('../services/prismaService');
+
+/**
+ * Get the ERC-20 token's metadata and supply from the blockchain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getToken = async (req, res, next) => {
+  try {
+    const token = await web3Service.getTokenInfo();
+    
+    res.status(200).json({
+      success: true,
+      token
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List holder addresses with the tokens of their containers, plus the containers still in custody
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listHolders = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const result = await prismaService.listHolders(page, limit);
+    
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a holder's on-chain balance and the containers that make it up
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getHolder = async (req, res, next) => {
+  try {
+    const address = web3Service.web3.utils.toChecksumAddress(req.params.address);
+    
+    const [containers, chainHolder] = await Promise.all([
+      prismaService.getContainersByHolder(address),
+      web3Service.getHolder(address)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      holder: {
+        address,
+        // balanceOf on the contract; totalTokens is the sum of the containers in the database
+        balance: chainHolder.balance,
+        totalTokens: web3Service.sumAmounts(containers.map((container) => container.tokens)),
+        totalGrams: web3Service.sumAmounts(containers.map((container) => container.grams)),
+        // ERC-20 transfers to this address are paid into its first container
+        receivingTagId: chainHolder.tagIds[0] || null,
+        containers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
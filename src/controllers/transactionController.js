@@ -1,8 +1,11 @@
-const web3Service = require('../services/web3Service');
 const prismaService = require('../services/prismaService');
+const web3Service = require('../services/web3Service');
+const jobService = require('../services/jobService');
+
+const { JOB_TYPES } = jobService;
 
 /**
- * Transfer tokens between containers
+ * Queue a token transfer between containers
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -22,58 +25,83 @@ exports.transferTokens = async (req, res, next) => {
       return res.status(404).json({ error: true, message: 'Source container not found' });
     }
     
-    // Check if source container has enough tokens
-    if (sourceContainer.tokens < tokenAmount) {
-      return res.status(400).json({ error: true, message: 'Insufficient tokens in source container' });
+    // Check if source container has enough tokens that are not set aside for redemptions
+    const available = await prismaService.getAvailableTokens(fromTagId);
+    if (web3Service.toUnits(available) < web3Service.toUnits(tokenAmount)) {
+      return res.status(400).json({ error: true, message: `Insufficient tokens in source container (${web3Service.fromUnits(web3Service.toUnits(available))} available)` });
     }
     
-    // Calculate grams to transfer
-    const gramsToTransfer = tokenAmount * 10;
-    
-    // Transfer tokens on blockchain
-    const receipt = await web3Service.transferTokens(fromTagId, toTagId, tokenAmount);
+    // Queue the contract call; the job worker moves the balances once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.TRANSFER_TOKENS, {
+      fromTagId,
+      toTagId,
+      tokenAmount: String(tokenAmount)
+    }, req.auth && req.auth.name);
     
-    // Update source container in database
-    await prismaService.updateContainer(fromTagId, {
-      tokens: sourceContainer.tokens - tokenAmount,
-      grams: sourceContainer.grams - gramsToTransfer
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      job: jobService.formatJob(job)
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a transfer from one container to several destinations, applied atomically on-chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.batchTransfer = async (req, res, next) => {
+  try {
+    const { fromTagId, transfers } = req.body;
     
-    // Check if destination container exists
-    const destContainer = await prismaService.getContainerByTagId(toTagId);
+    // Check if source container exists
+    const sourceContainer = await prismaService.getContainerByTagId(fromTagId);
+    if (!sourceContainer) {
+      return res.status(404).json({ error: true, message: 'Source container not found' });
+    }
     
-    if (destContainer) {
-      // Update destination container
-      await prismaService.updateContainer(toTagId, {
-        tokens: destContainer.tokens + tokenAmount,
-        grams: destContainer.grams + gramsToTransfer
-      });
-    } else {
-      // Create destination container
-      await prismaService.createContainer({
-        tagId: toTagId,
-        rfid: '',
-        grams: gramsToTransfer,
-        tokens: tokenAmount,
-        blockNumber: receipt.blockNumber,
-        groupHash: null
-      });
+    // Check if source container has enough tokens that are not set aside for redemptions for every leg
+    const totalTokens = web3Service.sumAmounts(transfers.map((transfer) => transfer.tokenAmount));
+    const available = await prismaService.getAvailableTokens(fromTagId);
+    if (web3Service.toUnits(available) < web3Service.toUnits(totalTokens)) {
+      return res.status(400).json({ error: true, message: `Insufficient tokens in source container (${web3Service.fromUnits(web3Service.toUnits(available))} available)` });
     }
     
-    // Create transaction record
-    const transaction = await prismaService.createTransaction({
+    // Queue the contract call; the job worker records the legs as one batch once it is mined
+    const job = await jobService.enqueue(JOB_TYPES.BATCH_TRANSFER, {
       fromTagId,
-      toTagId,
-      tokens: tokenAmount,
-      grams: gramsToTransfer,
-      transactionHash: receipt.transactionHash,
-      blockNumber: receipt.blockNumber
+      transfers: transfers.map(({ toTagId, tokenAmount }) => ({ toTagId, tokenAmount: String(tokenAmount) }))
+    }, req.auth && req.auth.name);
+    
+    res.location(`/api/jobs/${job.id}`).status(202).json({
+      success: true,
+      job: jobService.formatJob(job)
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a batch transfer with its legs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTransferBatch = async (req, res, next) => {
+  try {
+    const batch = await prismaService.getTransferBatch(req.params.id);
+    
+    if (!batch) {
+      return res.status(404).json({ error: true, message: 'Batch not found' });
+    }
     
     res.status(200).json({
       success: true,
-      transaction,
-      transactionHash: receipt.transactionHash
+      batch
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,230 @@
+const prismaService = require('../services/prismaService');
+const webhookService = require('../services/webhookService');
+
+const { DELIVERY_STATUS } = webhookService;
+
+/**
+ * Register an endpoint for webhook events. The signing secret is only returned in this response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createSubscription = async (req, res, next) => {
+  try {
+    const { url, eventTypes, description } = req.body;
+
+    const secret = webhookService.generateSecret();
+    const subscription = await prismaService.createWebhookSubscription({
+      url,
+      eventTypes: [...new Set(eventTypes)],
+      secret,
+      description,
+      createdBy: req.auth && req.auth.name
+    });
+
+    res.status(201).json({
+      success: true,
+      subscription: webhookService.formatSubscription(subscription),
+      secret
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List webhook subscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await prismaService.listWebhookSubscriptions();
+
+    res.status(200).json({
+      success: true,
+      subscriptions: subscriptions.map((subscription) => webhookService.formatSubscription(subscription)),
+      eventTypes: webhookService.getEventTypes()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSubscription = async (req, res, next) => {
+  try {
+    const subscription = await prismaService.getWebhookSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ error: true, message: 'Webhook subscription not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      subscription: webhookService.formatSubscription(subscription)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a subscription's URL, event types or description, or pause and resume it with active
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    const { url, eventTypes, description, active } = req.body;
+
+    const data = {};
+    if (url !== undefined) data.url = url;
+    if (eventTypes !== undefined) data.eventTypes = [...new Set(eventTypes)];
+    if (description !== undefined) data.description = description;
+    if (active !== undefined) data.active = active;
+
+    const subscription = await prismaService.updateWebhookSubscription(req.params.id, data);
+
+    res.status(200).json({
+      success: true,
+      subscription: webhookService.formatSubscription(subscription)
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: true, message: 'Webhook subscription not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Replace a subscription's signing secret. The new secret is only returned in this response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const secret = webhookService.generateSecret();
+    const subscription = await prismaService.updateWebhookSubscription(req.params.id, { secret });
+
+    res.status(200).json({
+      success: true,
+      subscription: webhookService.formatSubscription(subscription),
+      secret
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: true, message: 'Webhook subscription not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook subscription and its delivery log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = await prismaService.deleteWebhookSubscription(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      subscription: webhookService.formatSubscription(subscription)
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: true, message: 'Webhook subscription not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * List webhook deliveries with the outcome of their last attempt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listDeliveries = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await prismaService.listWebhookDeliveries({
+      subscriptionId: req.query.subscriptionId,
+      status: req.query.status,
+      eventType: req.query.eventType
+    }, page, limit);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook delivery with its payload and last response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await prismaService.getWebhookDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: true, message: 'Webhook delivery not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      delivery: webhookService.formatDelivery(delivery)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a delivered or failed delivery again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.replayDelivery = async (req, res, next) => {
+  try {
+    const delivery = await prismaService.getWebhookDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: true, message: 'Webhook delivery not found' });
+    }
+
+    if (delivery.status === DELIVERY_STATUS.PENDING) {
+      return res.status(409).json({ error: true, message: 'Delivery is already pending' });
+    }
+
+    const replayed = await webhookService.replay(delivery);
+
+    res.status(202).json({
+      success: true,
+      delivery: webhookService.formatDelivery(replayed)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
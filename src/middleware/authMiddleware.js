@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const prismaService = require('../services/prismaService');
+
+// API roles mirror the contract's AccessControl roles; READ is the read-only scope
+const ROLES = {
+  READ: 'READ',
+  MINTER: 'MINTER_ROLE',
+  GROUP_MANAGER: 'GROUP_MANAGER_ROLE',
+  ADMIN: 'DEFAULT_ADMIN_ROLE'
+};
+
+exports.ROLES = ROLES;
+
+// API keys are stored as sha256 hashes
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+exports.hashApiKey = hashApiKey;
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Read the key from "Authorization: Bearer <key>" or "x-api-key"
+const getPresentedKey = (req) => {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+};
+
+// Authentication middleware: resolves the API key to req.auth = { id, name, roles }
+exports.authenticate = async (req, res, next) => {
+  try {
+    const key = getPresentedKey(req);
+
+    if (!key) {
+      return res.status(401).json({ error: true, message: 'API key required' });
+    }
+
+    // ADMIN_API_KEY bootstraps access before any key exists in the database
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && safeEqual(key, adminKey)) {
+      req.auth = { id: 'ADMIN_API_KEY', name: 'ADMIN_API_KEY', roles: [ROLES.ADMIN] };
+      return next();
+    }
+
+    const apiKey = await prismaService.getApiKeyByHash(hashApiKey(key));
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(401).json({ error: true, message: 'Invalid API key' });
+    }
+
+    req.auth = {
+      id: apiKey.id,
+      name: apiKey.name,
+      roles: apiKey.roles.split(',').filter(Boolean)
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Authorization middleware: admins may do anything and any credential may read
+exports.requireRole = (role) => (req, res, next) => {
+  const roles = (req.auth && req.auth.roles) || [];
+
+  if (roles.includes(ROLES.ADMIN) || roles.includes(role) || (role === ROLES.READ && roles.length > 0)) {
+    return next();
+  }
+
+  return res.status(403).json({ error: true, message: `${role} required` });
+};
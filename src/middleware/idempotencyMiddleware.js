@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const prismaService = require('../services/prismaService');
+
+// An IN_PROGRESS key held longer than this (ms) is taken to belong to a request that died, and is reclaimed
+const LOCK_TIMEOUT = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT) || 5 * 60 * 1000;
+
+// Times a key is claimed again if it is released between a failed claim and reading it
+const CLAIM_ATTEMPTS = 3;
+
+// JSON with sorted keys, so the fingerprint doesn't depend on key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Idempotency middleware for mutating routes.
+// With an Idempotency-Key header, the first response is stored and replayed for retries;
+// reusing the key for a different request is rejected.
+exports.idempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: true, message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  try {
+    const principal = (req.auth && req.auth.id) || 'anonymous';
+    const path = req.originalUrl.split('?')[0];
+    const fingerprint = crypto.createHash('sha256')
+      .update(`${req.method} ${path} ${stableStringify(req.body || {})}`)
+      .digest('hex');
+
+    // The key can be released between a failed claim and reading it, so claim it again
+    let record = null;
+    let existing = null;
+    for (let attempt = 0; attempt < CLAIM_ATTEMPTS && !record && !existing; attempt++) {
+      record = await prismaService.claimIdempotencyKey({
+        key,
+        principal,
+        method: req.method,
+        path,
+        fingerprint
+      });
+      if (!record) {
+        existing = await prismaService.getIdempotencyKey(principal, key);
+      }
+    }
+
+    if (!record) {
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: true, message: 'Idempotency-Key was already used for a different request' });
+      }
+
+      if (existing && existing.status === 'COMPLETED') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseCode).json(JSON.parse(existing.responseBody));
+      }
+
+      // The request holding the key most likely died without settling it
+      const staleBefore = new Date(Date.now() - LOCK_TIMEOUT);
+      if (existing && existing.lockedAt < staleBefore) {
+        record = await prismaService.reclaimIdempotencyKey(existing, staleBefore);
+      }
+
+      if (!record) {
+        return res.status(409).json({ error: true, message: 'A request with this Idempotency-Key is still in progress' });
+      }
+    }
+
+    // Store whatever JSON response the route sends, including errors: the chain may already
+    // have been written to, so a retry must not resubmit. A response sent any other way
+    // can't be replayed, so the key is released once it has gone out and a retry runs again.
+    let body;
+    let closed = false;
+    const settle = () => {
+      const stored = body !== undefined
+        ? prismaService.completeIdempotencyKey(record, res.statusCode, body)
+        : prismaService.releaseIdempotencyKey(record);
+      stored.catch((error) => console.error('Error storing idempotent response:', error));
+    };
+
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      body = value;
+      // The client went away before the route responded
+      if (closed) {
+        settle();
+      }
+      return json(value);
+    };
+
+    res.on('close', () => {
+      closed = true;
+      if (res.writableFinished || body !== undefined) {
+        settle();
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,7 @@
+const net = require('net');
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES } = require('./authMiddleware');
+const { WEBHOOK_EVENTS, DELIVERY_STATUS } = require('../services/webhookService');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -9,17 +12,36 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Positive decimal amount with at most `decimals` decimal places. Amounts are best sent as strings;
+// tokens have 18 decimals on-chain, and grams 17 so that grams / 10 is an exact token amount.
+const isAmount = (decimals) => (value) => (
+  new RegExp(`^\\d+(\\.\\d{1,${decimals}})?$`).test(String(value)) && Number(value) > 0
+);
+
 // Container validation rules
-exports.createContainerRules = [
+const containerFieldRules = [
   body('tagId').notEmpty().withMessage('Tag ID is required'),
   body('rfid').notEmpty().withMessage('RFID is required'),
-  body('grams').isNumeric().withMessage('Grams must be a number').custom(value => {
-    if (value <= 0) {
-      throw new Error('Grams must be greater than 0');
-    }
-    return true;
-  }),
-  body('groupHash').optional(),
+  body('grams').custom(isAmount(17)).withMessage('Grams must be a number greater than 0 with at most 17 decimal places'),
+  body('groupHash').optional()
+];
+
+exports.createContainerRules = [
+  ...containerFieldRules,
+  validate
+];
+
+// Run the createContainerRules checks against one container outside a request (e.g. an import row)
+exports.validateContainerFields = async (container) => {
+  const req = { body: container };
+  for (const rule of containerFieldRules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array();
+};
+
+exports.importContainersRules = [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
   validate
 ];
 
@@ -27,9 +49,22 @@ exports.createContainerRules = [
 exports.transferTokensRules = [
   body('fromTagId').notEmpty().withMessage('Source tag ID is required'),
   body('toTagId').notEmpty().withMessage('Destination tag ID is required'),
-  body('tokenAmount').isNumeric().withMessage('Token amount must be a number').custom(value => {
-    if (value <= 0) {
-      throw new Error('Token amount must be greater than 0');
+  body('tokenAmount').custom(isAmount(18)).withMessage('Token amount must be a number greater than 0 with at most 18 decimal places'),
+  validate
+];
+
+exports.batchTransferRules = [
+  body('fromTagId').notEmpty().withMessage('Source tag ID is required'),
+  body('transfers').isArray({ min: 1, max: 100 }).withMessage('transfers must be an array of 1 to 100 destinations'),
+  body('transfers.*.toTagId').isString().notEmpty().withMessage('Each transfer needs a destination tag ID'),
+  body('transfers.*.tokenAmount').custom(isAmount(18)).withMessage('Each token amount must be a number greater than 0 with at most 18 decimal places'),
+  body('transfers').custom((transfers, { req }) => {
+    const toTagIds = transfers.map((transfer) => transfer && transfer.toTagId);
+    if (new Set(toTagIds).size !== toTagIds.length) {
+      throw new Error('Each destination may only appear once');
+    }
+    if (toTagIds.includes(req.body.fromTagId)) {
+      throw new Error('The source container cannot also be a destination');
     }
     return true;
   }),
@@ -43,6 +78,203 @@ exports.createGroupRules = [
   validate
 ];
 
+// Container listing validation
+exports.listContainersRules = [
+  query('rfid').optional().isString(),
+  query('rfidPrefix').optional().isString().notEmpty().withMessage('RFID prefix must not be empty'),
+  query('noRfid').optional().isBoolean().withMessage('noRfid must be true or false').toBoolean(),
+  query('groupHash').optional().isString(),
+  query(['minGrams', 'maxGrams', 'minTokens', 'maxTokens']).optional().matches(/^\d+(\.\d{1,18})?$/).withMessage('Amount filters must be non-negative numbers'),
+  query(['createdFrom', 'createdTo']).optional().isISO8601().withMessage('Date filters must be ISO 8601 dates').toDate(),
+  query('sortBy').optional().isIn(['createdAt', 'grams', 'tokens', 'blockNumber', 'tagId']).withMessage('sortBy must be one of createdAt, grams, tokens, blockNumber, tagId'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('cursor').optional().isUUID().withMessage('Cursor must be a container id'),
+  validate
+];
+
+// Group listing validation
+exports.listGroupsRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().trim(),
+  validate
+];
+
+// Group assignment validation
+exports.assignGroupRules = [
+  param('tagId').notEmpty().withMessage('Tag ID is required'),
+  body('groupHash').notEmpty().withMessage('Group hash is required'),
+  validate
+];
+
+exports.bulkAssignGroupRules = [
+  param('groupHash').notEmpty().withMessage('Group hash is required'),
+  body('tagIds').isArray({ min: 1, max: 100 }).withMessage('tagIds must be an array of 1 to 100 tag IDs'),
+  body('tagIds.*').isString().notEmpty().withMessage('Each tag ID must be a non-empty string'),
+  validate
+];
+
+exports.updateRfidRules = [
+  param('tagId').notEmpty().withMessage('Tag ID is required'),
+  body('rfid').isString().trim().notEmpty().withMessage('RFID is required'),
+  validate
+];
+
+exports.setHolderRules = [
+  param('tagId').notEmpty().withMessage('Tag ID is required'),
+  body('holder').exists().withMessage('Holder is required; use null to return the container to custody'),
+  body('holder').optional({ values: 'null' }).isEthereumAddress().withMessage('Holder must be an Ethereum address'),
+  validate
+];
+
+exports.provenanceRules = [
+  param('tagId').notEmpty().withMessage('Tag ID is required'),
+  query('depth').optional().isInt({ min: 1, max: 50 }).withMessage('Depth must be between 1 and 50'),
+  validate
+];
+
+exports.containerProofRules = [
+  param('tagId').notEmpty().withMessage('Tag ID is required'),
+  query('snapshotId').optional().isUUID().withMessage('Snapshot id must be a UUID'),
+  validate
+];
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+exports.statementRules = [
+  param('tagId').notEmpty().withMessage('Tag ID is required'),
+  query('from').optional().isISO8601().withMessage('from and to must be ISO 8601 dates').toDate(),
+  // A date without a time ends the period at the end of that day
+  query('to').optional().isISO8601().withMessage('from and to must be ISO 8601 dates')
+    .customSanitizer((to) => new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to)),
+  query('to').optional().custom((to, { req }) => {
+    if (req.query.from && req.query.from > to) {
+      throw new Error('from must not be after to');
+    }
+    return true;
+  }),
+  query('format').optional().isIn(STATEMENT_FORMATS).withMessage(`Format must be one of ${STATEMENT_FORMATS.join(', ')}`),
+  validate
+];
+
+// Redemption validation
+const REDEMPTION_METHODS = ['DELIVERY', 'WITHDRAWAL'];
+const REDEMPTION_STATUSES = ['REQUESTED', 'APPROVED', 'BURNED', 'COMPLETED', 'REJECTED'];
+
+exports.createRedemptionRules = [
+  body('tagId').notEmpty().withMessage('Tag ID is required'),
+  body('grams').custom(isAmount(17)).withMessage('Grams must be a number greater than 0 with at most 17 decimal places'),
+  body('method').isIn(REDEMPTION_METHODS).withMessage(`Method must be one of ${REDEMPTION_METHODS.join(', ')}`),
+  body('recipient').optional().isString().trim(),
+  body('deliveryAddress').if(body('method').equals('DELIVERY')).isString().trim().notEmpty().withMessage('A delivery address is required for deliveries'),
+  body('notes').optional().isString(),
+  validate
+];
+
+exports.listRedemptionsRules = [
+  query('status').optional().isIn(REDEMPTION_STATUSES).withMessage(`Status must be one of ${REDEMPTION_STATUSES.join(', ')}`),
+  query('tagId').optional().isString(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validate
+];
+
+exports.redemptionParamRules = [
+  param('id').isUUID().withMessage('Redemption id must be a UUID'),
+  validate
+];
+
+exports.rejectRedemptionRules = [
+  param('id').isUUID().withMessage('Redemption id must be a UUID'),
+  body('reason').isString().trim().notEmpty().withMessage('A rejection reason is required'),
+  validate
+];
+
+exports.completeRedemptionRules = [
+  param('id').isUUID().withMessage('Redemption id must be a UUID'),
+  body('reference').isString().trim().notEmpty().withMessage('A delivery or withdrawal reference is required'),
+  validate
+];
+
+// Reserve attestation validation
+exports.uploadAttestationRules = [
+  body('auditor.name').isString().trim().notEmpty().withMessage('Auditor name is required'),
+  body('auditor.address').isEthereumAddress().withMessage('Auditor address must be an Ethereum address'),
+  body('vault').optional().isString().trim(),
+  body('auditedAt').isISO8601().withMessage('auditedAt must be an ISO 8601 date'),
+  body('bars').isArray({ min: 1, max: 2000 }).withMessage('bars must be an array of 1 to 2000 bars'),
+  body('bars.*.rfid').isString().notEmpty().withMessage('Each bar needs an RFID'),
+  body('bars.*.grams').custom(isAmount(17)).withMessage('Each bar weight must be a number greater than 0 with at most 17 decimal places'),
+  body('bars').custom((bars) => {
+    const rfids = bars.map((bar) => bar && bar.rfid);
+    if (new Set(rfids).size !== rfids.length) {
+      throw new Error('Each RFID may only appear once');
+    }
+    return true;
+  }),
+  body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Signature must be a 65-byte hex string'),
+  validate
+];
+
+exports.attestationParamRules = [
+  param('id').isUUID().withMessage('Attestation id must be a UUID'),
+  validate
+];
+
+// Balance snapshot validation
+exports.snapshotParamRules = [
+  param('id').isUUID().withMessage('Snapshot id must be a UUID'),
+  validate
+];
+
+// Webhook validation
+const WEBHOOK_EVENT_TYPES = ['*', ...Object.values(WEBHOOK_EVENTS)];
+const DELIVERY_STATUSES = Object.values(DELIVERY_STATUS);
+// https with a public host name; IP addresses and names like localhost are rejected.
+// webhookService also checks what the name resolves to before each delivery.
+const isWebhookUrl = { protocols: ['https'], require_protocol: true, require_tld: true };
+const hasHostName = (value) => !net.isIP(new URL(value).hostname.replace(/^\[|\]$/g, ''));
+
+exports.createWebhookRules = [
+  body('url').isURL(isWebhookUrl).withMessage('url must be an https URL with a public host name').bail()
+    .custom(hasHostName).withMessage('url must be an https URL with a public host name'),
+  body('eventTypes').isArray({ min: 1 }).withMessage('eventTypes must be a non-empty array'),
+  body('eventTypes.*').isIn(WEBHOOK_EVENT_TYPES).withMessage(`Each event type must be one of ${WEBHOOK_EVENT_TYPES.join(', ')}`),
+  body('description').optional().isString().trim(),
+  validate
+];
+
+exports.updateWebhookRules = [
+  param('id').isUUID().withMessage('Subscription id must be a UUID'),
+  body('url').optional().isURL(isWebhookUrl).withMessage('url must be an https URL with a public host name').bail()
+    .custom(hasHostName).withMessage('url must be an https URL with a public host name'),
+  body('eventTypes').optional().isArray({ min: 1 }).withMessage('eventTypes must be a non-empty array'),
+  body('eventTypes.*').isIn(WEBHOOK_EVENT_TYPES).withMessage(`Each event type must be one of ${WEBHOOK_EVENT_TYPES.join(', ')}`),
+  body('description').optional({ values: 'null' }).isString().trim(),
+  body('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  validate
+];
+
+exports.webhookParamRules = [
+  param('id').isUUID().withMessage('Subscription id must be a UUID'),
+  validate
+];
+
+exports.listWebhookDeliveriesRules = [
+  query('subscriptionId').optional().isUUID().withMessage('Subscription id must be a UUID'),
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of ${DELIVERY_STATUSES.join(', ')}`),
+  query('eventType').optional().isIn(Object.values(WEBHOOK_EVENTS)).withMessage('Unknown event type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validate
+];
+
+exports.webhookDeliveryParamRules = [
+  param('id').isUUID().withMessage('Delivery id must be a UUID'),
+  validate
+];
+
 // Container param validation
 exports.containerParamRules = [
   param('tagId').notEmpty().withMessage('Tag ID is required'),
@@ -55,6 +287,57 @@ exports.groupParamRules = [
   validate
 ];
 
+// Reconciliation repair validation
+exports.repairReconciliationRules = [
+  body('tagIds').optional().isArray().withMessage('tagIds must be an array'),
+  body('tagIds.*').optional().isString().notEmpty().withMessage('Each tag ID must be a non-empty string'),
+  validate
+];
+
+// API key validation
+exports.createApiKeyRules = [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('roles').isArray({ min: 1 }).withMessage('roles must be a non-empty array'),
+  body('roles.*').isIn(Object.values(ROLES)).withMessage(`Each role must be one of ${Object.values(ROLES).join(', ')}`),
+  validate
+];
+
+exports.apiKeyParamRules = [
+  param('id').isUUID().withMessage('API key id must be a UUID'),
+  validate
+];
+
+// On-chain role validation
+const CONTRACT_ROLES = [ROLES.ADMIN, ROLES.MINTER, ROLES.GROUP_MANAGER];
+
+exports.roleParamRules = [
+  param('role').isIn(CONTRACT_ROLES).withMessage(`Role must be one of ${CONTRACT_ROLES.join(', ')}`),
+  validate
+];
+
+exports.roleChangeRules = [
+  param('role').isIn(CONTRACT_ROLES).withMessage(`Role must be one of ${CONTRACT_ROLES.join(', ')}`),
+  body('account').isEthereumAddress().withMessage('Account must be an Ethereum address'),
+  validate
+];
+
+// Token holder validation
+exports.holderParamRules = [
+  param('address').isEthereumAddress().withMessage('Address must be an Ethereum address'),
+  validate
+];
+
+// Job validation
+exports.jobParamRules = [
+  param('id').isUUID().withMessage('Job id must be a UUID'),
+  validate
+];
+
+exports.batchParamRules = [
+  param('id').isUUID().withMessage('Batch id must be a UUID'),
+  validate
+];
+
 // Pagination validation
 exports.paginationRules = [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -1,15 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
 
 // 1. BLOCKCHAIN VISUALIZATION DATA
-router.get('/blockchain/visualization', analyticsController.getBlockchainVisualization);
+router.get('/blockchain/visualization', requireRole(ROLES.READ), analyticsController.getBlockchainVisualization);
 
 // 2. ALL BLOCKS ENDPOINT
-router.get('/blocks', analyticsController.getBlocks);
+router.get('/blocks', requireRole(ROLES.READ), analyticsController.getBlocks);
 
 // 3. DASHBOARD STATISTICS
-router.get('/dashboard/stats', analyticsController.getDashboardStats);
+router.get('/dashboard/stats', requireRole(ROLES.READ), analyticsController.getDashboardStats);
 
 module.exports = router;
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { createApiKeyRules, apiKeyParamRules } = require('../middleware/validationMiddleware');
+
+// GET /api/auth/me - Show the roles of the current credential
+router.get('/me', requireRole(ROLES.READ), authController.whoAmI);
+
+// POST /api/auth/keys - Create an API key (admin only)
+// Not idempotent: the stored response would hold the plaintext key
+router.post('/keys', requireRole(ROLES.ADMIN), createApiKeyRules, authController.createApiKey);
+
+// GET /api/auth/keys - List API keys (admin only)
+router.get('/keys', requireRole(ROLES.ADMIN), authController.listApiKeys);
+
+// DELETE /api/auth/keys/:id - Revoke an API key (admin only)
+router.delete('/keys/:id', requireRole(ROLES.ADMIN), apiKeyParamRules, idempotency, authController.revokeApiKey);
+
+module.exports = router;
@@ -1,15 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const containerController = require('../controllers/containerController');
-const { createContainerRules, containerParamRules } = require('../middleware/validationMiddleware');
+const groupController = require('../controllers/groupController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { createContainerRules, containerParamRules, assignGroupRules, listContainersRules, importContainersRules, updateRfidRules, setHolderRules, containerProofRules, provenanceRules, statementRules } = require('../middleware/validationMiddleware');
 
 // POST /api/containers - Create a new container
-router.post('/', createContainerRules, containerController.createContainer);
+router.post('/', requireRole(ROLES.MINTER), createContainerRules, idempotency, containerController.createContainer);
+
+// POST /api/containers/import - Import containers from a CSV (text/csv) or JSON file
+router.post('/import', requireRole(ROLES.MINTER), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), importContainersRules, idempotency, containerController.importContainers);
+
+// GET /api/containers - List and search containers
+router.get('/', requireRole(ROLES.READ), listContainersRules, containerController.listContainers);
 
 // GET /api/containers/:tagId - Get container details
-router.get('/:tagId', containerParamRules, containerController.getContainer);
+router.get('/:tagId', requireRole(ROLES.READ), containerParamRules, containerController.getContainer);
 
 // GET /api/containers/:tagId/history - Get container history
-router.get('/:tagId/history', containerParamRules, containerController.getContainerHistory);
+router.get('/:tagId/history', requireRole(ROLES.READ), containerParamRules, containerController.getContainerHistory);
+
+// PATCH /api/containers/:tagId/rfid - Bind or replace a container's RFID
+router.patch('/:tagId/rfid', requireRole(ROLES.MINTER), updateRfidRules, idempotency, containerController.updateContainerRfid);
+
+// GET /api/containers/:tagId/rfid/history - Get the RFIDs bound to a container
+router.get('/:tagId/rfid/history', requireRole(ROLES.READ), containerParamRules, containerController.getContainerRfidHistory);
+
+// GET /api/containers/:tagId/provenance - Trace a container's gold back to the containers it was minted into
+router.get('/:tagId/provenance', requireRole(ROLES.READ), provenanceRules, containerController.getContainerProvenance);
+
+// GET /api/containers/:tagId/proof - Get the Merkle proof of a container's balance in a snapshot
+router.get('/:tagId/proof', requireRole(ROLES.READ), containerProofRules, containerController.getContainerProof);
+
+// GET /api/containers/:tagId/statement - Get a container's statement for a period as JSON, CSV or PDF
+router.get('/:tagId/statement', requireRole(ROLES.READ), statementRules, containerController.getContainerStatement);
+
+// PUT /api/containers/:tagId/holder - Assign a container to an ERC-20 holder address (null for custody)
+router.put('/:tagId/holder', requireRole(ROLES.MINTER), setHolderRules, idempotency, containerController.setContainerHolder);
+
+// PUT /api/containers/:tagId/group - Assign a container to a group
+router.put('/:tagId/group', requireRole(ROLES.GROUP_MANAGER), assignGroupRules, idempotency, groupController.assignContainerToGroup);
 
 module.exports = router;
@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const groupController = require('../controllers/groupController');
-const { createGroupRules, groupParamRules } = require('../middleware/validationMiddleware');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { createGroupRules, groupParamRules, bulkAssignGroupRules, listGroupsRules } = require('../middleware/validationMiddleware');
 
 // POST /api/groups - Create a new group
-router.post('/', createGroupRules, groupController.createGroup);
+router.post('/', requireRole(ROLES.GROUP_MANAGER), createGroupRules, idempotency, groupController.createGroup);
+
+// GET /api/groups - List groups with holdings and transfer volume
+router.get('/', requireRole(ROLES.READ), listGroupsRules, groupController.listGroups);
 
 // GET /api/groups/:groupHash - Get group details and containers
-router.get('/:groupHash', groupParamRules, groupController.getGroup);
+router.get('/:groupHash', requireRole(ROLES.READ), groupParamRules, groupController.getGroup);
+
+// POST /api/groups/:groupHash/containers - Assign several containers to a group
+router.post('/:groupHash/containers', requireRole(ROLES.GROUP_MANAGER), bulkAssignGroupRules, idempotency, groupController.assignContainersToGroup);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { jobParamRules } = require('../middleware/validationMiddleware');
+
+// GET /api/jobs/:id - Get the status of a queued contract write
+router.get('/:id', requireRole(ROLES.READ), jobParamRules, jobController.getJob);
+
+module.exports = router;
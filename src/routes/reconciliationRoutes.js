@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { repairReconciliationRules } = require('../middleware/validationMiddleware');
+
+// GET /api/reconciliation/report - Compare database containers with the chain
+router.get('/report', requireRole(ROLES.READ), reconciliationController.getReport);
+
+// POST /api/reconciliation/repair - Overwrite drifted containers with on-chain state (admin only)
+router.post('/repair', requireRole(ROLES.ADMIN), repairReconciliationRules, idempotency, reconciliationController.repair);
+
+module.exports = router;
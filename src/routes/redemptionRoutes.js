@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const redemptionController = require('../controllers/redemptionController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { createRedemptionRules, listRedemptionsRules, redemptionParamRules, rejectRedemptionRules, completeRedemptionRules } = require('../middleware/validationMiddleware');
+
+// POST /api/redemptions - Request gold to be taken out of a container
+router.post('/', requireRole(ROLES.MINTER), createRedemptionRules, idempotency, redemptionController.requestRedemption);
+
+// GET /api/redemptions - List redemptions
+router.get('/', requireRole(ROLES.READ), listRedemptionsRules, redemptionController.listRedemptions);
+
+// GET /api/redemptions/:id - Get a redemption and its burn job
+router.get('/:id', requireRole(ROLES.READ), redemptionParamRules, redemptionController.getRedemption);
+
+// POST /api/redemptions/:id/approve - Approve a redemption and queue the burn (admin only)
+router.post('/:id/approve', requireRole(ROLES.ADMIN), redemptionParamRules, idempotency, redemptionController.approveRedemption);
+
+// POST /api/redemptions/:id/reject - Reject a redemption (admin only)
+router.post('/:id/reject', requireRole(ROLES.ADMIN), rejectRedemptionRules, idempotency, redemptionController.rejectRedemption);
+
+// POST /api/redemptions/:id/complete - Record the delivery or withdrawal of a burned redemption
+router.post('/:id/complete', requireRole(ROLES.MINTER), completeRedemptionRules, idempotency, redemptionController.completeRedemption);
+
+module.exports = router;
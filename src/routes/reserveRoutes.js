@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const reserveController = require('../controllers/reserveController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { uploadAttestationRules, attestationParamRules, paginationRules } = require('../middleware/validationMiddleware');
+
+// POST /api/reserves/attestations - Upload a signed vault audit and record its hash on-chain (admin only)
+router.post('/attestations', requireRole(ROLES.ADMIN), uploadAttestationRules, idempotency, reserveController.uploadAttestation);
+
+// GET /api/reserves/attestations - List vault audits with their coverage
+router.get('/attestations', requireRole(ROLES.READ), paginationRules, reserveController.listAttestations);
+
+// GET /api/reserves/attestations/:id - Get a vault audit, its bars and its job
+router.get('/attestations/:id', requireRole(ROLES.READ), attestationParamRules, reserveController.getAttestation);
+
+module.exports = router;
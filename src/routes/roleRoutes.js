@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { roleChangeRules, roleParamRules, paginationRules } = require('../middleware/validationMiddleware');
+
+// All role administration is admin only
+router.use(requireRole(ROLES.ADMIN));
+
+// GET /api/roles - Current holders of each on-chain role
+router.get('/', roleController.listRoleHolders);
+
+// GET /api/roles/history - Recorded grants, revocations and renouncements
+router.get('/history', paginationRules, roleController.getRoleHistory);
+
+// POST /api/roles/sync - Rebuild role history from RoleGranted/RoleRevoked events
+router.post('/sync', idempotency, roleController.syncRoles);
+
+// POST /api/roles/:role/grant - Grant a role to an account
+router.post('/:role/grant', roleChangeRules, idempotency, roleController.grantRole);
+
+// POST /api/roles/:role/revoke - Revoke a role from an account
+router.post('/:role/revoke', roleChangeRules, idempotency, roleController.revokeRole);
+
+// POST /api/roles/:role/renounce - Renounce a role held by the service account
+router.post('/:role/renounce', roleParamRules, idempotency, roleController.renounceRole);
+
+module.exports = router;
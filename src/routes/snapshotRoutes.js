@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const snapshotController = require('../controllers/snapshotController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { snapshotParamRules, paginationRules } = require('../middleware/validationMiddleware');
+
+// POST /api/snapshots - Snapshot container balances now and anchor the Merkle root (admin only)
+router.post('/', requireRole(ROLES.ADMIN), idempotency, snapshotController.createSnapshot);
+
+// GET /api/snapshots - List balance snapshots and their Merkle roots
+router.get('/', requireRole(ROLES.READ), paginationRules, snapshotController.listSnapshots);
+
+// GET /api/snapshots/:id - Get a balance snapshot and its job
+router.get('/:id', requireRole(ROLES.READ), snapshotParamRules, snapshotController.getSnapshot);
+
+module.exports = router;
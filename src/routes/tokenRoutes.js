@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const tokenController = require('../controllers/tokenController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { paginationRules, holderParamRules } = require('../middleware/validationMiddleware');
+
+// GET /api/token - Get the ERC-20 token's metadata and supply
+router.get('/', requireRole(ROLES.READ), tokenController.getToken);
+
+// GET /api/token/holders - List holder addresses and their balances
+router.get('/holders', requireRole(ROLES.READ), paginationRules, tokenController.listHolders);
+
+// GET /api/token/holders/:address - Get a holder's balance and containers
+router.get('/holders/:address', requireRole(ROLES.READ), holderParamRules, tokenController.getHolder);
+
+module.exports = router;
@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const transactionController = require('../controllers/transactionController');
-const { transferTokensRules, paginationRules } = require('../middleware/validationMiddleware');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { transferTokensRules, batchTransferRules, batchParamRules, paginationRules } = require('../middleware/validationMiddleware');
 
 // POST /api/transactions/transfer - Transfer tokens between containers
-router.post('/transfer', transferTokensRules, transactionController.transferTokens);
+router.post('/transfer', requireRole(ROLES.MINTER), transferTokensRules, idempotency, transactionController.transferTokens);
+
+// POST /api/transactions/batch-transfer - Split tokens from one container across several destinations
+router.post('/batch-transfer', requireRole(ROLES.MINTER), batchTransferRules, idempotency, transactionController.batchTransfer);
+
+// GET /api/transactions/batches/:id - Get a batch transfer with its legs
+router.get('/batches/:id', requireRole(ROLES.READ), batchParamRules, transactionController.getTransferBatch);
 
 // GET /api/transactions - List all transactions with pagination
-router.get('/', paginationRules, transactionController.getAllTransactions);
+router.get('/', requireRole(ROLES.READ), paginationRules, transactionController.getAllTransactions);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { requireRole, ROLES } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const { createWebhookRules, updateWebhookRules, webhookParamRules, listWebhookDeliveriesRules, webhookDeliveryParamRules } = require('../middleware/validationMiddleware');
+
+// POST /api/webhooks - Register an endpoint for ledger events (admin only)
+router.post('/', requireRole(ROLES.ADMIN), createWebhookRules, webhookController.createSubscription);
+
+// GET /api/webhooks - List webhook subscriptions (admin only)
+router.get('/', requireRole(ROLES.ADMIN), webhookController.listSubscriptions);
+
+// GET /api/webhooks/deliveries - List deliveries (admin only)
+router.get('/deliveries', requireRole(ROLES.ADMIN), listWebhookDeliveriesRules, webhookController.listDeliveries);
+
+// GET /api/webhooks/deliveries/:id - Get a delivery with its payload and last response (admin only)
+router.get('/deliveries/:id', requireRole(ROLES.ADMIN), webhookDeliveryParamRules, webhookController.getDelivery);
+
+// POST /api/webhooks/deliveries/:id/replay - Send a delivered or failed delivery again (admin only)
+router.post('/deliveries/:id/replay', requireRole(ROLES.ADMIN), webhookDeliveryParamRules, idempotency, webhookController.replayDelivery);
+
+// GET /api/webhooks/:id - Get a webhook subscription (admin only)
+router.get('/:id', requireRole(ROLES.ADMIN), webhookParamRules, webhookController.getSubscription);
+
+// PATCH /api/webhooks/:id - Update or pause a webhook subscription (admin only)
+router.patch('/:id', requireRole(ROLES.ADMIN), updateWebhookRules, idempotency, webhookController.updateSubscription);
+
+// POST /api/webhooks/:id/secret - Rotate a subscription's signing secret (admin only)
+router.post('/:id/secret', requireRole(ROLES.ADMIN), webhookParamRules, webhookController.rotateSecret);
+
+// DELETE /api/webhooks/:id - Delete a webhook subscription and its deliveries (admin only)
+router.delete('/:id', requireRole(ROLES.ADMIN), webhookParamRules, idempotency, webhookController.deleteSubscription);
+
+module.exports = router;
@@ -1,4 +1,7 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+// Print grams and tokens in full (e.g. in JSON responses) instead of switching to exponent notation
+Prisma.Decimal.set({ toExpNeg: -40, toExpPos: 40 });
 
 let prisma;
 
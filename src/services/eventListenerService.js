@@ -1,33 +1,285 @@
+const fs = require('fs');
+const path = require('path');
 const web3Service = require('./web3Service');
 const prismaService = require('./prismaService');
+const webhookService = require('./webhookService');
+
+const deploymentInfoPath = path.join(__dirname, '../../deployment-info.json');
 
 class EventListenerService {
   constructor() {
     this.isListening = false;
+    this.chunkSize = parseInt(process.env.EVENT_CHUNK_SIZE) || 2000;
+    this.confirmations = parseInt(process.env.EVENT_CONFIRMATIONS) || 0;
+    // Number of processed block hashes kept for reorg detection
+    this.reorgWindow = parseInt(process.env.EVENT_REORG_WINDOW) || 128;
+    // Polls a log that fails to apply is retried on before it is skipped
+    this.maxAttempts = parseInt(process.env.EVENT_MAX_ATTEMPTS) || 5;
   }
 
   /**
-   * Start listening for blockchain events
+   * Start listening for blockchain events.
+   * Resumes from the stored checkpoint, or from the deployment block on first run,
+   * and backfills missed blocks before switching to live polling.
    */
-  startListening() {
+  async startListening() {
     if (this.isListening) {
       console.log('Event listener is already running');
       return;
     }
 
     try {
-      web3Service.setupEventListeners(
-        this.handleContainerCreated.bind(this),
-        this.handleTokensTransferred.bind(this),
-        this.handleGroupCreated.bind(this)
+      this.isListening = true;
+
+      const checkpointId = (web3Service.contractAddress || '').toLowerCase();
+      const startBlock = await this.getStartBlock(checkpointId);
+
+      await web3Service.setupEventListeners(
+        {
+          ContainerCreated: this.withWebhooks('ContainerCreated', this.handleContainerCreated),
+          TokensTransferred: this.withWebhooks('TokensTransferred', this.handleTokensTransferred),
+          TokensBatchTransferred: this.withWebhooks('TokensBatchTransferred', this.handleTokensBatchTransferred),
+          ContainerRfidUpdated: this.withWebhooks('ContainerRfidUpdated', this.handleContainerRfidUpdated),
+          ContainerHolderChanged: this.withWebhooks('ContainerHolderChanged', this.handleContainerHolderChanged),
+          TokensRedeemed: this.withWebhooks('TokensRedeemed', this.handleTokensRedeemed),
+          ReservesAttested: this.withWebhooks('ReservesAttested', this.handleReservesAttested),
+          BalanceRootAnchored: this.withWebhooks('BalanceRootAnchored', this.handleBalanceRootAnchored),
+          GroupCreated: this.withWebhooks('GroupCreated', this.handleGroupCreated),
+          ContainerAssignedToGroup: this.withWebhooks('ContainerAssignedToGroup', this.handleContainerAssignedToGroup),
+          RoleGranted: this.withWebhooks('RoleGranted', this.handleRoleChange),
+          RoleRevoked: this.withWebhooks('RoleRevoked', this.handleRoleChange)
+        },
+        {
+          startBlock,
+          chunkSize: this.chunkSize,
+          confirmations: this.confirmations,
+          onCheckpoint: (blockNumber, blockHash) => this.saveCheckpoint(checkpointId, blockNumber, blockHash),
+          checkReorg: () => this.checkReorg(checkpointId),
+          beforeRange: (fromBlock) => this.revertOrphanedLogs(fromBlock),
+          maxAttempts: this.maxAttempts,
+          onSkip: (log, error, attempts) => this.skipLog(log, error, attempts)
+        }
       );
+
+      // stopListening may have been called while the backfill was running
+      if (!this.isListening && web3Service.pollInterval) {
+        clearInterval(web3Service.pollInterval);
+        web3Service.pollInterval = null;
+        return;
+      }
       
-      this.isListening = true;
       console.log('Blockchain event listener started');
     } catch (error) {
+      this.isListening = false;
       console.error('Failed to start event listener:', error);
     }
   }
+
+  /**
+   * Wrap an event handler so that the event is queued for webhook subscribers with its log.
+   * applyLogOnce queues it once the log is applied, so logs the handler skips are not sent.
+   * @param {string} eventName - Contract event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} - Callback for setupEventListeners
+   */
+  withWebhooks(eventName, handler) {
+    return (eventData) => {
+      const webhookEvent = webhookService.buildEvent(eventName, eventData);
+      if (!webhookEvent) {
+        return handler.call(this, eventData);
+      }
+
+      return handler.call(this, { ...eventData, log: { ...eventData.log, webhookEvent } });
+    };
+  }
+
+  /**
+   * Work out the first block the listener should process
+   * @param {string} checkpointId - Checkpoint key (contract address)
+   * @returns {Promise<number|null>} - Start block, or null to start from the chain head
+   */
+  async getStartBlock(checkpointId) {
+    const lastProcessedBlock = await prismaService.getSyncCheckpoint(checkpointId);
+    if (lastProcessedBlock !== null) {
+      console.log(`Resuming event listener after checkpoint block ${lastProcessedBlock}`);
+      return lastProcessedBlock + 1;
+    }
+
+    const deploymentBlock = await this.getDeploymentBlock(checkpointId);
+    if (deploymentBlock !== null) {
+      console.log(`No checkpoint found. Starting event listener from deployment block ${deploymentBlock}`);
+      return deploymentBlock;
+    }
+
+    console.warn('No checkpoint or deployment block found. Events before the current block will not be processed.');
+    return null;
+  }
+
+  /**
+   * Store the checkpoint and remember the block hash for reorg detection
+   * @param {string} checkpointId - Checkpoint key (contract address)
+   * @param {number} blockNumber - Last processed block
+   * @param {string} blockHash - Hash of the last processed block
+   */
+  async saveCheckpoint(checkpointId, blockNumber, blockHash) {
+    await prismaService.saveSyncCheckpoint(checkpointId, blockNumber);
+
+    if (blockHash) {
+      await prismaService.saveSyncBlock(checkpointId, blockNumber, blockHash);
+      await prismaService.pruneSyncBlocks(checkpointId, { keep: this.reorgWindow });
+    }
+  }
+
+  /**
+   * Record a log the listener gives up on and alert webhook subscribers, so it can be repaired by hand
+   * (e.g. with the reconciliation endpoints) instead of holding up every later log
+   * @param {Object} log - Log position with its eventName
+   * @param {Error} error - Error of the last attempt
+   * @param {number} attempts - Number of failed attempts
+   */
+  async skipLog(log, error, attempts) {
+    const skippedLog = await prismaService.recordSkippedLog({
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash || null,
+      eventName: log.eventName,
+      attempts,
+      error: error.message
+    });
+
+    console.error(`Skipped ${log.eventName} log ${log.transactionHash}:${log.logIndex} in block ${log.blockNumber} after ${attempts} failed attempts: ${error.message}`);
+    await prismaService.queueWebhookEvent(webhookService.buildSkippedLogEvent(skippedLog));
+  }
+
+  /**
+   * Compare the block hashes we processed with the chain and, if they diverge,
+   * revert everything applied above the common ancestor
+   * @param {string} checkpointId - Checkpoint key (contract address)
+   * @returns {Promise<number|null>} - Block to resume after, or null if there was no reorg
+   */
+  async checkReorg(checkpointId) {
+    const seenBlocks = await prismaService.getRecentSyncBlocks(checkpointId, this.reorgWindow);
+    if (seenBlocks.length === 0) {
+      return null;
+    }
+
+    let ancestor = null;
+    for (const seen of seenBlocks) {
+      if (await web3Service.getBlockHash(seen.blockNumber) === seen.blockHash) {
+        ancestor = seen.blockNumber;
+        break;
+      }
+    }
+
+    // The newest block we processed is still canonical
+    if (ancestor === seenBlocks[0].blockNumber) {
+      return null;
+    }
+
+    if (ancestor === null) {
+      // Deeper than the blocks we remember: go back as far as we can
+      ancestor = seenBlocks[seenBlocks.length - 1].blockNumber - 1;
+      console.error(`Reorg is deeper than the ${seenBlocks.length} remembered blocks, rewinding to block ${ancestor}`);
+    }
+
+    await this.revertLogsFrom(ancestor + 1);
+    await prismaService.pruneSyncBlocks(checkpointId, { above: ancestor });
+    await prismaService.saveSyncCheckpoint(checkpointId, ancestor);
+
+    return ancestor;
+  }
+
+  /**
+   * Revert every applied log at or above a block, newest first
+   * @param {number} fromBlock - Lowest block to revert
+   */
+  async revertLogsFrom(fromBlock) {
+    const processedLogs = await prismaService.getProcessedLogsFrom(fromBlock);
+
+    for (const processedLog of processedLogs) {
+      await prismaService.revertProcessedLog(processedLog);
+      console.log(`Reverted ${processedLog.eventName} log ${processedLog.transactionHash}:${processedLog.logIndex} from block ${processedLog.blockNumber}`);
+    }
+
+    // Skipped logs of those blocks are tried again if their transactions are mined again
+    await prismaService.deleteSkippedLogsFrom(fromBlock);
+  }
+
+  /**
+   * Revert logs the API applied straight from a receipt whose block is no longer canonical.
+   * Runs before each chunk so re-mined transactions are applied again at their new position.
+   * @param {number} fromBlock - First block of the chunk about to be processed
+   */
+  async revertOrphanedLogs(fromBlock) {
+    const processedLogs = await prismaService.getProcessedLogsFrom(fromBlock);
+    const canonicalHashes = new Map();
+
+    for (const processedLog of processedLogs) {
+      if (!processedLog.blockHash) continue;
+
+      if (!canonicalHashes.has(processedLog.blockNumber)) {
+        canonicalHashes.set(processedLog.blockNumber, await web3Service.getBlockHash(processedLog.blockNumber));
+      }
+
+      if (canonicalHashes.get(processedLog.blockNumber) !== processedLog.blockHash) {
+        await prismaService.revertProcessedLog(processedLog);
+        console.log(`Reverted orphaned ${processedLog.eventName} log ${processedLog.transactionHash}:${processedLog.logIndex} from block ${processedLog.blockNumber}`);
+      }
+    }
+  }
+
+  /**
+   * Rebuild the role history by rescanning RoleGranted/RoleRevoked events since deployment.
+   * Logs already recorded are skipped, so this is safe to run at any time.
+   * @returns {Promise<Object>} - { fromBlock, toBlock, scanned }
+   */
+  async syncRoleEvents() {
+    const checkpointId = (web3Service.contractAddress || '').toLowerCase();
+    const fromBlock = (await this.getDeploymentBlock(checkpointId)) || 0;
+    const toBlock = Number(await web3Service.web3.eth.getBlockNumber()) - this.confirmations;
+
+    const logs = await web3Service.getPastContractLogs(['RoleGranted', 'RoleRevoked'], fromBlock, toBlock, this.chunkSize);
+
+    for (const log of logs) {
+      await prismaService.applyRoleChange(web3Service.decodeRoleLog(log));
+    }
+
+    return { fromBlock, toBlock, scanned: logs.length };
+  }
+
+  /**
+   * Read the deployment block from deployment-info.json
+   * @param {string} contractAddress - Lowercased address of the contract being listened to
+   * @returns {Promise<number|null>} - Deployment block, or null if unknown
+   */
+  async getDeploymentBlock(contractAddress) {
+    if (!fs.existsSync(deploymentInfoPath)) {
+      return null;
+    }
+
+    try {
+      const deploymentInfo = JSON.parse(fs.readFileSync(deploymentInfoPath, 'utf8'));
+
+      // Ignore deployment info for a different contract
+      if ((deploymentInfo.contractAddress || '').toLowerCase() !== contractAddress) {
+        return null;
+      }
+
+      if (deploymentInfo.deploymentBlock !== undefined) {
+        return Number(deploymentInfo.deploymentBlock);
+      }
+
+      // Older deployment-info.json files only carry the deployment transaction hash
+      if (deploymentInfo.transactionHash) {
+        return await web3Service.getTransactionBlockNumber(deploymentInfo.transactionHash);
+      }
+    } catch (error) {
+      console.error('Error reading deployment block:', error);
+    }
+
+    return null;
+  }
   
   /**
    * Stop listening for blockchain events
@@ -57,22 +309,30 @@ class EventListenerService {
    * @param {Object} eventData - Event data
    */
   async handleContainerCreated(eventData) {
-    try {
-      console.log('ContainerCreated event received:', eventData);
-      
-      // Create container in database
-      await prismaService.createContainer({
+    console.log('ContainerCreated event received:', eventData);
+    
+    // Create container in database unless this log was already applied
+    const container = await prismaService.applyLogOnce(eventData.log, 'ContainerCreated', async (db) => {
+      // Containers written before logs were tracked are left as they are
+      if (await prismaService.getContainerByTagId(eventData.tagId, db)) {
+        return null;
+      }
+
+      return prismaService.createContainer({
         tagId: eventData.tagId,
         rfid: eventData.rfid,
         grams: eventData.grams,
         tokens: eventData.tokens,
         blockNumber: eventData.blockNumber,
-        groupHash: eventData.groupHash || null
-      });
-      
+        blockTime: new Date(eventData.timestamp * 1000),
+        groupHash: await prismaService.resolveGroupHash(eventData.groupHash, db)
+      }, db);
+    }, (created) => created && { tagId: created.tagId });
+    
+    if (container) {
       console.log(`Container ${eventData.tagId} synced to database`);
-    } catch (error) {
-      console.error('Error handling ContainerCreated event:', error);
+    } else {
+      console.log(`Container ${eventData.tagId} already in database, skipping`);
     }
   }
 
@@ -81,34 +341,228 @@ class EventListenerService {
    * @param {Object} eventData - Event data
    */
   async handleTokensTransferred(eventData) {
-    try {
-      console.log('TokensTransferred event received:', eventData);
-      
-      // Get blockchain data for source and destination containers
-      const [fromContainer, toContainer] = await Promise.all([
-        web3Service.getContainer(eventData.fromTagId),
-        web3Service.getContainer(eventData.toTagId)
-      ]);
-      
-      // Update or create containers in database
-      await Promise.all([
-        prismaService.verifyAndSyncContainer(eventData.fromTagId, fromContainer),
-        prismaService.verifyAndSyncContainer(eventData.toTagId, toContainer)
-      ]);
-      
-      // Create transaction record
-      await prismaService.createTransaction({
+    console.log('TokensTransferred event received:', eventData);
+    
+    const transaction = await prismaService.applyLogOnce(eventData.log, 'TokensTransferred', async (db) => {
+      // A source the database has never seen predates the listener's history:
+      // seed it from the chain with this transfer added back, so the debit below lands on its current balance
+      if (!await prismaService.getContainerByTagId(eventData.fromTagId, db)) {
+        const fromContainer = await web3Service.getContainer(eventData.fromTagId);
+        await prismaService.verifyAndSyncContainer(eventData.fromTagId, {
+          ...fromContainer,
+          grams: web3Service.sumAmounts([fromContainer.grams, eventData.grams]),
+          tokens: web3Service.sumAmounts([fromContainer.tokens, eventData.tokens])
+        }, db);
+      }
+
+      return prismaService.applyTransfer({
         fromTagId: eventData.fromTagId,
         toTagId: eventData.toTagId,
         tokens: eventData.tokens,
         grams: eventData.grams,
         transactionHash: eventData.transactionHash,
-        blockNumber: null // Will be updated when transaction is mined
-      });
-      
+        logIndex: eventData.log.logIndex,
+        blockNumber: eventData.log.blockNumber,
+        blockTime: new Date(eventData.timestamp * 1000)
+      }, db);
+    }, {
+      fromTagId: eventData.fromTagId,
+      toTagId: eventData.toTagId,
+      tokens: eventData.tokens,
+      grams: eventData.grams
+    });
+    
+    if (transaction) {
       console.log(`Transaction from ${eventData.fromTagId} to ${eventData.toTagId} synced to database`);
-    } catch (error) {
-      console.error('Error handling TokensTransferred event:', error);
+    } else {
+      console.log(`Transaction ${eventData.transactionHash} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle TokensBatchTransferred event. Its legs come through handleTokensTransferred first;
+   * this groups them into one batch.
+   * @param {Object} eventData - Event data
+   */
+  async handleTokensBatchTransferred(eventData) {
+    console.log('TokensBatchTransferred event received:', eventData);
+    
+    const batch = await prismaService.applyLogOnce(eventData.log, 'TokensBatchTransferred', (db) => (
+      prismaService.createTransferBatch({
+        fromTagId: eventData.fromTagId,
+        legs: eventData.legs,
+        tokens: eventData.tokens,
+        grams: eventData.grams,
+        transactionHash: eventData.transactionHash,
+        logIndex: eventData.log.logIndex,
+        blockNumber: eventData.log.blockNumber
+      }, db)
+    ), { fromTagId: eventData.fromTagId });
+    
+    if (batch) {
+      console.log(`Batch transfer of ${eventData.legs} legs from ${eventData.fromTagId} synced to database`);
+    } else {
+      console.log(`Batch transfer ${eventData.transactionHash} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle ContainerRfidUpdated event
+   * @param {Object} eventData - Event data
+   */
+  async handleContainerRfidUpdated(eventData) {
+    console.log('ContainerRfidUpdated event received:', eventData);
+    
+    // Throw so the log is retried, and recorded as skipped if the container never shows up
+    if (!await prismaService.getContainerByTagId(eventData.tagId)) {
+      throw new Error(`Cannot mirror RFID ${eventData.rfid} of ${eventData.tagId}: container not in database`);
+    }
+    
+    // Bind the RFID and record the change unless this log was already applied
+    const change = await prismaService.applyLogOnce(eventData.log, 'ContainerRfidUpdated', (db) => (
+      prismaService.applyRfidChange({
+        tagId: eventData.tagId,
+        previousRfid: eventData.previousRfid,
+        rfid: eventData.rfid,
+        transactionHash: eventData.transactionHash,
+        logIndex: eventData.log.logIndex,
+        blockNumber: eventData.log.blockNumber
+      }, db)
+    ), {
+      tagId: eventData.tagId,
+      previousRfid: eventData.previousRfid
+    });
+    
+    if (change) {
+      console.log(`RFID ${eventData.rfid} bound to container ${eventData.tagId} in database`);
+    } else {
+      console.log(`RFID change ${eventData.transactionHash} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle ContainerHolderChanged event
+   * @param {Object} eventData - Event data
+   */
+  async handleContainerHolderChanged(eventData) {
+    console.log('ContainerHolderChanged event received:', eventData);
+    
+    // Throw so the log is retried, and recorded as skipped if the container never shows up
+    if (!await prismaService.getContainerByTagId(eventData.tagId)) {
+      throw new Error(`Cannot mirror holder of ${eventData.tagId}: container not in database`);
+    }
+    
+    // Assign the holder unless this log was already applied
+    const container = await prismaService.applyLogOnce(eventData.log, 'ContainerHolderChanged', (db) => (
+      prismaService.setContainerHolder(eventData.tagId, eventData.holder, db)
+    ), {
+      tagId: eventData.tagId,
+      previousHolder: eventData.previousHolder
+    });
+    
+    if (container) {
+      console.log(`Container ${eventData.tagId} assigned to ${eventData.holder || 'custody'} in database`);
+    } else {
+      console.log(`Holder change ${eventData.transactionHash} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle TokensRedeemed event
+   * @param {Object} eventData - Event data
+   */
+  async handleTokensRedeemed(eventData) {
+    console.log('TokensRedeemed event received:', eventData);
+    
+    // Throw so the log is retried, and recorded as skipped if the container never shows up
+    if (!await prismaService.getContainerByTagId(eventData.tagId)) {
+      throw new Error(`Cannot mirror redemption of ${eventData.tokens} tokens from ${eventData.tagId}: container not in database`);
+    }
+    
+    // Debit the container and mark the redemption burned unless this log was already applied
+    const applied = await prismaService.applyLogOnce(eventData.log, 'TokensRedeemed', (db) => (
+      prismaService.applyRedemption({
+        tagId: eventData.tagId,
+        redemptionHash: eventData.redemptionId,
+        tokens: eventData.tokens,
+        grams: eventData.grams,
+        transactionHash: eventData.transactionHash,
+        logIndex: eventData.log.logIndex,
+        blockNumber: eventData.log.blockNumber,
+        blockTime: new Date(eventData.timestamp * 1000)
+      }, db)
+    ), {
+      tagId: eventData.tagId,
+      redemptionHash: eventData.redemptionId,
+      tokens: eventData.tokens,
+      grams: eventData.grams
+    });
+    
+    if (!applied) {
+      console.log(`Redemption ${eventData.transactionHash} already in database, skipping`);
+    } else if (!applied.redemption) {
+      console.warn(`Tokens redeemed from ${eventData.tagId} under unknown redemption ${eventData.redemptionId}`);
+    } else {
+      console.log(`Redemption ${applied.redemption.id} burned ${eventData.tokens} tokens from ${eventData.tagId}`);
+    }
+  }
+
+  /**
+   * Handle ReservesAttested event
+   * @param {Object} eventData - Event data
+   */
+  async handleReservesAttested(eventData) {
+    console.log('ReservesAttested event received:', eventData);
+    
+    if (!await prismaService.getAttestationByHash(eventData.auditHash)) {
+      console.warn(`Reserves attested by ${eventData.auditor} under unknown audit ${eventData.auditHash}`);
+      return;
+    }
+    
+    // Mark the attestation recorded unless this log was already applied
+    const attestation = await prismaService.applyLogOnce(eventData.log, 'ReservesAttested', (db) => (
+      prismaService.recordAttestation({
+        auditHash: eventData.auditHash,
+        supplyGrams: eventData.supplyGrams,
+        transactionHash: eventData.transactionHash,
+        logIndex: eventData.log.logIndex,
+        blockNumber: eventData.log.blockNumber
+      }, db)
+    ), { auditHash: eventData.auditHash });
+    
+    if (attestation) {
+      console.log(`Attestation ${attestation.id} recorded with coverage ${attestation.coverageRatio}`);
+    } else {
+      console.log(`Attestation ${eventData.transactionHash} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle BalanceRootAnchored event
+   * @param {Object} eventData - Event data
+   */
+  async handleBalanceRootAnchored(eventData) {
+    console.log('BalanceRootAnchored event received:', eventData);
+    
+    if (!await prismaService.getSnapshotByRoot(eventData.root)) {
+      console.warn(`Balance root ${eventData.root} anchored for an unknown snapshot`);
+      return;
+    }
+    
+    // Mark the snapshot anchored unless this log was already applied
+    const snapshot = await prismaService.applyLogOnce(eventData.log, 'BalanceRootAnchored', (db) => (
+      prismaService.anchorSnapshot({
+        root: eventData.root,
+        transactionHash: eventData.transactionHash,
+        logIndex: eventData.log.logIndex,
+        blockNumber: eventData.log.blockNumber
+      }, db)
+    ), { root: eventData.root });
+    
+    if (snapshot) {
+      console.log(`Snapshot ${snapshot.id} of ${snapshot.containerCount} containers anchored`);
+    } else {
+      console.log(`Snapshot anchor ${eventData.transactionHash} already in database, skipping`);
     }
   }
 
@@ -117,19 +571,70 @@ class EventListenerService {
    * @param {Object} eventData - Event data
    */
   async handleGroupCreated(eventData) {
-    try {
-      console.log('GroupCreated event received:', eventData);
-      
-      // Create group in database
-      await prismaService.createGroup({
-        groupHash: eventData.groupHash,
+    console.log('GroupCreated event received:', eventData);
+    
+    // Create group in database unless this log was already applied.
+    // Groups created outside the API are keyed by their on-chain bytes32 hash.
+    const chainHash = eventData.groupHash.toLowerCase();
+    const group = await prismaService.applyLogOnce(eventData.log, 'GroupCreated', (db) => (
+      prismaService.createGroup({
+        groupHash: chainHash,
+        chainHash,
         name: eventData.name,
         description: eventData.description
-      });
-      
+      }, db)
+    ), { groupHash: chainHash });
+    
+    if (group) {
       console.log(`Group ${eventData.groupHash} synced to database`);
-    } catch (error) {
-      console.error('Error handling GroupCreated event:', error);
+    } else {
+      console.log(`Group ${eventData.groupHash} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle ContainerAssignedToGroup event
+   * @param {Object} eventData - Event data
+   */
+  async handleContainerAssignedToGroup(eventData) {
+    console.log('ContainerAssignedToGroup event received:', eventData);
+    
+    const groupHash = await prismaService.resolveGroupHash(eventData.groupHash);
+    const existing = await prismaService.getContainerByTagId(eventData.tagId);
+    
+    // Throw so the log is retried, and recorded as skipped if the container or group never shows up
+    if (!groupHash || !existing) {
+      throw new Error(`Cannot mirror assignment of ${eventData.tagId} to group ${eventData.groupHash}: container or group not in database`);
+    }
+    
+    // Update the container's group unless this log was already applied
+    const container = await prismaService.applyLogOnce(eventData.log, 'ContainerAssignedToGroup', (db) => (
+      prismaService.updateContainer(eventData.tagId, { groupHash }, db)
+    ), {
+      tagId: eventData.tagId,
+      previousGroupHash: existing.groupHash
+    });
+    
+    if (container) {
+      console.log(`Container ${eventData.tagId} assigned to group ${groupHash} in database`);
+    } else {
+      console.log(`Assignment of ${eventData.tagId} already in database, skipping`);
+    }
+  }
+
+  /**
+   * Handle RoleGranted and RoleRevoked events
+   * @param {Object} eventData - Decoded role log
+   */
+  async handleRoleChange(eventData) {
+    console.log(`${eventData.granted ? 'RoleGranted' : 'RoleRevoked'} event received:`, eventData);
+    
+    const change = await prismaService.applyRoleChange(eventData);
+    
+    if (change) {
+      console.log(`Role change ${change.action} ${eventData.role} for ${eventData.account} synced to database`);
+    } else {
+      console.log(`Role change ${eventData.transactionHash} already in database, skipping`);
     }
   }
 }
@@ -0,0 +1,257 @@
+const prismaService = require('./prismaService');
+const jobService = require('./jobService');
+const { validateContainerFields } = require('../middleware/validationMiddleware');
+
+const { JOB_TYPES } = jobService;
+
+// Most rows accepted in one import
+const IMPORT_MAX_ROWS = 1000;
+
+// CSV header (lowercased) => container field
+const CSV_COLUMNS = {
+  tagid: 'tagId',
+  rfid: 'rfid',
+  grams: 'grams',
+  group: 'groupHash',
+  grouphash: 'groupHash'
+};
+
+/**
+ * Split CSV text into rows of fields. Supports quoted fields with commas, quotes ("") and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>|null} - Rows, or null if a quoted field is never closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+class ImportService {
+  constructor() {
+    // Containers minted per createContainers transaction
+    this.batchSize = parseInt(process.env.IMPORT_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Read containers from an uploaded CSV (with a header row) or JSON body
+   * @param {string|Array|Object} body - CSV text, an array of containers, or { containers: [...] }
+   * @returns {Object} - { containers } or { error }
+   */
+  parseContainerFile(body) {
+    if (typeof body === 'string') {
+      const rows = parseCsv(body.replace(/^\uFEFF/, ''));
+      if (!rows) {
+        return { error: 'Invalid CSV: unterminated quoted field' };
+      }
+      if (rows.length < 2) {
+        return { error: 'CSV must have a header row and at least one container' };
+      }
+
+      const columns = rows[0].map((header) => CSV_COLUMNS[header.trim().toLowerCase()]);
+      if (!columns.includes('tagId')) {
+        return { error: 'CSV header must include tagId, rfid, grams and optionally group' };
+      }
+
+      return {
+        containers: rows.slice(1).map((fields) => {
+          const container = {};
+          columns.forEach((column, i) => {
+            if (column && fields[i] !== undefined && fields[i].trim() !== '') {
+              container[column] = fields[i].trim();
+            }
+          });
+          return container;
+        })
+      };
+    }
+
+    const containers = Array.isArray(body) ? body : body && body.containers;
+    if (!Array.isArray(containers) || containers.length === 0) {
+      return { error: 'Send a CSV file (text/csv) or a JSON array of containers' };
+    }
+
+    return {
+      containers: containers.map((item) => {
+        const { group, groupHash, ...fields } = item && typeof item === 'object' ? item : {};
+        return { ...fields, groupHash: groupHash || group };
+      })
+    };
+  }
+
+  /**
+   * Validate every container, flag duplicates in the file and the database,
+   * and queue the valid ones for minting in batches
+   * @param {Array<Object>} containers - Parsed containers
+   * @param {Object} options - { dryRun, requestedBy }
+   * @returns {Promise<Object>} - Per-row report and queued jobs
+   */
+  async importContainers(containers, { dryRun = false, requestedBy = null } = {}) {
+    if (containers.length > IMPORT_MAX_ROWS) {
+      return { error: `An import can have at most ${IMPORT_MAX_ROWS} containers` };
+    }
+
+    const rows = await Promise.all(containers.map(async (container, i) => ({
+      row: i + 1,
+      tagId: container.tagId !== undefined ? String(container.tagId) : null,
+      container,
+      errors: (await validateContainerFields(container)).map((error) => error.msg),
+      duplicates: []
+    })));
+
+    await this.checkDuplicates(rows);
+    await this.checkGroups(rows);
+
+    const valid = rows.filter((row) => row.errors.length === 0 && row.duplicates.length === 0);
+    const jobs = [];
+
+    if (!dryRun) {
+      for (let i = 0; i < valid.length; i += this.batchSize) {
+        const batch = valid.slice(i, i + this.batchSize);
+        const job = await jobService.enqueue(JOB_TYPES.CREATE_CONTAINERS, {
+          containers: batch.map(({ container }) => ({
+            tagId: String(container.tagId),
+            rfid: String(container.rfid),
+            grams: String(container.grams),
+            groupHash: container.groupHash || null
+          }))
+        }, requestedBy);
+
+        batch.forEach((row) => {
+          row.jobId = job.id;
+        });
+        jobs.push(job);
+      }
+    }
+
+    return {
+      total: rows.length,
+      accepted: valid.length,
+      rejected: rows.length - valid.length,
+      jobs,
+      rows: rows.map((row) => {
+        let status = dryRun ? 'VALID' : 'QUEUED';
+        if (row.errors.length > 0) {
+          status = 'INVALID';
+        } else if (row.duplicates.length > 0) {
+          status = 'DUPLICATE';
+        }
+
+        return {
+          row: row.row,
+          tagId: row.tagId,
+          status,
+          errors: [...row.errors, ...row.duplicates],
+          jobId: row.jobId || null
+        };
+      })
+    };
+  }
+
+  /**
+   * Flag tagIds and RFIDs that appear more than once in the file, already belong to a container, or belong to a
+   * container whose creation is queued but not yet mined (which would make the whole batch revert)
+   * @param {Array<Object>} rows - Import rows
+   */
+  async checkDuplicates(rows) {
+    const pending = await prismaService.getPendingContainerCreations();
+
+    for (const field of ['tagId', 'rfid']) {
+      const seen = new Map();
+      rows.forEach((row) => {
+        const value = row.container[field];
+        if (value !== undefined && value !== null && value !== '') {
+          const key = String(value);
+          seen.set(key, [...(seen.get(key) || []), row.row]);
+        }
+      });
+
+      for (const [value, rowNumbers] of seen) {
+        if (rowNumbers.length > 1) {
+          rowNumbers.forEach((rowNumber) => {
+            rows[rowNumber - 1].duplicates.push(`Duplicate ${field} ${value} in file (rows ${rowNumbers.join(', ')})`);
+          });
+        }
+      }
+
+      const existing = field === 'tagId'
+        ? await prismaService.getContainersByTagIds([...seen.keys()])
+        : await prismaService.getContainersByRfids([...seen.keys()]);
+
+      existing.forEach((container) => {
+        (seen.get(container[field]) || []).forEach((rowNumber) => {
+          rows[rowNumber - 1].duplicates.push(field === 'tagId'
+            ? `Container ${container.tagId} already exists`
+            : `RFID ${container.rfid} is already bound to container ${container.tagId}`);
+        });
+      });
+
+      pending.forEach((container) => {
+        (seen.get(String(container[field])) || []).forEach((rowNumber) => {
+          rows[rowNumber - 1].duplicates.push(field === 'tagId'
+            ? `Container ${container.tagId} is already queued for creation (job ${container.jobId})`
+            : `RFID ${container.rfid} is already queued for container ${container.tagId} (job ${container.jobId})`);
+        });
+      });
+    }
+  }
+
+  /**
+   * Flag rows whose group doesn't exist
+   * @param {Array<Object>} rows - Import rows
+   */
+  async checkGroups(rows) {
+    const groupHashes = [...new Set(rows.map((row) => row.container.groupHash).filter(Boolean))];
+    const groups = await Promise.all(groupHashes.map((groupHash) => prismaService.getGroupByHash(String(groupHash))));
+    const missing = new Set(groupHashes.filter((groupHash, i) => !groups[i]));
+
+    rows.forEach((row) => {
+      if (missing.has(row.container.groupHash)) {
+        row.errors.push(`Group ${row.container.groupHash} not found`);
+      }
+    });
+  }
+}
+
+module.exports = new ImportService();
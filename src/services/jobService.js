@@ -0,0 +1,844 @@
+const web3Service = require('./web3Service');
+const prismaService = require('./prismaService');
+
+const JOB_TYPES = {
+  CREATE_CONTAINER: 'CREATE_CONTAINER',
+  CREATE_CONTAINERS: 'CREATE_CONTAINERS',
+  TRANSFER_TOKENS: 'TRANSFER_TOKENS',
+  BATCH_TRANSFER: 'BATCH_TRANSFER',
+  UPDATE_RFID: 'UPDATE_RFID',
+  SET_HOLDER: 'SET_HOLDER',
+  REDEEM_TOKENS: 'REDEEM_TOKENS',
+  ATTEST_RESERVES: 'ATTEST_RESERVES',
+  ANCHOR_SNAPSHOT: 'ANCHOR_SNAPSHOT',
+  CREATE_GROUP: 'CREATE_GROUP',
+  ASSIGN_TO_GROUP: 'ASSIGN_TO_GROUP',
+  GRANT_ROLE: 'GRANT_ROLE',
+  REVOKE_ROLE: 'REVOKE_ROLE',
+  RENOUNCE_ROLE: 'RENOUNCE_ROLE'
+};
+
+// queued -> submitted -> mined -> confirmed, or failed at any step
+const JOB_STATUS = {
+  QUEUED: 'QUEUED',
+  SUBMITTED: 'SUBMITTED',
+  MINED: 'MINED',
+  CONFIRMED: 'CONFIRMED',
+  FAILED: 'FAILED'
+};
+
+class JobService {
+  constructor() {
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.interval = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+    // Blocks (including the one it was mined in) before a job counts as confirmed
+    this.confirmations = parseInt(process.env.JOB_CONFIRMATIONS) || 1;
+    // Submission attempts before a job fails on node or network errors
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    // A transaction pending for TX_STUCK_TIMEOUT ms is sped up (or cancelled, with TX_STUCK_ACTION=cancel)
+    // by rebroadcasting at the same nonce with fees raised by TX_FEE_BUMP_PERCENT.
+    // After TX_MAX_SPEEDUPS speed-ups it is cancelled.
+    this.stuckTimeout = parseInt(process.env.TX_STUCK_TIMEOUT) || 180000;
+    this.stuckAction = (process.env.TX_STUCK_ACTION || 'speedup').toLowerCase();
+    this.maxSpeedUps = parseInt(process.env.TX_MAX_SPEEDUPS) || 3;
+    this.feeBumpPercent = parseInt(process.env.TX_FEE_BUMP_PERCENT) || 15;
+
+    // How each job type is sent to the contract and mirrored into the database once mined
+    this.handlers = {
+      [JOB_TYPES.CREATE_CONTAINER]: {
+        call: ({ tagId, rfid, grams, groupHash }) => (
+          web3Service.buildContractCall('createContainer', [
+            tagId,
+            rfid,
+            web3Service.toUnits(grams),
+            web3Service.toBytes32(groupHash || '')
+          ])
+        ),
+        apply: this.applyContainerCreated.bind(this)
+      },
+      [JOB_TYPES.CREATE_CONTAINERS]: {
+        call: ({ containers }) => web3Service.buildContractCall('createContainers', [
+          containers.map((container) => container.tagId),
+          containers.map((container) => container.rfid),
+          containers.map((container) => web3Service.toUnits(container.grams)),
+          containers.map((container) => web3Service.toBytes32(container.groupHash || ''))
+        ]),
+        apply: this.applyContainersCreated.bind(this)
+      },
+      [JOB_TYPES.TRANSFER_TOKENS]: {
+        call: ({ fromTagId, toTagId, tokenAmount }) => (
+          web3Service.buildContractCall('transferTokens', [fromTagId, toTagId, web3Service.toUnits(tokenAmount)])
+        ),
+        apply: this.applyTokensTransferred.bind(this)
+      },
+      [JOB_TYPES.BATCH_TRANSFER]: {
+        call: ({ fromTagId, transfers }) => web3Service.buildContractCall('batchTransferTokens', [
+          fromTagId,
+          transfers.map((transfer) => transfer.toTagId),
+          transfers.map((transfer) => web3Service.toUnits(transfer.tokenAmount))
+        ]),
+        apply: this.applyTokensBatchTransferred.bind(this)
+      },
+      [JOB_TYPES.UPDATE_RFID]: {
+        call: ({ tagId, rfid }) => web3Service.buildContractCall('setContainerRfid', [tagId, rfid]),
+        apply: this.applyRfidUpdated.bind(this)
+      },
+      [JOB_TYPES.SET_HOLDER]: {
+        call: ({ tagId, holder }) => (
+          web3Service.buildContractCall('setContainerHolder', [tagId, holder || '0x' + '0'.repeat(40)])
+        ),
+        apply: this.applyHolderChanged.bind(this)
+      },
+      [JOB_TYPES.REDEEM_TOKENS]: {
+        call: ({ tagId, tokenAmount, redemptionHash }) => (
+          web3Service.buildContractCall('redeemTokens', [tagId, web3Service.toUnits(tokenAmount), redemptionHash])
+        ),
+        apply: this.applyTokensRedeemed.bind(this)
+      },
+      [JOB_TYPES.ATTEST_RESERVES]: {
+        call: ({ auditHash, auditor, auditedGrams }) => (
+          web3Service.buildContractCall('attestReserves', [auditHash, auditor, web3Service.toUnits(auditedGrams)])
+        ),
+        apply: this.applyReservesAttested.bind(this)
+      },
+      [JOB_TYPES.ANCHOR_SNAPSHOT]: {
+        call: ({ root, containerCount, totalGrams, totalTokens }) => (
+          web3Service.buildContractCall('anchorBalanceRoot', [
+            root,
+            containerCount,
+            web3Service.toUnits(totalGrams),
+            web3Service.toUnits(totalTokens)
+          ])
+        ),
+        apply: this.applyBalanceRootAnchored.bind(this)
+      },
+      [JOB_TYPES.CREATE_GROUP]: {
+        call: ({ groupHash, name, description }) => (
+          web3Service.buildContractCall('createGroup', [web3Service.toBytes32(groupHash), name, description || ''])
+        ),
+        apply: this.applyGroupCreated.bind(this)
+      },
+      [JOB_TYPES.ASSIGN_TO_GROUP]: {
+        call: ({ tagIds, chainHash }) => (tagIds.length === 1
+          ? web3Service.buildContractCall('assignContainerToGroup', [tagIds[0], web3Service.toBytes32(chainHash)])
+          : web3Service.buildContractCall('assignContainersToGroup', [tagIds, web3Service.toBytes32(chainHash)])
+        ),
+        apply: this.applyContainersAssignedToGroup.bind(this)
+      },
+      [JOB_TYPES.GRANT_ROLE]: {
+        call: ({ role, account }) => web3Service.buildContractCall('grantRole', [web3Service.roleHashes[role], account]),
+        apply: this.applyRoleChanges.bind(this)
+      },
+      [JOB_TYPES.REVOKE_ROLE]: {
+        call: ({ role, account }) => web3Service.buildContractCall('revokeRole', [web3Service.roleHashes[role], account]),
+        apply: this.applyRoleChanges.bind(this)
+      },
+      [JOB_TYPES.RENOUNCE_ROLE]: {
+        call: ({ role }) => (
+          web3Service.buildContractCall('renounceRole', [web3Service.roleHashes[role], web3Service.senderAddress])
+        ),
+        apply: this.applyRoleChanges.bind(this)
+      }
+    };
+  }
+
+  /**
+   * Queue a contract write
+   * @param {string} type - Job type
+   * @param {Object} payload - Job parameters
+   * @param {string} requestedBy - Name of the API key that queued the job
+   * @returns {Promise<Object>} - Queued job
+   */
+  async enqueue(type, payload, requestedBy = null) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await prismaService.createJob(type, payload, requestedBy);
+
+    // Pick it up straight away rather than on the next tick
+    if (this.pollInterval) {
+      setImmediate(() => this.processJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the worker. Jobs left submitted or mined by a previous run are picked up again,
+   * and the nonce manager is reconciled with the node and the jobs still in flight.
+   */
+  async start() {
+    if (this.pollInterval) {
+      console.log('Job worker is already running');
+      return;
+    }
+
+    if (!web3Service.senderAddress) {
+      console.warn('PRIVATE_KEY not set. Job worker not started.');
+      return;
+    }
+
+    try {
+      await web3Service.nonces.sync(await prismaService.getJobNonces([JOB_STATUS.SUBMITTED]));
+    } catch (error) {
+      // The first acquire reconciles with the node instead
+      console.error('Error syncing nonces:', error);
+    }
+
+    this.pollInterval = setInterval(() => this.processJobs(), this.interval);
+    this.processJobs();
+
+    console.log('Job worker started');
+  }
+
+  /**
+   * Stop the worker
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('Job worker stopped');
+    }
+  }
+
+  /**
+   * One worker pass: track jobs already on the chain, then submit queued ones
+   */
+  async processJobs() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      for (const job of await prismaService.getJobsByStatus([JOB_STATUS.SUBMITTED, JOB_STATUS.MINED])) {
+        await this.trackJob(job).catch((error) => console.error(`Error tracking job ${job.id}:`, error));
+      }
+
+      for (const job of await prismaService.getJobsByStatus([JOB_STATUS.QUEUED])) {
+        await this.submitJob(job).catch((error) => console.error(`Error submitting job ${job.id}:`, error));
+      }
+
+      // Unblock transactions waiting behind nonces of failed sends
+      const filled = await web3Service.nonces.fillGaps();
+      if (filled.length > 0) {
+        console.log(`Filled nonce gaps: ${filled.join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Error processing jobs:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Sign and broadcast a queued job. The hash is stored before broadcasting,
+   * so a crash in between can't lead to the transaction being sent twice.
+   * @param {Object} job - Queued job
+   */
+  async submitJob(job) {
+    const handler = this.handlers[job.type];
+    let signed;
+
+    try {
+      signed = await web3Service.signContractCall(handler.call(JSON.parse(job.payload)));
+    } catch (error) {
+      // Reverts show up in gas estimation; anything else is worth retrying
+      const attempts = job.attempts + 1;
+
+      await prismaService.updateJob(job.id, web3Service.isRevertError(error) || attempts >= this.maxAttempts
+        ? { status: JOB_STATUS.FAILED, attempts, error: web3Service.getRevertReason(error) }
+        : { attempts, error: web3Service.getRevertReason(error) });
+      return;
+    }
+
+    try {
+      await prismaService.updateJob(job.id, {
+        status: JOB_STATUS.SUBMITTED,
+        transactionHash: signed.transactionHash,
+        rawTransaction: signed.rawTransaction,
+        nonce: signed.nonce,
+        gasLimit: signed.gas,
+        ...this.toFeeColumns(signed.fees),
+        attempts: job.attempts + 1,
+        error: null,
+        submittedAt: new Date()
+      });
+    } catch (error) {
+      // Nothing was broadcast, so give the nonce back rather than leave a gap; the job is still queued and is
+      // signed again on the next tick
+      web3Service.nonces.release(signed.nonce);
+      throw error;
+    }
+
+    try {
+      await web3Service.broadcastTransaction(signed.rawTransaction);
+    } catch (error) {
+      // Left submitted: trackJob rebroadcasts it, or queues it again if the nonce was used by something else
+      console.error(`Error broadcasting job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Follow a submitted or mined job's transaction
+   * @param {Object} job - Submitted or mined job
+   */
+  async trackJob(job) {
+    // Any version of the transaction may be the one that gets mined: the latest, or one it replaced
+    const hashes = [job.transactionHash, ...job.replacements.map((replacement) => replacement.previousHash).reverse()];
+    let receipt = null;
+    for (const hash of hashes) {
+      receipt = await web3Service.getTransactionReceipt(hash);
+      if (receipt) {
+        break;
+      }
+    }
+
+    if (!receipt) {
+      if (job.status === JOB_STATUS.MINED) {
+        // Its block was reorged out; it goes back to waiting to be mined
+        await prismaService.updateJob(job.id, { status: JOB_STATUS.SUBMITTED, blockNumber: null, minedAt: null });
+      }
+
+      const requeued = !(await web3Service.hasTransaction(job.transactionHash)) && await this.rebroadcastJob(job);
+      if (!requeued && this.isStuck(job)) {
+        await this.replaceJob(job);
+      }
+      return;
+    }
+
+    const handler = this.handlers[job.type];
+    const payload = JSON.parse(job.payload);
+    const blockNumber = Number(receipt.blockNumber);
+    const cancelled = job.replacements.some((replacement) => (
+      replacement.action === 'CANCEL' && replacement.transactionHash === receipt.transactionHash
+    ));
+
+    if (cancelled || Number(receipt.status) !== 1) {
+      await prismaService.updateJob(job.id, {
+        status: JOB_STATUS.FAILED,
+        transactionHash: receipt.transactionHash,
+        blockNumber,
+        receipt: JSON.stringify(web3Service.serializeReceipt(receipt)),
+        error: cancelled
+          ? 'Transaction was cancelled after being stuck'
+          : await web3Service.getFailedCallReason(handler.call(payload), blockNumber)
+      });
+      return;
+    }
+
+    let data = {};
+    if (receipt.transactionHash !== job.transactionHash) {
+      data.transactionHash = receipt.transactionHash;
+    }
+
+    if (job.status === JOB_STATUS.SUBMITTED || blockNumber !== job.blockNumber) {
+      const result = await handler.apply(payload, receipt, job);
+      data = {
+        ...data,
+        status: JOB_STATUS.MINED,
+        blockNumber,
+        receipt: JSON.stringify(web3Service.serializeReceipt(receipt)),
+        result: JSON.stringify(result),
+        minedAt: job.minedAt || new Date()
+      };
+    }
+
+    const currentBlock = await web3Service.getBlockNumber();
+    if (currentBlock - blockNumber + 1 >= this.confirmations) {
+      data = { ...data, status: JOB_STATUS.CONFIRMED, confirmedAt: new Date() };
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prismaService.updateJob(job.id, data);
+    }
+  }
+
+  /**
+   * Rebroadcast a submitted transaction the node doesn't know about,
+   * or queue it again if its nonce has been used
+   * @param {Object} job - Submitted job
+   * @returns {Promise<boolean>} - True if the job was queued again
+   */
+  async rebroadcastJob(job) {
+    try {
+      await web3Service.broadcastTransaction(job.rawTransaction);
+    } catch (error) {
+      if (/nonce too low/i.test(error.message)) {
+        // Another transaction took the nonce, so this one can never be mined: submit it again with a new one
+        await prismaService.updateJob(job.id, {
+          status: JOB_STATUS.QUEUED,
+          transactionHash: null,
+          rawTransaction: null,
+          nonce: null,
+          submittedAt: null,
+          error: 'Transaction was dropped and has been queued again'
+        });
+        return true;
+      }
+      console.error(`Error rebroadcasting job ${job.id}:`, error.message);
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether a submitted job has been pending longer than TX_STUCK_TIMEOUT since it was last broadcast
+   * @param {Object} job - Submitted job with its replacements
+   * @returns {boolean} - True if the job should be replaced
+   */
+  isStuck(job) {
+    const lastReplacement = job.replacements[job.replacements.length - 1];
+    const lastSentAt = lastReplacement ? lastReplacement.createdAt : job.submittedAt;
+    return Date.now() - new Date(lastSentAt).getTime() >= this.stuckTimeout;
+  }
+
+  /**
+   * Speed up or cancel a stuck job by rebroadcasting at its nonce with higher fees.
+   * The replacement is recorded against the job before it is broadcast.
+   * @param {Object} job - Stuck job with its replacements
+   */
+  async replaceJob(job) {
+    const speedUps = job.replacements.filter((replacement) => replacement.action === 'SPEED_UP').length;
+    const cancelling = job.replacements.some((replacement) => replacement.action === 'CANCEL');
+    const action = this.stuckAction === 'cancel' || cancelling || speedUps >= this.maxSpeedUps ? 'CANCEL' : 'SPEED_UP';
+
+    const fees = await web3Service.getReplacementFees(this.fromFeeColumns(job), this.feeBumpPercent);
+    if (!fees) {
+      console.warn(`Job ${job.id} is stuck, but FEE_CAP_GWEI leaves no room to replace it`);
+      return;
+    }
+
+    const signed = action === 'CANCEL'
+      ? await web3Service.signCancellation(job.nonce, fees)
+      : await web3Service.signContractCall(this.handlers[job.type].call(JSON.parse(job.payload)), {
+        nonce: job.nonce,
+        gas: job.gasLimit,
+        fees
+      });
+
+    await prismaService.recordJobReplacement(job, action, {
+      transactionHash: signed.transactionHash,
+      rawTransaction: signed.rawTransaction,
+      nonce: job.nonce,
+      gasLimit: signed.gas,
+      ...this.toFeeColumns(fees)
+    });
+
+    try {
+      await web3Service.broadcastTransaction(signed.rawTransaction);
+      console.log(`Job ${job.id}: ${action === 'CANCEL' ? 'cancelling' : 'speeding up'} transaction at nonce ${job.nonce}`);
+    } catch (error) {
+      // Left as the job's transaction: rebroadcast on the next pass, or replaced again once stuck
+      console.error(`Error broadcasting replacement for job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Fees as stored on a job, in wei strings
+   * @param {Object} fees - { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }
+   * @returns {Object} - { gasPrice, maxFeePerGas, maxPriorityFeePerGas }
+   */
+  toFeeColumns(fees) {
+    return {
+      gasPrice: fees.gasPrice !== undefined ? String(fees.gasPrice) : null,
+      maxFeePerGas: fees.maxFeePerGas !== undefined ? String(fees.maxFeePerGas) : null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas !== undefined ? String(fees.maxPriorityFeePerGas) : null
+    };
+  }
+
+  /**
+   * Fees of a job's current transaction
+   * @param {Object} job - Job
+   * @returns {Object} - { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }, in wei
+   */
+  fromFeeColumns(job) {
+    return job.maxFeePerGas
+      ? { maxFeePerGas: BigInt(job.maxFeePerGas), maxPriorityFeePerGas: BigInt(job.maxPriorityFeePerGas) }
+      : { gasPrice: BigInt(job.gasPrice) };
+  }
+
+  /**
+   * Create the container in the database, unless the event listener already applied this log
+   * @param {Object} payload - { tagId, rfid, grams, groupHash }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { container }
+   */
+  async applyContainerCreated(payload, receipt) {
+    const log = web3Service.getReceiptLog(receipt, 'ContainerCreated');
+    return { container: await this.createContainerOnce(payload, log, receipt) };
+  }
+
+  /**
+   * Create a batch of containers in the database, matching each to its ContainerCreated log
+   * @param {Object} payload - { containers: [{ tagId, rfid, grams, groupHash }] }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { containers }
+   */
+  async applyContainersCreated(payload, receipt) {
+    const logs = web3Service.getReceiptLogs(receipt, 'ContainerCreated');
+    const containers = [];
+
+    for (const item of payload.containers) {
+      const topic = web3Service.hashIndexedString(item.tagId);
+      const log = logs.find((entry) => entry.topics[1] === topic) || null;
+      containers.push(await this.createContainerOnce(item, log, receipt));
+    }
+
+    return { containers };
+  }
+
+  /**
+   * Create a container in the database, unless the event listener already applied its log
+   * @param {Object} data - { tagId, rfid, grams, groupHash }
+   * @param {Object} log - ContainerCreated log position
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - Container
+   */
+  async createContainerOnce({ tagId, rfid, grams, groupHash }, log, receipt) {
+    // Calculate tokens (10 grams = 1 token)
+    const tokens = web3Service.gramsToTokens(grams);
+    const blockTime = await web3Service.getBlockTime(receipt.blockNumber);
+
+    return await prismaService.applyLogOnce(log, 'ContainerCreated', async (db) => {
+      // Containers written before logs were tracked are left as they are
+      if (await prismaService.getContainerByTagId(tagId, db)) {
+        return null;
+      }
+
+      return prismaService.createContainer({
+        tagId,
+        rfid,
+        grams,
+        tokens,
+        blockNumber: Number(receipt.blockNumber),
+        blockTime,
+        groupHash: groupHash || null
+      }, db);
+    }, (created) => created && { tagId: created.tagId }) || await prismaService.getContainerByTagId(tagId);
+  }
+
+  /**
+   * Move balances and record the transaction, unless the event listener already applied this log
+   * @param {Object} payload - { fromTagId, toTagId, tokenAmount }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { transaction }
+   */
+  async applyTokensTransferred(payload, receipt) {
+    const log = web3Service.getReceiptLog(receipt, 'TokensTransferred');
+    return { transaction: await this.transferOnce(payload, log, receipt) };
+  }
+
+  /**
+   * Apply every leg of a batch transfer and record the batch, unless the event listener already did.
+   * Legs are matched to the TokensTransferred logs in the order the contract emits them.
+   * @param {Object} payload - { fromTagId, transfers: [{ toTagId, tokenAmount }] }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { batch } with its transactions
+   */
+  async applyTokensBatchTransferred(payload, receipt) {
+    const { fromTagId, transfers } = payload;
+    const logs = web3Service.getReceiptLogs(receipt, 'TokensTransferred');
+
+    for (const [i, transfer] of transfers.entries()) {
+      await this.transferOnce({ fromTagId, ...transfer }, logs[i] || null, receipt);
+    }
+
+    const tokens = web3Service.sumAmounts(transfers.map((transfer) => transfer.tokenAmount));
+    const log = web3Service.getReceiptLog(receipt, 'TokensBatchTransferred');
+    const created = await prismaService.applyLogOnce(log, 'TokensBatchTransferred', (db) => (
+      prismaService.createTransferBatch({
+        fromTagId,
+        legs: transfers.length,
+        tokens,
+        grams: web3Service.tokensToGrams(tokens),
+        transactionHash: receipt.transactionHash,
+        logIndex: log ? log.logIndex : null,
+        blockNumber: Number(receipt.blockNumber)
+      }, db)
+    ), { fromTagId });
+
+    const batch = created
+      ? await prismaService.getTransferBatch(created.id)
+      : await prismaService.getTransferBatchByLog(receipt.transactionHash, log ? log.logIndex : null);
+
+    return { batch };
+  }
+
+  /**
+   * Move balances and record one transfer, unless the event listener already applied its log
+   * @param {Object} data - { fromTagId, toTagId, tokenAmount }
+   * @param {Object} log - TokensTransferred log position
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - Transaction
+   */
+  async transferOnce({ fromTagId, toTagId, tokenAmount }, log, receipt) {
+    const tokens = String(tokenAmount);
+
+    // Calculate grams to transfer
+    const grams = web3Service.tokensToGrams(tokens);
+    const blockTime = await web3Service.getBlockTime(receipt.blockNumber);
+
+    return await prismaService.applyLogOnce(log, 'TokensTransferred', (db) => (
+      prismaService.applyTransfer({
+        fromTagId,
+        toTagId,
+        tokens,
+        grams,
+        transactionHash: receipt.transactionHash,
+        logIndex: log ? log.logIndex : null,
+        blockNumber: Number(receipt.blockNumber),
+        blockTime
+      }, db)
+    ), {
+      fromTagId,
+      toTagId,
+      tokens,
+      grams
+    }) || await prismaService.getTransactionByLog(receipt.transactionHash, log ? log.logIndex : null);
+  }
+
+  /**
+   * Bind the new RFID and record the change, unless the event listener already applied this log
+   * @param {Object} payload - { tagId, rfid }
+   * @param {Object} receipt - Transaction receipt
+   * @param {Object} job - Job, for the API key that requested the change
+   * @returns {Promise<Object>} - { rfidChange }
+   */
+  async applyRfidUpdated(payload, receipt, job) {
+    const { tagId, rfid } = payload;
+
+    const container = await prismaService.getContainerByTagId(tagId);
+    const previousRfid = container ? container.rfid : null;
+    const log = web3Service.getReceiptLog(receipt, 'ContainerRfidUpdated');
+    const rfidChange = await prismaService.applyLogOnce(log, 'ContainerRfidUpdated', (db) => (
+      prismaService.applyRfidChange({
+        tagId,
+        previousRfid,
+        rfid,
+        requestedBy: job.requestedBy,
+        transactionHash: receipt.transactionHash,
+        logIndex: log ? log.logIndex : null,
+        blockNumber: Number(receipt.blockNumber)
+      }, db)
+    ), { tagId, previousRfid }) || await prismaService.getRfidChangeByLog(receipt.transactionHash, log ? log.logIndex : null);
+
+    return { rfidChange };
+  }
+
+  /**
+   * Assign the container to its new holder, unless the event listener already applied this log
+   * @param {Object} payload - { tagId, holder }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { container }
+   */
+  async applyHolderChanged(payload, receipt) {
+    const { tagId, holder } = payload;
+
+    const container = await prismaService.getContainerByTagId(tagId);
+    const previousHolder = container ? container.holderAddress : null;
+    const log = web3Service.getReceiptLog(receipt, 'ContainerHolderChanged');
+    const updated = await prismaService.applyLogOnce(log, 'ContainerHolderChanged', (db) => (
+      prismaService.setContainerHolder(tagId, holder || null, db)
+    ), { tagId, previousHolder }) || await prismaService.getContainerByTagId(tagId);
+
+    return { container: updated };
+  }
+
+  /**
+   * Debit the container and mark the redemption as burned, unless the event listener already applied this log
+   * @param {Object} payload - { redemptionId, redemptionHash, tagId, tokenAmount }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { redemption }
+   */
+  async applyTokensRedeemed(payload, receipt) {
+    const { tagId, redemptionHash } = payload;
+    const tokens = String(payload.tokenAmount);
+    const grams = web3Service.tokensToGrams(tokens);
+
+    const log = web3Service.getReceiptLog(receipt, 'TokensRedeemed');
+    const blockTime = await web3Service.getBlockTime(receipt.blockNumber);
+    const applied = await prismaService.applyLogOnce(log, 'TokensRedeemed', (db) => (
+      prismaService.applyRedemption({
+        tagId,
+        redemptionHash,
+        tokens,
+        grams,
+        transactionHash: receipt.transactionHash,
+        logIndex: log ? log.logIndex : null,
+        blockNumber: Number(receipt.blockNumber),
+        blockTime
+      }, db)
+    ), { tagId, redemptionHash, tokens, grams });
+
+    return { redemption: applied ? applied.redemption : await prismaService.getRedemptionByHash(redemptionHash) };
+  }
+
+  /**
+   * Mark the attestation as recorded on-chain, unless the event listener already applied this log
+   * @param {Object} payload - { attestationId, auditHash, auditor, auditedGrams }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { attestation }
+   */
+  async applyReservesAttested(payload, receipt) {
+    const { auditHash } = payload;
+
+    // The contract records the supply at the time of the transaction, not of the upload
+    const onChain = await web3Service.getAttestation(auditHash);
+    const log = web3Service.getReceiptLog(receipt, 'ReservesAttested');
+    const attestation = await prismaService.applyLogOnce(log, 'ReservesAttested', (db) => (
+      prismaService.recordAttestation({
+        auditHash,
+        supplyGrams: onChain.supplyGrams,
+        transactionHash: receipt.transactionHash,
+        logIndex: log ? log.logIndex : null,
+        blockNumber: Number(receipt.blockNumber)
+      }, db)
+    ), { auditHash }) || await prismaService.getAttestationByHash(auditHash);
+
+    return { attestation };
+  }
+
+  /**
+   * Mark the snapshot as anchored on-chain, unless the event listener already applied this log
+   * @param {Object} payload - { snapshotId, root, containerCount, totalGrams, totalTokens }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { snapshot }
+   */
+  async applyBalanceRootAnchored(payload, receipt) {
+    const { root } = payload;
+
+    const log = web3Service.getReceiptLog(receipt, 'BalanceRootAnchored');
+    const snapshot = await prismaService.applyLogOnce(log, 'BalanceRootAnchored', (db) => (
+      prismaService.anchorSnapshot({
+        root,
+        transactionHash: receipt.transactionHash,
+        logIndex: log ? log.logIndex : null,
+        blockNumber: Number(receipt.blockNumber)
+      }, db)
+    ), { root }) || await prismaService.getSnapshotByRoot(root);
+
+    // Leaves are only needed for proofs
+    const { leaves, ...summary } = snapshot;
+    return { snapshot: summary };
+  }
+
+  /**
+   * Create the group in the database, unless the event listener already applied this log
+   * @param {Object} payload - { groupHash, name, description }
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { group }
+   */
+  async applyGroupCreated(payload, receipt) {
+    const { groupHash, name, description } = payload;
+
+    const chainHash = web3Service.toBytes32(groupHash).toLowerCase();
+    const log = web3Service.getReceiptLog(receipt, 'GroupCreated');
+    const group = await prismaService.applyLogOnce(log, 'GroupCreated', (db) => (
+      prismaService.createGroup({
+        groupHash,
+        chainHash,
+        name,
+        description: description || null
+      }, db)
+    ), { groupHash }) || await prismaService.getGroupByChainHash(chainHash);
+
+    return { group };
+  }
+
+  /**
+   * Move the containers to the group, unless the event listener already applied their logs
+   * @param {Object} payload - { tagIds, groupHash, chainHash } with the database and on-chain group hashes
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<Object>} - { containers }
+   */
+  async applyContainersAssignedToGroup(payload, receipt) {
+    const { tagIds, groupHash } = payload;
+
+    const logs = web3Service.getReceiptLogs(receipt, 'ContainerAssignedToGroup');
+    const containers = [];
+
+    for (const tagId of tagIds) {
+      const container = await prismaService.getContainerByTagId(tagId);
+      const topic = web3Service.hashIndexedString(tagId);
+      const log = logs.find((item) => item.topics[1] === topic) || null;
+
+      containers.push(await prismaService.applyLogOnce(log, 'ContainerAssignedToGroup', (db) => (
+        prismaService.updateContainer(tagId, { groupHash }, db)
+      ), {
+        tagId,
+        previousGroupHash: container ? container.groupHash : null
+      }) || await prismaService.getContainerByTagId(tagId));
+    }
+
+    return { containers };
+  }
+
+  /**
+   * Record the role changes of a grant, revoke or renounce, attributed to the API key that requested it, unless
+   * the event listener already applied their logs
+   * @param {Object} payload - { role, account }
+   * @param {Object} receipt - Transaction receipt
+   * @param {Object} job - Job, for the API key that requested the change
+   * @returns {Promise<Object>} - { changed, change }; AccessControl emits nothing when the account already had
+   *   (or lacked) the role
+   */
+  async applyRoleChanges(payload, receipt, job) {
+    const logs = [
+      ...web3Service.getReceiptLogs(receipt, 'RoleGranted'),
+      ...web3Service.getReceiptLogs(receipt, 'RoleRevoked')
+    ];
+    const changes = [];
+
+    for (const log of logs) {
+      changes.push(await prismaService.applyRoleChange(web3Service.decodeRoleLog(log), job.requestedBy));
+    }
+
+    return { changed: changes.length > 0, change: changes[0] || null };
+  }
+
+  /**
+   * Job as returned by the API, with its JSON columns parsed
+   * @param {Object} job - Job row
+   * @returns {Object} - Job
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      payload: JSON.parse(job.payload),
+      transactionHash: job.transactionHash,
+      nonce: job.nonce,
+      gasLimit: job.gasLimit,
+      gasPrice: job.gasPrice,
+      maxFeePerGas: job.maxFeePerGas,
+      maxPriorityFeePerGas: job.maxPriorityFeePerGas,
+      replacements: (job.replacements || []).map((replacement) => ({
+        action: replacement.action,
+        previousHash: replacement.previousHash,
+        transactionHash: replacement.transactionHash,
+        gasPrice: replacement.gasPrice,
+        maxFeePerGas: replacement.maxFeePerGas,
+        maxPriorityFeePerGas: replacement.maxPriorityFeePerGas,
+        createdAt: replacement.createdAt
+      })),
+      blockNumber: job.blockNumber,
+      receipt: job.receipt ? JSON.parse(job.receipt) : null,
+      result: job.result ? JSON.parse(job.result) : null,
+      revertReason: job.status === JOB_STATUS.FAILED ? job.error : null,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      submittedAt: job.submittedAt,
+      minedAt: job.minedAt,
+      confirmedAt: job.confirmedAt
+    };
+  }
+}
+
+module.exports = new JobService();
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUS = JOB_STATUS;
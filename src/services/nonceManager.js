@@ -0,0 +1,166 @@
+/**
+ * Hands out nonces for the service account in order, so concurrent sends don't collide.
+ * Nonces given back after a failed send are reused first; any still unused are filled
+ * with an empty transaction, since the node holds back every later nonce until the gap is closed.
+ */
+class NonceManager {
+  /**
+   * @param {Object} web3 - Web3 instance
+   * @param {string} address - Service account address
+   * @param {string} privateKey - Service account private key, used to sign gap fillers
+   * @param {Function} getFees - Returns the fees for a new transaction; the node's gas price by default
+   */
+  constructor(web3, address, privateKey, getFees = null) {
+    this.web3 = web3;
+    this.address = address;
+    this.privateKey = privateKey;
+    this.getFees = getFees || (async () => ({ gasPrice: await web3.eth.getGasPrice() }));
+    this.nextNonce = null;
+    this.released = new Set();
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Run a function once every earlier call has finished
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} - Result of fn
+   */
+  withLock(fn) {
+    const result = this.lock.then(fn);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Account nonce as seen by the node
+   * @param {string} blockTag - 'latest' for mined transactions, 'pending' to include the mempool
+   * @returns {Promise<number>} - Transaction count
+   */
+  async getTransactionCount(blockTag) {
+    return Number(await this.web3.eth.getTransactionCount(this.address, blockTag));
+  }
+
+  /**
+   * Reconcile with the node's pending nonce, e.g. after a restart.
+   * Nonces between the node's pending nonce and the highest one we still have in flight,
+   * that aren't in flight themselves, are gaps.
+   * @param {Array<number>} inFlightNonces - Nonces of our transactions that may not be mined yet
+   */
+  async sync(inFlightNonces = []) {
+    return this.withLock(() => this.reconcile(inFlightNonces));
+  }
+
+  /**
+   * Reconcile without taking the lock
+   * @param {Array<number>} inFlightNonces - Nonces of our transactions that may not be mined yet
+   */
+  async reconcile(inFlightNonces = []) {
+    const pending = await this.getTransactionCount('pending');
+    const inFlight = new Set(inFlightNonces.map(Number));
+
+    this.nextNonce = Math.max(pending, ...[...inFlight].map((nonce) => nonce + 1));
+    this.released.clear();
+
+    for (let nonce = pending; nonce < this.nextNonce; nonce += 1) {
+      if (!inFlight.has(nonce)) {
+        this.released.add(nonce);
+      }
+    }
+  }
+
+  /**
+   * Take the next nonce, reusing the lowest one given back by a failed send
+   * @returns {Promise<number>} - Nonce
+   */
+  async acquire() {
+    return this.withLock(async () => {
+      if (this.nextNonce === null) {
+        await this.reconcile();
+      }
+
+      if (this.released.size > 0) {
+        const latest = await this.getTransactionCount('latest');
+        for (const nonce of [...this.released].sort((a, b) => a - b)) {
+          this.released.delete(nonce);
+          // Below the mined count means something else already used it
+          if (nonce >= latest) {
+            return nonce;
+          }
+        }
+      }
+
+      const nonce = this.nextNonce;
+      this.nextNonce += 1;
+      return nonce;
+    });
+  }
+
+  /**
+   * Give back a nonce whose transaction never reached the node
+   * @param {number} nonce - Nonce
+   */
+  release(nonce) {
+    this.released.add(Number(nonce));
+  }
+
+  /**
+   * Forget the local counter, so the next acquire reconciles with the node.
+   * Used when the node reports a nonce as too low (something else sent from the account).
+   */
+  reset() {
+    return this.withLock(async () => {
+      this.nextNonce = null;
+      this.released.clear();
+    });
+  }
+
+  /**
+   * Fill given-back nonces that nothing has reused with zero-value transfers to the
+   * service account, so the transactions queued behind them can be mined
+   * @returns {Promise<Array<number>>} - Nonces that were filled
+   */
+  async fillGaps() {
+    return this.withLock(async () => {
+      if (this.released.size === 0) {
+        return [];
+      }
+
+      const latest = await this.getTransactionCount('latest');
+      const fees = await this.getFees();
+      const filled = [];
+
+      for (const nonce of [...this.released].sort((a, b) => a - b)) {
+        this.released.delete(nonce);
+        if (nonce < latest) {
+          continue;
+        }
+
+        try {
+          const signed = await this.web3.eth.accounts.signTransaction({
+            from: this.address,
+            to: this.address,
+            value: 0,
+            gas: 21000,
+            ...fees,
+            nonce
+          }, this.privateKey);
+
+          await this.web3.requestManager.send({
+            method: 'eth_sendRawTransaction',
+            params: [signed.rawTransaction]
+          });
+          filled.push(nonce);
+        } catch (error) {
+          if (!/nonce too low|already known/i.test(error.message)) {
+            this.released.add(nonce);
+            console.error(`Error filling nonce gap ${nonce}:`, error.message);
+          }
+        }
+      }
+
+      return filled;
+    });
+  }
+}
+
+module.exports = NonceManager;
@@ -1,21 +1,45 @@
+const { Prisma } = require('@prisma/client');
 const prisma = require('./db');
 
+// requested -> approved -> burned -> completed, or rejected before approval
+const REDEMPTION_STATUS = {
+  REQUESTED: 'REQUESTED',
+  APPROVED: 'APPROVED',
+  BURNED: 'BURNED',
+  COMPLETED: 'COMPLETED',
+  REJECTED: 'REJECTED'
+};
+
+/**
+ * Share of the supply covered by audited gold, to 6 decimal places
+ * @param {string|Object} auditedGrams - Grams counted in the vault
+ * @param {string|Object} supplyGrams - Token supply in grams
+ * @returns {number|null} - Coverage ratio, or null without supply
+ */
+function coverageRatio(auditedGrams, supplyGrams) {
+  const supply = new Prisma.Decimal(supplyGrams);
+  return supply.isZero() ? null : new Prisma.Decimal(auditedGrams).div(supply).toDecimalPlaces(6).toNumber();
+}
+
 class PrismaService {
   /**
    * Create a new container in the database
    * @param {Object} data - Container data
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Created container
    */
-  async createContainer(data) {
+  async createContainer(data, db = prisma) {
     const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
-    return prisma.container.create({
+    return db.container.create({
       data: {
         tagId: data.tagId,
         rfid: data.rfid,
         grams: data.grams,
         tokens: data.tokens,
         blockNumber,
-        groupHash: data.groupHash || null
+        blockTime: data.blockTime || null,
+        groupHash: data.groupHash || null,
+        holderAddress: data.holderAddress || null
       }
     });
   }
@@ -23,22 +47,111 @@ class PrismaService {
   /**
    * Get a container by tagId
    * @param {string} tagId - Container tag ID
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Container
    */
-  async getContainerByTagId(tagId) {
-    return prisma.container.findUnique({
+  async getContainerByTagId(tagId, db = prisma) {
+    return db.container.findUnique({
       where: { tagId }
     });
   }
 
+  /**
+   * Get containers by tagIds
+   * @param {Array<string>} tagIds - Container tag IDs
+   * @returns {Promise<Array<Object>>} - Containers
+   */
+  async getContainersByTagIds(tagIds) {
+    return prisma.container.findMany({
+      where: { tagId: { in: tagIds } }
+    });
+  }
+
+  /**
+   * Get the containers bound to any of the given RFIDs
+   * @param {Array<string>} rfids - RFID tags
+   * @returns {Promise<Array<Object>>} - Containers
+   */
+  async getContainersByRfids(rfids) {
+    return prisma.container.findMany({
+      where: { rfid: { in: rfids } }
+    });
+  }
+
+  /**
+   * Get the container an RFID is bound to
+   * @param {string} rfid - RFID tag
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Container
+   */
+  async getContainerByRfid(rfid, db = prisma) {
+    return db.container.findFirst({
+      where: { rfid }
+    });
+  }
+
+  /**
+   * List containers with filters and cursor pagination
+   * @param {Object} filters - { rfid, rfidPrefix, groupHash, minGrams, maxGrams, minTokens, maxTokens,
+   *   createdFrom, createdTo, noRfid }
+   * @param {Object} options - { sortBy, order, limit, cursor }
+   * @returns {Promise<Object>} - Containers and pagination info
+   */
+  async listContainers(filters = {}, { sortBy = 'createdAt', order = 'desc', limit = 20, cursor } = {}) {
+    const conditions = [];
+
+    if (filters.rfid !== undefined) {
+      conditions.push({ rfid: filters.rfid });
+    }
+    if (filters.rfidPrefix !== undefined) {
+      conditions.push({ rfid: { startsWith: filters.rfidPrefix } });
+    }
+    if (filters.noRfid) {
+      conditions.push({ OR: [{ rfid: null }, { rfid: '' }] });
+    }
+    if (filters.groupHash !== undefined) {
+      conditions.push({ groupHash: filters.groupHash });
+    }
+    if (filters.minGrams !== undefined || filters.maxGrams !== undefined) {
+      conditions.push({ grams: { gte: filters.minGrams, lte: filters.maxGrams } });
+    }
+    if (filters.minTokens !== undefined || filters.maxTokens !== undefined) {
+      conditions.push({ tokens: { gte: filters.minTokens, lte: filters.maxTokens } });
+    }
+    if (filters.createdFrom !== undefined || filters.createdTo !== undefined) {
+      conditions.push({ createdAt: { gte: filters.createdFrom, lte: filters.createdTo } });
+    }
+
+    // id breaks ties so the cursor position is stable
+    const containers = await prisma.container.findMany({
+      where: { AND: conditions },
+      orderBy: [{ [sortBy]: order }, { id: order }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+
+    const hasMore = containers.length > limit;
+    const page = hasMore ? containers.slice(0, limit) : containers;
+
+    return {
+      containers: page,
+      pagination: {
+        limit,
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+        hasMore
+      }
+    };
+  }
+
   /**
    * Update a container in the database
    * @param {string} tagId - Container tag ID
    * @param {Object} data - Updated container data
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Updated container
    */
-  async updateContainer(tagId, data) {
-    return prisma.container.update({
+  async updateContainer(tagId, data, db = prisma) {
+    return db.container.update({
       where: { tagId },
       data
     });
@@ -47,22 +160,37 @@ class PrismaService {
   /**
    * Create a new transaction in the database
    * @param {Object} data - Transaction data
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Created transaction
    */
-  async createTransaction(data) {
+  async createTransaction(data, db = prisma) {
     const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
-    return prisma.transaction.create({
+    return db.transaction.create({
       data: {
         fromTagId: data.fromTagId,
         toTagId: data.toTagId,
         tokens: data.tokens,
         grams: data.grams,
         transactionHash: data.transactionHash,
-        blockNumber
+        logIndex: data.logIndex,
+        blockNumber,
+        blockTime: data.blockTime || null
       }
     });
   }
 
+  /**
+   * Get the transaction recorded for a TokensTransferred log
+   * @param {string} transactionHash - On-chain transaction hash
+   * @param {number} logIndex - Log index within the block
+   * @returns {Promise<Object>} - Transaction
+   */
+  async getTransactionByLog(transactionHash, logIndex) {
+    return prisma.transaction.findFirst({
+      where: { transactionHash, logIndex }
+    });
+  }
+
   /**
    * Get transactions for a container
    * @param {string} tagId - Container tag ID
@@ -80,15 +208,137 @@ class PrismaService {
     });
   }
 
+  /**
+   * Filter on a transfer's block time, or on when it was recorded for transfers without one
+   * @param {Object} range - Prisma DateTime filter, e.g. { gte, lte }
+   * @returns {Object} - Where clause
+   */
+  transferTimeFilter(range) {
+    return {
+      OR: [
+        { blockTime: range },
+        { blockTime: null, timestamp: range }
+      ]
+    };
+  }
+
+  /**
+   * Get the transfers into or out of a container mined in a period, in chain order
+   * @param {string} tagId - Container tag ID
+   * @param {Date} from - Start of the period (inclusive), or null for the beginning
+   * @param {Date} to - End of the period (inclusive)
+   * @returns {Promise<Array<Object>>} - Transactions
+   */
+  async getStatementTransactions(tagId, from, to) {
+    return prisma.transaction.findMany({
+      where: {
+        AND: [
+          { OR: [{ fromTagId: tagId }, { toTagId: tagId }] },
+          this.transferTimeFilter(from ? { gte: from, lte: to } : { lte: to })
+        ]
+      },
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }, { timestamp: 'asc' }]
+    });
+  }
+
+  /**
+   * Total grams and tokens transferred into and out of a container
+   * @param {string} tagId - Container tag ID
+   * @param {Date} before - Only count transfers mined before this time; all transfers if omitted
+   * @returns {Promise<Object>} - { incoming: { grams, tokens }, outgoing: { grams, tokens } }
+   */
+  async getTransferTotals(tagId, before = undefined) {
+    const period = before ? this.transferTimeFilter({ lt: before }) : {};
+    const [incoming, outgoing] = await Promise.all([
+      prisma.transaction.aggregate({
+        where: { toTagId: tagId, ...period },
+        _sum: { grams: true, tokens: true }
+      }),
+      prisma.transaction.aggregate({
+        where: { fromTagId: tagId, ...period },
+        _sum: { grams: true, tokens: true }
+      })
+    ]);
+
+    const zero = new Prisma.Decimal(0);
+    return {
+      incoming: { grams: incoming._sum.grams || zero, tokens: incoming._sum.tokens || zero },
+      outgoing: { grams: outgoing._sum.grams || zero, tokens: outgoing._sum.tokens || zero }
+    };
+  }
+
+  /**
+   * Get the burned redemptions of a container, oldest first
+   * @param {string} tagId - Container tag ID
+   * @returns {Promise<Array<Object>>} - Redemptions whose tokens were burned
+   */
+  async getBurnedRedemptions(tagId) {
+    return prisma.redemption.findMany({
+      where: {
+        tagId,
+        status: { in: [REDEMPTION_STATUS.BURNED, REDEMPTION_STATUS.COMPLETED] }
+      },
+      orderBy: { burnedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Get the transfers into any of the given containers, oldest first
+   * @param {Array<string>} tagIds - Destination container tag IDs
+   * @returns {Promise<Array<Object>>} - Transactions
+   */
+  async getIncomingTransactions(tagIds) {
+    return prisma.transaction.findMany({
+      where: { toTagId: { in: tagIds } },
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }, { timestamp: 'asc' }]
+    });
+  }
+
+  /**
+   * Total grams each container received, sent and redeemed, to work out what was minted into it
+   * @param {Array<string>} tagIds - Container tag IDs
+   * @returns {Promise<Object>} - { incoming, outgoing, redeemed }, each a Map of tag ID => grams
+   */
+  async getGramFlows(tagIds) {
+    const [incoming, outgoing, redeemed] = await Promise.all([
+      prisma.transaction.groupBy({
+        by: ['toTagId'],
+        where: { toTagId: { in: tagIds } },
+        _sum: { grams: true }
+      }),
+      prisma.transaction.groupBy({
+        by: ['fromTagId'],
+        where: { fromTagId: { in: tagIds } },
+        _sum: { grams: true }
+      }),
+      prisma.redemption.groupBy({
+        by: ['tagId'],
+        where: {
+          tagId: { in: tagIds },
+          status: { in: [REDEMPTION_STATUS.BURNED, REDEMPTION_STATUS.COMPLETED] }
+        },
+        _sum: { grams: true }
+      })
+    ]);
+
+    return {
+      incoming: new Map(incoming.map((row) => [row.toTagId, row._sum.grams])),
+      outgoing: new Map(outgoing.map((row) => [row.fromTagId, row._sum.grams])),
+      redeemed: new Map(redeemed.map((row) => [row.tagId, row._sum.grams]))
+    };
+  }
+
   /**
    * Create a new group in the database
    * @param {Object} data - Group data
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Created group
    */
-  async createGroup(data) {
-    return prisma.group.create({
+  async createGroup(data, db = prisma) {
+    return db.group.create({
       data: {
         groupHash: data.groupHash,
+        chainHash: data.chainHash || null,
         name: data.name,
         description: data.description
       }
@@ -98,14 +348,151 @@ class PrismaService {
   /**
    * Get a group by groupHash
    * @param {string} groupHash - Group hash
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Group
    */
-  async getGroupByHash(groupHash) {
-    return prisma.group.findUnique({
+  async getGroupByHash(groupHash, db = prisma) {
+    return db.group.findUnique({
       where: { groupHash }
     });
   }
 
+  /**
+   * Get a group by its on-chain bytes32 hash
+   * @param {string} chainHash - bytes32 group hash from the contract
+   * @returns {Promise<Object>} - Group
+   */
+  async getGroupByChainHash(chainHash) {
+    return prisma.group.findFirst({
+      where: { chainHash: chainHash.toLowerCase() }
+    });
+  }
+
+  /**
+   * Map an on-chain bytes32 group hash to the group's database key
+   * @param {string} chainHash - bytes32 group hash from the contract
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<string|null>} - Database groupHash, or null for no/unknown group
+   */
+  async resolveGroupHash(chainHash, db = prisma) {
+    if (!chainHash || /^0x0*$/.test(chainHash)) {
+      return null;
+    }
+
+    const group = await db.group.findFirst({
+      where: { chainHash: chainHash.toLowerCase() }
+    });
+
+    if (!group) {
+      console.warn(`No group found for on-chain group hash ${chainHash}`);
+      return null;
+    }
+
+    return group.groupHash;
+  }
+
+  /**
+   * Get groups by hash
+   * @param {Array<string>} groupHashes - Group hashes
+   * @returns {Promise<Array<Object>>} - Groups
+   */
+  async getGroupsByHashes(groupHashes) {
+    return prisma.group.findMany({
+      where: { groupHash: { in: groupHashes } }
+    });
+  }
+
+  /**
+   * List groups with holdings and transfer aggregates. Transfer volume is attributed by each container's current
+   * group, not its group at the time of the transfer: moving a container to another group moves its past volume too.
+   * @param {number} page - Page number
+   * @param {number} limit - Number of items per page
+   * @param {string} search - Optional substring of the group name
+   * @returns {Promise<Object>} - Groups and pagination info
+   */
+  async listGroups(page = 1, limit = 10, search) {
+    const skip = (page - 1) * limit;
+    const where = search ? { name: { contains: search } } : {};
+
+    const [groups, total] = await Promise.all([
+      prisma.group.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.group.count({ where })
+    ]);
+
+    const groupHashes = groups.map((group) => group.groupHash);
+    let holdings = [];
+    let transfers = [];
+
+    if (groupHashes.length > 0) {
+      holdings = await prisma.container.groupBy({
+        by: ['groupHash'],
+        where: { groupHash: { in: groupHashes } },
+        _count: { _all: true },
+        _sum: { grams: true, tokens: true },
+        _max: { updatedAt: true }
+      });
+
+      // Transfers crossing the group boundary, by the containers' current group membership (no group history is kept).
+      // Transfers between two containers of the same group only count towards last activity, by block time like
+      // statements, or when the transfer was recorded if its block time is unknown.
+      transfers = await prisma.$queryRaw`
+        SELECT
+          grp.[groupHash] AS groupHash,
+          SUM(CASE WHEN tc.[groupHash] = grp.[groupHash] AND (fc.[groupHash] IS NULL OR fc.[groupHash] <> grp.[groupHash]) THEN t.[grams] ELSE 0 END) AS gramsIn,
+          SUM(CASE WHEN tc.[groupHash] = grp.[groupHash] AND (fc.[groupHash] IS NULL OR fc.[groupHash] <> grp.[groupHash]) THEN t.[tokens] ELSE 0 END) AS tokensIn,
+          SUM(CASE WHEN fc.[groupHash] = grp.[groupHash] AND (tc.[groupHash] IS NULL OR tc.[groupHash] <> grp.[groupHash]) THEN t.[grams] ELSE 0 END) AS gramsOut,
+          SUM(CASE WHEN fc.[groupHash] = grp.[groupHash] AND (tc.[groupHash] IS NULL OR tc.[groupHash] <> grp.[groupHash]) THEN t.[tokens] ELSE 0 END) AS tokensOut,
+          MAX(COALESCE(t.[blockTime], t.[timestamp])) AS lastTransferAt
+        FROM [Transaction] t
+        JOIN [Container] fc ON fc.[tagId] = t.[fromTagId]
+        JOIN [Container] tc ON tc.[tagId] = t.[toTagId]
+        JOIN [Group] grp ON grp.[groupHash] = fc.[groupHash] OR grp.[groupHash] = tc.[groupHash]
+        WHERE grp.[groupHash] IN (${Prisma.join(groupHashes)})
+        GROUP BY grp.[groupHash]
+      `;
+    }
+
+    // Amounts are Decimals, serialized as strings like the container columns
+    const zero = new Prisma.Decimal(0);
+
+    return {
+      groups: groups.map((group) => {
+        const holding = holdings.find((row) => row.groupHash === group.groupHash);
+        const transfer = transfers.find((row) => row.groupHash === group.groupHash);
+        const activity = [
+          group.updatedAt,
+          holding && holding._max.updatedAt,
+          transfer && transfer.lastTransferAt
+        ].filter(Boolean).map((date) => new Date(date).getTime());
+
+        return {
+          ...group,
+          containerCount: holding ? holding._count._all : 0,
+          totalGrams: (holding && holding._sum.grams) || zero,
+          totalTokens: (holding && holding._sum.tokens) || zero,
+          lastActivityAt: new Date(Math.max(...activity)),
+          transferVolume: {
+            gramsIn: transfer ? transfer.gramsIn : zero,
+            tokensIn: transfer ? transfer.tokensIn : zero,
+            gramsOut: transfer ? transfer.gramsOut : zero,
+            tokensOut: transfer ? transfer.tokensOut : zero
+          }
+        };
+      }),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
   /**
    * Get containers by groupHash
    * @param {string} groupHash - Group hash
@@ -149,11 +536,12 @@ class PrismaService {
   /**
    * Verify container exists in database, if not create it from blockchain data
    * @param {string} tagId - Container tag ID
-   * @param {Object} blockchainData - Container data from blockchain
+   * @param {Object} blockchainData - Container data from blockchain (groupHash is the on-chain bytes32)
+   * @param {Object} db - Prisma client or interactive transaction client
    * @returns {Promise<Object>} - Container
    */
-  async verifyAndSyncContainer(tagId, blockchainData) {
-    const container = await this.getContainerByTagId(tagId);
+  async verifyAndSyncContainer(tagId, blockchainData, db = prisma) {
+    const container = await this.getContainerByTagId(tagId, db);
     
     if (!container) {
       return this.createContainer({
@@ -162,12 +550,1711 @@ class PrismaService {
         grams: blockchainData.grams,
         tokens: blockchainData.tokens,
         blockNumber: blockchainData.blockNumber,
-        groupHash: blockchainData.groupHash || null
-      });
+        groupHash: await this.resolveGroupHash(blockchainData.groupHash, db),
+        holderAddress: blockchainData.holder
+      }, db);
     }
     
     return container;
   }
+
+  /**
+   * Apply a token transfer: debit the source, credit (or create) the destination
+   * and record the transaction. Balances are changed with atomic increments.
+   * @param {Object} data - Transfer data
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Created transaction
+   */
+  async applyTransfer(data, db = prisma) {
+    await this.updateContainer(data.fromTagId, {
+      tokens: { decrement: data.tokens },
+      grams: { decrement: data.grams }
+    }, db);
+
+    const destContainer = await this.getContainerByTagId(data.toTagId, db);
+
+    if (destContainer) {
+      await this.updateContainer(data.toTagId, {
+        tokens: { increment: data.tokens },
+        grams: { increment: data.grams }
+      }, db);
+    } else {
+      // Destination is created by the transfer, as in the contract
+      await this.createContainer({
+        tagId: data.toTagId,
+        rfid: '',
+        grams: data.grams,
+        tokens: data.tokens,
+        blockNumber: data.blockNumber,
+        blockTime: data.blockTime,
+        groupHash: null
+      }, db);
+    }
+
+    return this.createTransaction(data, db);
+  }
+
+  /**
+   * Bind a new RFID to a container and record the change
+   * @param {Object} data - { tagId, previousRfid, rfid, requestedBy, transactionHash, logIndex, blockNumber }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Created RFID change
+   */
+  async applyRfidChange(data, db = prisma) {
+    await this.updateContainer(data.tagId, { rfid: data.rfid }, db);
+
+    const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
+    return db.rfidChange.create({
+      data: {
+        tagId: data.tagId,
+        previousRfid: data.previousRfid || null,
+        rfid: data.rfid,
+        requestedBy: data.requestedBy || null,
+        transactionHash: data.transactionHash,
+        logIndex: data.logIndex,
+        blockNumber
+      }
+    });
+  }
+
+  /**
+   * Get the RFID change recorded for a ContainerRfidUpdated log
+   * @param {string} transactionHash - On-chain transaction hash
+   * @param {number} logIndex - Log index within the block
+   * @returns {Promise<Object>} - RFID change
+   */
+  async getRfidChangeByLog(transactionHash, logIndex) {
+    return prisma.rfidChange.findFirst({
+      where: { transactionHash, logIndex }
+    });
+  }
+
+  /**
+   * Get the RFIDs bound to a container after creation, oldest first
+   * @param {string} tagId - Container tag ID
+   * @returns {Promise<Array<Object>>} - RFID changes
+   */
+  async getRfidChanges(tagId) {
+    return prisma.rfidChange.findMany({
+      where: { tagId },
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }]
+    });
+  }
+
+  /**
+   * Assign a container to an ERC-20 holder address
+   * @param {string} tagId - Container tag ID
+   * @param {string|null} holderAddress - Holder address, or null for custody
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Updated container
+   */
+  async setContainerHolder(tagId, holderAddress, db = prisma) {
+    return this.updateContainer(tagId, { holderAddress }, db);
+  }
+
+  /**
+   * List holder addresses with the tokens of their containers, largest balance first
+   * @param {number} page - Page number
+   * @param {number} limit - Holders per page
+   * @returns {Promise<Object>} - { holders, custody, pagination }
+   */
+  async listHolders(page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+    const where = { holderAddress: { not: null } };
+
+    const [holders, [holderCount], custody] = await Promise.all([
+      prisma.container.groupBy({
+        by: ['holderAddress'],
+        where,
+        _count: { _all: true },
+        _sum: { grams: true, tokens: true },
+        orderBy: { _sum: { tokens: 'desc' } },
+        skip,
+        take: limit
+      }),
+      prisma.$queryRaw`
+        SELECT COUNT(DISTINCT [holderAddress]) AS holders
+        FROM [Container]
+        WHERE [holderAddress] IS NOT NULL
+      `,
+      prisma.container.aggregate({
+        where: { holderAddress: null },
+        _count: { _all: true },
+        _sum: { grams: true, tokens: true }
+      })
+    ]);
+
+    const zero = new Prisma.Decimal(0);
+    const total = Number(holderCount.holders);
+
+    return {
+      holders: holders.map((holder) => ({
+        address: holder.holderAddress,
+        containerCount: holder._count._all,
+        totalGrams: holder._sum.grams || zero,
+        totalTokens: holder._sum.tokens || zero
+      })),
+      custody: {
+        containerCount: custody._count._all,
+        totalGrams: custody._sum.grams || zero,
+        totalTokens: custody._sum.tokens || zero
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get the containers assigned to a holder address
+   * @param {string} holderAddress - Checksummed holder address
+   * @returns {Promise<Array<Object>>} - Containers, oldest first
+   */
+  async getContainersByHolder(holderAddress) {
+    return prisma.container.findMany({
+      where: { holderAddress },
+      orderBy: { blockNumber: 'asc' }
+    });
+  }
+
+  /**
+   * Create a redemption request
+   * @param {Object} data - { id, redemptionHash, tagId, grams, tokens, method, recipient, deliveryAddress, notes, requestedBy }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Created redemption
+   */
+  async createRedemption(data, db = prisma) {
+    return db.redemption.create({
+      data: {
+        id: data.id,
+        redemptionHash: data.redemptionHash,
+        tagId: data.tagId,
+        grams: data.grams,
+        tokens: data.tokens,
+        method: data.method,
+        recipient: data.recipient || null,
+        deliveryAddress: data.deliveryAddress || null,
+        notes: data.notes || null,
+        requestedBy: data.requestedBy || null
+      }
+    });
+  }
+
+  /**
+   * Create a redemption request if its container has the tokens available. The check and the insert run in one
+   * serializable transaction, so concurrent requests cannot set aside the same tokens.
+   * @param {Object} data - Redemption, as for createRedemption
+   * @returns {Promise<Object>} - { redemption, available } with redemption null if fewer tokens than requested are available
+   */
+  async reserveRedemption(data) {
+    return prisma.$transaction(async (tx) => {
+      const available = await this.getAvailableTokens(data.tagId, tx);
+      if (available.lessThan(data.tokens)) {
+        return { redemption: null, available };
+      }
+      return { redemption: await this.createRedemption(data, tx), available };
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+  }
+
+  /**
+   * Approve a redemption if its container still holds its tokens on top of those of the other approved redemptions,
+   * checking and approving in one serializable transaction
+   * @param {Object} redemption - Redemption as it was reviewed
+   * @param {string} reviewer - API key that approves it
+   * @returns {Promise<Object>} - { redemption, reason } with redemption null and reason 'CHANGED' if it was reviewed
+   *   meanwhile, or 'INSUFFICIENT_TOKENS' if the container no longer holds enough tokens
+   */
+  async approveRedemption(redemption, reviewer) {
+    return prisma.$transaction(async (tx) => {
+      const current = await tx.redemption.findUnique({ where: { id: redemption.id } });
+      if (current.status !== redemption.status || current.jobId !== redemption.jobId) {
+        return { redemption: null, reason: 'CHANGED' };
+      }
+
+      const container = await this.getContainerByTagId(redemption.tagId, tx);
+      const approved = await this.getReservedTokens(redemption.tagId, {
+        statuses: [REDEMPTION_STATUS.APPROVED],
+        exceptId: redemption.id
+      }, tx);
+      if (new Prisma.Decimal(container.tokens).minus(approved).lessThan(redemption.tokens)) {
+        return { redemption: null, reason: 'INSUFFICIENT_TOKENS' };
+      }
+
+      return {
+        redemption: await tx.redemption.update({
+          where: { id: redemption.id },
+          data: {
+            status: REDEMPTION_STATUS.APPROVED,
+            reviewedBy: reviewer,
+            reviewedAt: new Date(),
+            jobId: null
+          }
+        }),
+        reason: null
+      };
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+  }
+
+  /**
+   * Get a redemption by id
+   * @param {string} id - Redemption id
+   * @returns {Promise<Object>} - Redemption
+   */
+  async getRedemption(id) {
+    return prisma.redemption.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Get the redemption burned under an on-chain redemption ID
+   * @param {string} redemptionHash - bytes32 redemption ID
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Redemption
+   */
+  async getRedemptionByHash(redemptionHash, db = prisma) {
+    return db.redemption.findUnique({
+      where: { redemptionHash }
+    });
+  }
+
+  /**
+   * List redemptions, newest first
+   * @param {Object} filters - { status, tagId }
+   * @param {number} page - Page number
+   * @param {number} limit - Redemptions per page
+   * @returns {Promise<Object>} - { redemptions, pagination }
+   */
+  async listRedemptions(filters = {}, page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+    const where = {};
+    if (filters.status) where.status = filters.status;
+    if (filters.tagId) where.tagId = filters.tagId;
+
+    const [redemptions, total] = await Promise.all([
+      prisma.redemption.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.redemption.count({ where })
+    ]);
+
+    return {
+      redemptions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Update a redemption
+   * @param {string} id - Redemption id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated redemption
+   */
+  async updateRedemption(id, data) {
+    return prisma.redemption.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Tokens of a container set aside by redemptions that have not been burned yet
+   * @param {string} tagId - Container tag ID
+   * @param {Object} options - { statuses, exceptId }: only count redemptions in these statuses (default requested
+   *   and approved), leaving out the one with this id
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Decimal token amount
+   */
+  async getReservedTokens(tagId, { statuses = [REDEMPTION_STATUS.REQUESTED, REDEMPTION_STATUS.APPROVED], exceptId = null } = {}, db = prisma) {
+    const reserved = await db.redemption.aggregate({
+      where: {
+        tagId,
+        status: { in: statuses },
+        ...(exceptId ? { id: { not: exceptId } } : {})
+      },
+      _sum: { tokens: true }
+    });
+
+    return reserved._sum.tokens || new Prisma.Decimal(0);
+  }
+
+  /**
+   * Tokens of a container that can be transferred or redeemed: its balance less the tokens set aside by redemptions
+   * @param {string} tagId - Container tag ID
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object|null>} - Decimal token amount, never negative, or null if the container does not exist
+   */
+  async getAvailableTokens(tagId, db = prisma) {
+    const container = await this.getContainerByTagId(tagId, db);
+    if (!container) {
+      return null;
+    }
+
+    const available = new Prisma.Decimal(container.tokens).minus(await this.getReservedTokens(tagId, {}, db));
+    return Prisma.Decimal.max(available, 0);
+  }
+
+  /**
+   * Apply a burn: debit the container and mark its redemption as burned
+   * @param {Object} data - { tagId, redemptionHash, tokens, grams, transactionHash, logIndex, blockNumber, blockTime }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - { container, redemption } (redemption is null for burns made outside the API)
+   */
+  async applyRedemption(data, db = prisma) {
+    const container = await this.updateContainer(data.tagId, {
+      tokens: { decrement: data.tokens },
+      grams: { decrement: data.grams }
+    }, db);
+
+    const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
+    await db.redemption.updateMany({
+      where: { redemptionHash: data.redemptionHash, status: REDEMPTION_STATUS.APPROVED },
+      data: {
+        status: REDEMPTION_STATUS.BURNED,
+        transactionHash: data.transactionHash,
+        logIndex: data.logIndex,
+        blockNumber,
+        burnedAt: data.blockTime || new Date()
+      }
+    });
+
+    return { container, redemption: await this.getRedemptionByHash(data.redemptionHash, db) };
+  }
+
+  /**
+   * Get the containers that hold gold, for comparison with a vault audit
+   * @returns {Promise<Array<Object>>} - Containers { tagId, rfid, grams }
+   */
+  async getContainersWithGold() {
+    return prisma.container.findMany({
+      where: { grams: { gt: 0 } },
+      select: { tagId: true, rfid: true, grams: true },
+      orderBy: { tagId: 'asc' }
+    });
+  }
+
+  /**
+   * Store a vault audit and its comparison with the ledger
+   * @param {Object} data - Attestation columns; bars and report are serialized to JSON
+   * @returns {Promise<Object>} - Created attestation
+   */
+  async createAttestation(data) {
+    return prisma.reserveAttestation.create({
+      data: {
+        ...data,
+        bars: JSON.stringify(data.bars),
+        report: JSON.stringify(data.report),
+        coverageRatio: coverageRatio(data.auditedGrams, data.supplyGrams)
+      }
+    });
+  }
+
+  /**
+   * Get an attestation by id
+   * @param {string} id - Attestation id
+   * @returns {Promise<Object>} - Attestation
+   */
+  async getAttestation(id) {
+    return prisma.reserveAttestation.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Get the attestation of an audit hash
+   * @param {string} auditHash - keccak256 of the audit
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Attestation
+   */
+  async getAttestationByHash(auditHash, db = prisma) {
+    return db.reserveAttestation.findUnique({
+      where: { auditHash }
+    });
+  }
+
+  /**
+   * List attestations, newest first
+   * @param {number} page - Page number
+   * @param {number} limit - Attestations per page
+   * @returns {Promise<Object>} - { attestations, pagination }
+   */
+  async listAttestations(page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+
+    const [attestations, total] = await Promise.all([
+      prisma.reserveAttestation.findMany({
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.reserveAttestation.count()
+    ]);
+
+    return {
+      attestations,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Update an attestation
+   * @param {string} id - Attestation id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated attestation
+   */
+  async updateAttestation(id, data) {
+    return prisma.reserveAttestation.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Mark an attestation as recorded on-chain, with the supply the contract recorded next to it
+   * @param {Object} data - { auditHash, supplyGrams, transactionHash, logIndex, blockNumber }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object|null>} - Updated attestation, or null if the audit was not uploaded through the API
+   */
+  async recordAttestation(data, db = prisma) {
+    const attestation = await this.getAttestationByHash(data.auditHash, db);
+    if (!attestation) {
+      return null;
+    }
+
+    const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
+    return db.reserveAttestation.update({
+      where: { auditHash: data.auditHash },
+      data: {
+        status: 'RECORDED',
+        supplyGrams: data.supplyGrams,
+        coverageRatio: coverageRatio(attestation.auditedGrams, data.supplyGrams),
+        transactionHash: data.transactionHash,
+        logIndex: data.logIndex,
+        blockNumber,
+        recordedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Get the balance of every container, for a Merkle snapshot
+   * @returns {Promise<Array<Object>>} - Containers { tagId, grams, tokens } ordered by tag ID
+   */
+  async getContainerBalances() {
+    return prisma.container.findMany({
+      select: { tagId: true, grams: true, tokens: true },
+      orderBy: { tagId: 'asc' }
+    });
+  }
+
+  /**
+   * Store a balance snapshot
+   * @param {Object} data - Snapshot columns; leaves are serialized to JSON
+   * @returns {Promise<Object>} - Created snapshot
+   */
+  async createSnapshot(data) {
+    return prisma.balanceSnapshot.create({
+      data: {
+        ...data,
+        leaves: JSON.stringify(data.leaves)
+      }
+    });
+  }
+
+  /**
+   * Get a snapshot by id
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object>} - Snapshot
+   */
+  async getSnapshot(id) {
+    return prisma.balanceSnapshot.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * Get the snapshot of a Merkle root
+   * @param {string} root - Merkle root
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Snapshot
+   */
+  async getSnapshotByRoot(root, db = prisma) {
+    return db.balanceSnapshot.findUnique({
+      where: { root }
+    });
+  }
+
+  /**
+   * Get the snapshot whose root matches the balances most recently, which may be an older snapshot the
+   * balances returned to
+   * @param {string} status - Only consider snapshots with this status
+   * @returns {Promise<Object|null>} - Snapshot
+   */
+  async getLatestSnapshot(status = undefined) {
+    return prisma.balanceSnapshot.findFirst({
+      where: status ? { status } : undefined,
+      orderBy: { takenAt: 'desc' }
+    });
+  }
+
+  /**
+   * List snapshots, newest first, without their leaves
+   * @param {number} page - Page number
+   * @param {number} limit - Snapshots per page
+   * @returns {Promise<Object>} - { snapshots, pagination }
+   */
+  async listSnapshots(page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+
+    const [snapshots, total] = await Promise.all([
+      prisma.balanceSnapshot.findMany({
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          root: true,
+          containerCount: true,
+          totalGrams: true,
+          totalTokens: true,
+          status: true,
+          requestedBy: true,
+          jobId: true,
+          transactionHash: true,
+          blockNumber: true,
+          createdAt: true,
+          takenAt: true,
+          anchoredAt: true
+        }
+      }),
+      prisma.balanceSnapshot.count()
+    ]);
+
+    return {
+      snapshots,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Update a snapshot
+   * @param {string} id - Snapshot id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated snapshot
+   */
+  async updateSnapshot(id, data) {
+    return prisma.balanceSnapshot.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Mark a snapshot as anchored on-chain
+   * @param {Object} data - { root, transactionHash, logIndex, blockNumber }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object|null>} - Updated snapshot, or null if the root is not a known snapshot
+   */
+  async anchorSnapshot(data, db = prisma) {
+    if (!await this.getSnapshotByRoot(data.root, db)) {
+      return null;
+    }
+
+    const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
+    return db.balanceSnapshot.update({
+      where: { root: data.root },
+      data: {
+        status: 'ANCHORED',
+        transactionHash: data.transactionHash,
+        logIndex: data.logIndex,
+        blockNumber,
+        anchoredAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Record a batch transfer and attach the legs already recorded for its transaction
+   * @param {Object} data - { fromTagId, legs, tokens, grams, transactionHash, logIndex, blockNumber }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Created batch
+   */
+  async createTransferBatch(data, db = prisma) {
+    const blockNumber = typeof data.blockNumber === 'bigint' ? Number(data.blockNumber) : data.blockNumber;
+    const batch = await db.transferBatch.create({
+      data: {
+        fromTagId: data.fromTagId,
+        legs: data.legs,
+        tokens: data.tokens,
+        grams: data.grams,
+        transactionHash: data.transactionHash,
+        logIndex: data.logIndex,
+        blockNumber
+      }
+    });
+
+    // The contract emits every leg's TokensTransferred before the batch event
+    await db.transaction.updateMany({
+      where: {
+        transactionHash: data.transactionHash,
+        fromTagId: data.fromTagId,
+        batchId: null,
+        ...(data.logIndex !== null && data.logIndex !== undefined ? { logIndex: { lt: data.logIndex } } : {})
+      },
+      data: { batchId: batch.id }
+    });
+
+    return batch;
+  }
+
+  /**
+   * Get a batch transfer with its legs
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object>} - Batch
+   */
+  async getTransferBatch(id) {
+    return prisma.transferBatch.findUnique({
+      where: { id },
+      include: { transactions: { orderBy: { logIndex: 'asc' } } }
+    });
+  }
+
+  /**
+   * Get the batch recorded for a TokensBatchTransferred log
+   * @param {string} transactionHash - On-chain transaction hash
+   * @param {number} logIndex - Log index within the block
+   * @returns {Promise<Object>} - Batch with its legs
+   */
+  async getTransferBatchByLog(transactionHash, logIndex) {
+    return prisma.transferBatch.findFirst({
+      where: { transactionHash, logIndex },
+      include: { transactions: { orderBy: { logIndex: 'asc' } } }
+    });
+  }
+
+  /**
+   * Apply the database changes for a contract log exactly once.
+   * The log is recorded in ProcessedLog in the same database transaction as its
+   * changes, so whichever of the API or the event listener gets there second is a no-op.
+   * A webhook event attached by the event listener is queued with it, or on its own if the API applied the log first.
+   * @param {Object} log - Log position { transactionHash, logIndex, blockNumber, blockHash }, and webhookEvent if any
+   * @param {string} eventName - Contract event name
+   * @param {Function} apply - Receives the transaction client and applies the changes
+   * @param {Object|Function} payload - Event data needed to revert the log after a reorg, or a function
+   * building it from the result of apply. A null payload means there is nothing to revert.
+   * @returns {Promise<Object|null>} - Result of apply, or null if the log was already applied
+   */
+  async applyLogOnce(log, eventName, apply, payload = null) {
+    if (!log) {
+      return prisma.$transaction((tx) => apply(tx));
+    }
+
+    const where = {
+      transactionHash_logIndex: {
+        transactionHash: log.transactionHash,
+        logIndex: Number(log.logIndex)
+      }
+    };
+
+    const alreadyApplied = async () => {
+      if (log.webhookEvent) {
+        await this.queueWebhookEvent(log.webhookEvent);
+      }
+      return null;
+    };
+
+    if (await prisma.processedLog.findUnique({ where })) {
+      return alreadyApplied();
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.processedLog.create({
+          data: {
+            transactionHash: log.transactionHash,
+            logIndex: Number(log.logIndex),
+            blockNumber: Number(log.blockNumber),
+            blockHash: log.blockHash || null,
+            eventName,
+            payload: payload && typeof payload !== 'function' ? JSON.stringify(payload) : null
+          }
+        });
+
+        const result = await apply(tx);
+
+        // The revert data depends on what apply changed
+        if (typeof payload === 'function') {
+          const data = payload(result);
+          if (data) {
+            await tx.processedLog.update({ where, data: { payload: JSON.stringify(data) } });
+          }
+        }
+
+        if (log.webhookEvent) {
+          await this.queueWebhookEvent(log.webhookEvent, tx);
+        }
+
+        return result;
+      });
+    } catch (error) {
+      // A concurrent writer recorded the same log first
+      if (error.code === 'P2002' && await prisma.processedLog.findUnique({ where })) {
+        return alreadyApplied();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the last block processed by the event listener
+   * @param {string} id - Checkpoint key (contract address)
+   * @returns {Promise<number|null>} - Last processed block, or null on first run
+   */
+  async getSyncCheckpoint(id) {
+    const checkpoint = await prisma.syncCheckpoint.findUnique({
+      where: { id }
+    });
+
+    return checkpoint ? checkpoint.lastProcessedBlock : null;
+  }
+
+  /**
+   * Store the last block processed by the event listener
+   * @param {string} id - Checkpoint key (contract address)
+   * @param {number} blockNumber - Last processed block
+   * @returns {Promise<Object>} - Saved checkpoint
+   */
+  async saveSyncCheckpoint(id, blockNumber) {
+    const lastProcessedBlock = typeof blockNumber === 'bigint' ? Number(blockNumber) : blockNumber;
+    return prisma.syncCheckpoint.upsert({
+      where: { id },
+      update: { lastProcessedBlock },
+      create: { id, lastProcessedBlock }
+    });
+  }
+
+  /**
+   * Get applied logs at or above a block, newest first
+   * @param {number} blockNumber - Lowest block to include
+   * @returns {Promise<Array<Object>>} - Processed logs
+   */
+  async getProcessedLogsFrom(blockNumber) {
+    return prisma.processedLog.findMany({
+      where: { blockNumber: { gte: blockNumber } },
+      orderBy: [{ blockNumber: 'desc' }, { logIndex: 'desc' }]
+    });
+  }
+
+  /**
+   * Undo the database changes of an applied log whose block was reorged out
+   * @param {Object} processedLog - ProcessedLog row
+   * @returns {Promise<void>}
+   */
+  async revertProcessedLog(processedLog) {
+    const payload = processedLog.payload ? JSON.parse(processedLog.payload) : null;
+
+    await prisma.$transaction(async (tx) => {
+      if (payload) {
+        switch (processedLog.eventName) {
+          case 'ContainerCreated':
+            await tx.container.deleteMany({ where: { tagId: payload.tagId } });
+            break;
+          case 'TokensTransferred':
+            await this.revertTransfer(processedLog, payload, tx);
+            break;
+          case 'TokensBatchTransferred':
+            await this.revertTransferBatch(processedLog, tx);
+            break;
+          case 'ContainerRfidUpdated':
+            await tx.rfidChange.deleteMany({
+              where: {
+                transactionHash: processedLog.transactionHash,
+                logIndex: processedLog.logIndex
+              }
+            });
+            await tx.container.updateMany({
+              where: { tagId: payload.tagId },
+              data: { rfid: payload.previousRfid }
+            });
+            break;
+          case 'TokensRedeemed':
+            await tx.container.updateMany({
+              where: { tagId: payload.tagId },
+              data: {
+                tokens: { increment: payload.tokens },
+                grams: { increment: payload.grams }
+              }
+            });
+            // A redemption already delivered keeps its status; the burn is mined again or needs manual review
+            await tx.redemption.updateMany({
+              where: { redemptionHash: payload.redemptionHash, status: REDEMPTION_STATUS.BURNED },
+              data: {
+                status: REDEMPTION_STATUS.APPROVED,
+                transactionHash: null,
+                logIndex: null,
+                blockNumber: null,
+                burnedAt: null
+              }
+            });
+            break;
+          case 'BalanceRootAnchored':
+            await tx.balanceSnapshot.updateMany({
+              where: { root: payload.root },
+              data: {
+                status: 'PENDING',
+                transactionHash: null,
+                logIndex: null,
+                blockNumber: null,
+                anchoredAt: null
+              }
+            });
+            break;
+          case 'ReservesAttested':
+            await tx.reserveAttestation.updateMany({
+              where: { auditHash: payload.auditHash },
+              data: {
+                status: 'PENDING',
+                transactionHash: null,
+                logIndex: null,
+                blockNumber: null,
+                recordedAt: null
+              }
+            });
+            break;
+          case 'ContainerHolderChanged':
+            await tx.container.updateMany({
+              where: { tagId: payload.tagId },
+              data: { holderAddress: payload.previousHolder }
+            });
+            break;
+          case 'GroupCreated':
+            await tx.container.updateMany({
+              where: { groupHash: payload.groupHash },
+              data: { groupHash: null }
+            });
+            await tx.group.deleteMany({ where: { groupHash: payload.groupHash } });
+            break;
+          case 'RoleGranted':
+          case 'RoleRevoked':
+            await tx.roleChange.deleteMany({
+              where: {
+                transactionHash: processedLog.transactionHash,
+                logIndex: processedLog.logIndex
+              }
+            });
+            break;
+          case 'ContainerAssignedToGroup':
+            await tx.container.updateMany({
+              where: { tagId: payload.tagId },
+              data: { groupHash: payload.previousGroupHash }
+            });
+            break;
+          default:
+            console.warn(`Don't know how to revert ${processedLog.eventName} log`);
+        }
+      }
+
+      await this.revertWebhookEvent(processedLog, tx);
+      await tx.processedLog.delete({ where: { id: processedLog.id } });
+    });
+  }
+
+  /**
+   * Reverse a transfer applied by applyTransfer
+   * @param {Object} processedLog - ProcessedLog row of the TokensTransferred log
+   * @param {Object} payload - { fromTagId, toTagId, tokens, grams }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<void>}
+   */
+  async revertTransfer(processedLog, payload, db = prisma) {
+    await db.transaction.deleteMany({
+      where: {
+        transactionHash: processedLog.transactionHash,
+        logIndex: processedLog.logIndex
+      }
+    });
+
+    await db.container.updateMany({
+      where: { tagId: payload.fromTagId },
+      data: {
+        tokens: { increment: payload.tokens },
+        grams: { increment: payload.grams }
+      }
+    });
+
+    const destContainer = await db.container.update({
+      where: { tagId: payload.toTagId },
+      data: {
+        tokens: { decrement: payload.tokens },
+        grams: { decrement: payload.grams }
+      }
+    });
+
+    // Drop the destination if this transfer is what created it
+    const remainingTransactions = await db.transaction.count({
+      where: { OR: [{ fromTagId: payload.toTagId }, { toTagId: payload.toTagId }] }
+    });
+
+    if (new Prisma.Decimal(destContainer.grams).lte(0) && remainingTransactions === 0) {
+      await db.container.delete({ where: { tagId: payload.toTagId } });
+    }
+  }
+
+  /**
+   * Delete a batch recorded by createTransferBatch, detaching its legs.
+   * The legs themselves are reverted with their own TokensTransferred logs.
+   * @param {Object} processedLog - ProcessedLog row of the TokensBatchTransferred log
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<void>}
+   */
+  async revertTransferBatch(processedLog, db = prisma) {
+    const batches = await db.transferBatch.findMany({
+      where: {
+        transactionHash: processedLog.transactionHash,
+        logIndex: processedLog.logIndex
+      }
+    });
+    const batchIds = batches.map((batch) => batch.id);
+
+    await db.transaction.updateMany({
+      where: { batchId: { in: batchIds } },
+      data: { batchId: null }
+    });
+
+    await db.transferBatch.deleteMany({
+      where: { id: { in: batchIds } }
+    });
+  }
+
+  /**
+   * Record a log the event listener skipped because its handler kept failing
+   * @param {Object} data - { transactionHash, logIndex, blockNumber, blockHash, eventName, attempts, error }
+   * @returns {Promise<Object>} - Skipped log
+   */
+  async recordSkippedLog(data) {
+    const { transactionHash, logIndex, ...rest } = data;
+    return prisma.skippedLog.upsert({
+      where: { transactionHash_logIndex: { transactionHash, logIndex } },
+      update: rest,
+      create: data
+    });
+  }
+
+  /**
+   * Get the logs the event listener skipped, oldest first
+   * @returns {Promise<Array<Object>>} - Skipped logs
+   */
+  async getSkippedLogs() {
+    return prisma.skippedLog.findMany({
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }]
+    });
+  }
+
+  /**
+   * Forget skipped logs at or above a block, after a reorg removed it
+   * @param {number} blockNumber - Lowest block to delete
+   * @returns {Promise<Object>} - Delete count
+   */
+  async deleteSkippedLogsFrom(blockNumber) {
+    return prisma.skippedLog.deleteMany({
+      where: { blockNumber: { gte: blockNumber } }
+    });
+  }
+
+  /**
+   * Record the hash of a block processed by the event listener
+   * @param {string} checkpointId - Checkpoint key (contract address)
+   * @param {number} blockNumber - Block number
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<Object>} - Saved block
+   */
+  async saveSyncBlock(checkpointId, blockNumber, blockHash) {
+    return prisma.syncBlock.upsert({
+      where: { checkpointId_blockNumber: { checkpointId, blockNumber } },
+      update: { blockHash },
+      create: { checkpointId, blockNumber, blockHash }
+    });
+  }
+
+  /**
+   * Get the most recent block hashes seen by the event listener, newest first
+   * @param {string} checkpointId - Checkpoint key (contract address)
+   * @param {number} limit - Maximum number of blocks
+   * @returns {Promise<Array<Object>>} - Sync blocks
+   */
+  async getRecentSyncBlocks(checkpointId, limit = 128) {
+    return prisma.syncBlock.findMany({
+      where: { checkpointId },
+      orderBy: { blockNumber: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Forget block hashes above a block (after a reorg) or beyond the retention window
+   * @param {string} checkpointId - Checkpoint key (contract address)
+   * @param {Object} range - { above, keep }: delete blocks above `above`, keep only the newest `keep`
+   * @returns {Promise<void>}
+   */
+  async pruneSyncBlocks(checkpointId, { above, keep } = {}) {
+    if (above !== undefined) {
+      await prisma.syncBlock.deleteMany({
+        where: { checkpointId, blockNumber: { gt: above } }
+      });
+    }
+
+    if (keep !== undefined) {
+      const oldestKept = await prisma.syncBlock.findFirst({
+        where: { checkpointId },
+        orderBy: { blockNumber: 'desc' },
+        skip: keep - 1
+      });
+
+      if (oldestKept) {
+        await prisma.syncBlock.deleteMany({
+          where: { checkpointId, blockNumber: { lt: oldestKept.blockNumber } }
+        });
+      }
+    }
+  }
+
+  /**
+   * Get an API key by the hash of the key
+   * @param {string} keyHash - sha256 of the key
+   * @returns {Promise<Object>} - API key
+   */
+  async getApiKeyByHash(keyHash) {
+    return prisma.apiKey.findUnique({
+      where: { keyHash }
+    });
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} data - { name, keyHash, keyPrefix, roles }
+   * @returns {Promise<Object>} - Created API key
+   */
+  async createApiKey(data) {
+    return prisma.apiKey.create({
+      data: {
+        name: data.name,
+        keyHash: data.keyHash,
+        keyPrefix: data.keyPrefix,
+        roles: data.roles.join(',')
+      }
+    });
+  }
+
+  /**
+   * List API keys, without their hashes
+   * @returns {Promise<Array<Object>>} - API keys
+   */
+  async listApiKeys() {
+    return prisma.apiKey.findMany({
+      select: { id: true, name: true, keyPrefix: true, roles: true, createdAt: true, revokedAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - API key id
+   * @returns {Promise<Object>} - Revoked API key
+   */
+  async revokeApiKey(id) {
+    return prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      select: { id: true, name: true, keyPrefix: true, roles: true, createdAt: true, revokedAt: true }
+    });
+  }
+
+  /**
+   * Record an on-chain role change
+   * @param {Object} data - { role, account, sender, action, requestedBy, transactionHash, logIndex, blockNumber }
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<Object>} - Created role change
+   */
+  async recordRoleChange(data, db = prisma) {
+    return db.roleChange.create({
+      data: {
+        role: data.role,
+        account: data.account,
+        sender: data.sender,
+        action: data.action,
+        requestedBy: data.requestedBy || null,
+        transactionHash: data.transactionHash,
+        logIndex: Number(data.logIndex),
+        blockNumber: Number(data.blockNumber)
+      }
+    });
+  }
+
+  /**
+   * Record a decoded RoleGranted/RoleRevoked log exactly once
+   * @param {Object} roleLog - Decoded role log from web3Service.decodeRoleLog
+   * @param {string} requestedBy - API key name, when the change was made through the API
+   * @returns {Promise<Object>} - Role change
+   */
+  async applyRoleChange(roleLog, requestedBy = null) {
+    // renounceRole emits RoleRevoked with the account as sender
+    let action = 'GRANTED';
+    if (!roleLog.granted) {
+      action = roleLog.account.toLowerCase() === roleLog.sender.toLowerCase() ? 'RENOUNCED' : 'REVOKED';
+    }
+
+    const change = await this.applyLogOnce(roleLog.log, roleLog.granted ? 'RoleGranted' : 'RoleRevoked', (db) => (
+      this.recordRoleChange({
+        role: roleLog.role,
+        account: roleLog.account,
+        sender: roleLog.sender,
+        action,
+        requestedBy,
+        transactionHash: roleLog.log.transactionHash,
+        logIndex: roleLog.log.logIndex,
+        blockNumber: roleLog.log.blockNumber
+      }, db)
+    ), { role: roleLog.role, account: roleLog.account, action });
+
+    if (change || !requestedBy) {
+      return change;
+    }
+
+    return this.setRoleChangeRequester(roleLog.log.transactionHash, roleLog.log.logIndex, requestedBy);
+  }
+
+  /**
+   * Attach the requesting API key to a role change the event listener recorded first
+   * @param {string} transactionHash - On-chain transaction hash
+   * @param {number} logIndex - Log index within the block
+   * @param {string} requestedBy - API key name
+   * @returns {Promise<Object>} - Role change
+   */
+  async setRoleChangeRequester(transactionHash, logIndex, requestedBy) {
+    await prisma.roleChange.updateMany({
+      where: { transactionHash, logIndex },
+      data: { requestedBy }
+    });
+
+    return prisma.roleChange.findFirst({
+      where: { transactionHash, logIndex }
+    });
+  }
+
+  /**
+   * Current holders of each role, folded from the recorded role changes
+   * @returns {Promise<Object>} - Role name => array of { account, since, transactionHash }
+   */
+  async getRoleHolders() {
+    const changes = await prisma.roleChange.findMany({
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }]
+    });
+
+    const holders = {};
+    for (const change of changes) {
+      holders[change.role] = holders[change.role] || new Map();
+      const account = change.account.toLowerCase();
+
+      if (change.action === 'GRANTED') {
+        holders[change.role].set(account, {
+          account: change.account,
+          since: change.createdAt,
+          blockNumber: change.blockNumber,
+          transactionHash: change.transactionHash
+        });
+      } else {
+        holders[change.role].delete(account);
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(holders).map(([role, accounts]) => [role, [...accounts.values()]])
+    );
+  }
+
+  /**
+   * Get role changes with pagination, newest first
+   * @param {number} page - Page number
+   * @param {number} limit - Number of items per page
+   * @returns {Promise<Object>} - Role changes and pagination info
+   */
+  async getRoleChanges(page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+
+    const [changes, total] = await Promise.all([
+      prisma.roleChange.findMany({
+        skip,
+        take: limit,
+        orderBy: [{ blockNumber: 'desc' }, { logIndex: 'desc' }]
+      }),
+      prisma.roleChange.count()
+    ]);
+
+    return {
+      changes,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Claim an Idempotency-Key for a request
+   * @param {Object} data - { key, principal, method, path, fingerprint }
+   * @returns {Promise<Object|null>} - Created record, or null if the key was already used
+   */
+  async claimIdempotencyKey(data) {
+    try {
+      return await prisma.idempotencyKey.create({
+        data: { ...data, status: 'IN_PROGRESS' }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get an Idempotency-Key record
+   * @param {string} principal - API key id
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Promise<Object>} - Idempotency-Key record
+   */
+  async getIdempotencyKey(principal, key) {
+    return prisma.idempotencyKey.findUnique({
+      where: { principal_key: { principal, key } }
+    });
+  }
+
+  /**
+   * Take over an Idempotency-Key whose request has held it since before staleBefore, most likely because the
+   * process handling it died. Only one caller can take it over.
+   * @param {Object} record - Idempotency-Key record as read
+   * @param {Date} staleBefore - Keys locked before this time are stale
+   * @returns {Promise<Object|null>} - Reclaimed record, or null if the key is not stale or was taken over first
+   */
+  async reclaimIdempotencyKey(record, staleBefore) {
+    const lockedAt = new Date();
+    const { count } = await prisma.idempotencyKey.updateMany({
+      where: { id: record.id, status: 'IN_PROGRESS', lockedAt: { equals: record.lockedAt, lt: staleBefore } },
+      data: { lockedAt }
+    });
+
+    return count ? { ...record, lockedAt } : null;
+  }
+
+  /**
+   * Store the response of a request made with an Idempotency-Key, unless another request reclaimed the key
+   * @param {Object} record - Idempotency-Key record the request claimed
+   * @param {number} responseCode - HTTP status code
+   * @param {Object} responseBody - JSON response body
+   * @returns {Promise<Object>} - { count } of records updated
+   */
+  async completeIdempotencyKey(record, responseCode, responseBody) {
+    return prisma.idempotencyKey.updateMany({
+      where: { id: record.id, status: 'IN_PROGRESS', lockedAt: record.lockedAt },
+      data: {
+        status: 'COMPLETED',
+        responseCode,
+        responseBody: JSON.stringify(responseBody)
+      }
+    });
+  }
+
+  /**
+   * Release an Idempotency-Key whose response can't be replayed, so a retry runs the request again,
+   * unless another request reclaimed it
+   * @param {Object} record - Idempotency-Key record the request claimed
+   * @returns {Promise<Object>} - { count } of records deleted
+   */
+  async releaseIdempotencyKey(record) {
+    return prisma.idempotencyKey.deleteMany({
+      where: { id: record.id, status: 'IN_PROGRESS', lockedAt: record.lockedAt }
+    });
+  }
+
+  /**
+   * Queue a contract write for the job worker
+   * @param {string} type - Job type
+   * @param {Object} payload - Job parameters
+   * @param {string} requestedBy - Name of the API key that queued the job
+   * @returns {Promise<Object>} - Created job
+   */
+  async createJob(type, payload, requestedBy = null) {
+    return prisma.job.create({
+      data: {
+        type,
+        payload: JSON.stringify(payload),
+        requestedBy
+      }
+    });
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} - Job with its replacements
+   */
+  async getJob(id) {
+    return prisma.job.findUnique({
+      where: { id },
+      include: { replacements: { orderBy: { createdAt: 'asc' } } }
+    });
+  }
+
+  /**
+   * Get the oldest jobs in the given states
+   * @param {Array<string>} statuses - Job states
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array<Object>>} - Jobs with their replacements, oldest first
+   */
+  async getJobsByStatus(statuses, limit = 20) {
+    return prisma.job.findMany({
+      where: { status: { in: statuses } },
+      include: { replacements: { orderBy: { createdAt: 'asc' } } },
+      orderBy: { createdAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Containers in container creation jobs that have not been confirmed or failed
+   * @returns {Promise<Array<Object>>} - Containers { tagId, rfid, jobId }
+   */
+  async getPendingContainerCreations() {
+    const jobs = await prisma.job.findMany({
+      where: {
+        type: { in: ['CREATE_CONTAINER', 'CREATE_CONTAINERS'] },
+        status: { in: ['QUEUED', 'SUBMITTED', 'MINED'] }
+      },
+      select: { id: true, type: true, payload: true }
+    });
+
+    return jobs.flatMap((job) => {
+      const payload = JSON.parse(job.payload);
+      const containers = job.type === 'CREATE_CONTAINERS' ? payload.containers : [payload];
+      return containers.map(({ tagId, rfid }) => ({ tagId, rfid, jobId: job.id }));
+    });
+  }
+
+  /**
+   * Get the nonces of jobs in the given states
+   * @param {Array<string>} statuses - Job states
+   * @returns {Promise<Array<number>>} - Nonces
+   */
+  async getJobNonces(statuses) {
+    const jobs = await prisma.job.findMany({
+      where: { status: { in: statuses }, nonce: { not: null } },
+      select: { nonce: true }
+    });
+    return jobs.map((job) => job.nonce);
+  }
+
+  /**
+   * Update a job
+   * @param {string} id - Job id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated job
+   */
+  async updateJob(id, data) {
+    return prisma.job.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Record that a job's pending transaction was replaced, and point the job at the replacement
+   * @param {Object} job - Job
+   * @param {string} action - SPEED_UP or CANCEL
+   * @param {Object} data - Replacement { transactionHash, rawTransaction, nonce, gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas }
+   * @returns {Promise<Object>} - Replacement record
+   */
+  async recordJobReplacement(job, action, data) {
+    const { rawTransaction, gasLimit, ...fields } = data;
+    
+    return prisma.$transaction(async (tx) => {
+      const replacement = await tx.jobReplacement.create({
+        data: {
+          jobId: job.id,
+          action,
+          previousHash: job.transactionHash,
+          ...fields
+        }
+      });
+      
+      await tx.job.update({
+        where: { id: job.id },
+        data: { ...fields, rawTransaction, gasLimit }
+      });
+      
+      return replacement;
+    });
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {Object} data - { url, eventTypes, secret, description, createdBy }
+   * @returns {Promise<Object>} - Created subscription
+   */
+  async createWebhookSubscription(data) {
+    return prisma.webhookSubscription.create({
+      data: {
+        url: data.url,
+        eventTypes: data.eventTypes.join(','),
+        secret: data.secret,
+        description: data.description || null,
+        createdBy: data.createdBy || null
+      }
+    });
+  }
+
+  /**
+   * Get a webhook subscription by id
+   * @param {string} id - Subscription id
+   * @returns {Promise<Object>} - Subscription
+   */
+  async getWebhookSubscription(id) {
+    return prisma.webhookSubscription.findUnique({
+      where: { id }
+    });
+  }
+
+  /**
+   * List webhook subscriptions, newest first
+   * @returns {Promise<Array<Object>>} - Subscriptions
+   */
+  async listWebhookSubscriptions() {
+    return prisma.webhookSubscription.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Update a webhook subscription
+   * @param {string} id - Subscription id
+   * @param {Object} data - Fields to update; eventTypes as an array
+   * @returns {Promise<Object>} - Updated subscription
+   */
+  async updateWebhookSubscription(id, data) {
+    return prisma.webhookSubscription.update({
+      where: { id },
+      data: {
+        ...data,
+        ...(data.eventTypes ? { eventTypes: data.eventTypes.join(',') } : {})
+      }
+    });
+  }
+
+  /**
+   * Delete a webhook subscription and its deliveries
+   * @param {string} id - Subscription id
+   * @returns {Promise<Object>} - Deleted subscription
+   */
+  async deleteWebhookSubscription(id) {
+    return prisma.$transaction(async (tx) => {
+      await tx.webhookDelivery.deleteMany({ where: { subscriptionId: id } });
+      return tx.webhookSubscription.delete({ where: { id } });
+    });
+  }
+
+  /**
+   * Queue a webhook event for every subscription registered for its type, including paused ones, whose
+   * deliveries are sent once they are resumed. An event is queued once per subscription and block,
+   * so replaying blocks does not send it again.
+   * @param {Object} event - { eventId, eventType, blockHash, payload } from webhookService.buildEvent
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<number>} - Number of deliveries queued
+   */
+  async queueWebhookEvent(event, db = prisma) {
+    const subscriptions = (await db.webhookSubscription.findMany({ select: { id: true, eventTypes: true } }))
+      .filter((subscription) => subscription.eventTypes.split(',').some((type) => type === '*' || type === event.eventType));
+    if (!subscriptions.length) {
+      return 0;
+    }
+
+    const queued = await db.webhookDelivery.findMany({
+      where: { eventId: event.eventId, blockHash: event.blockHash },
+      select: { subscriptionId: true }
+    });
+    const queuedFor = new Set(queued.map((delivery) => delivery.subscriptionId));
+
+    let count = 0;
+    for (const subscription of subscriptions.filter((item) => !queuedFor.has(item.id))) {
+      await db.webhookDelivery.create({
+        data: {
+          subscriptionId: subscription.id,
+          eventId: event.eventId,
+          eventType: event.eventType,
+          blockHash: event.blockHash,
+          payload: event.payload
+        }
+      });
+      count += 1;
+    }
+
+    return count;
+  }
+
+  /**
+   * Withdraw the webhook event of a log whose block was reorged out. Deliveries not attempted yet are dropped;
+   * subscriptions that may have received the event are sent an event.reverted with the same fields, whose data
+   * holds the id and type of the reverted event.
+   * @param {Object} processedLog - ProcessedLog row being reverted
+   * @param {Object} db - Prisma client or interactive transaction client
+   * @returns {Promise<void>}
+   */
+  async revertWebhookEvent(processedLog, db = prisma) {
+    const eventId = `${processedLog.transactionHash}:${processedLog.logIndex}`;
+    const where = { eventId, blockHash: processedLog.blockHash };
+
+    await db.webhookDelivery.deleteMany({ where: { ...where, status: 'PENDING', attempts: 0 } });
+
+    for (const delivery of await db.webhookDelivery.findMany({ where })) {
+      if (delivery.status === 'PENDING') {
+        await db.webhookDelivery.update({
+          where: { id: delivery.id },
+          data: { status: 'FAILED', nextAttemptAt: null, error: 'Log was reorged out' }
+        });
+      }
+
+      const event = JSON.parse(delivery.payload);
+      await db.webhookDelivery.create({
+        data: {
+          subscriptionId: delivery.subscriptionId,
+          eventId: `${eventId}:reverted`,
+          eventType: 'event.reverted',
+          blockHash: processedLog.blockHash,
+          payload: JSON.stringify({
+            ...event,
+            id: `${event.id}:reverted`,
+            type: 'event.reverted',
+            data: { id: event.id, type: event.type }
+          })
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a webhook delivery with its subscription
+   * @param {string} id - Delivery id
+   * @returns {Promise<Object>} - Delivery
+   */
+  async getWebhookDelivery(id) {
+    return prisma.webhookDelivery.findUnique({
+      where: { id },
+      include: { subscription: true }
+    });
+  }
+
+  /**
+   * List webhook deliveries, newest first, without their payloads
+   * @param {Object} filters - { subscriptionId, status, eventType }
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} - Deliveries with pagination
+   */
+  async listWebhookDeliveries(filters = {}, page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+    const where = {};
+    if (filters.subscriptionId) where.subscriptionId = filters.subscriptionId;
+    if (filters.status) where.status = filters.status;
+    if (filters.eventType) where.eventType = filters.eventType;
+
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          subscriptionId: true,
+          eventId: true,
+          eventType: true,
+          blockHash: true,
+          status: true,
+          attempts: true,
+          nextAttemptAt: true,
+          lastAttemptAt: true,
+          responseStatus: true,
+          error: true,
+          createdAt: true,
+          deliveredAt: true
+        }
+      }),
+      prisma.webhookDelivery.count({ where })
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get pending webhook deliveries of active subscriptions that are due, oldest first
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array<Object>>} - Deliveries with their subscription
+   */
+  async getDueWebhookDeliveries(limit) {
+    return prisma.webhookDelivery.findMany({
+      where: {
+        status: 'PENDING',
+        nextAttemptAt: { lte: new Date() },
+        subscription: { active: true }
+      },
+      include: { subscription: true },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Update a webhook delivery
+   * @param {string} id - Delivery id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async updateWebhookDelivery(id, data) {
+    return prisma.webhookDelivery.update({
+      where: { id },
+      data
+    });
+  }
 }
 
 module.exports = new PrismaService();
+module.exports.REDEMPTION_STATUS = REDEMPTION_STATUS;
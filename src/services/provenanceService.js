@@ -0,0 +1,214 @@
+const { Prisma } = require('@prisma/client');
+const prismaService = require('./prismaService');
+
+// Enough precision for shares of 18-decimal amounts
+const Decimal = Prisma.Decimal.clone({ precision: 60 });
+
+const DEFAULT_DEPTH = 10;
+// Containers are no longer expanded once the graph has this many
+const MAX_NODES = 1000;
+// Tag IDs per query, below SQL Server's parameter limit
+const QUERY_BATCH_SIZE = 1000;
+
+/**
+ * Run a query over tag IDs in batches and concatenate the results
+ * @param {Array<string>} tagIds - Container tag IDs
+ * @param {Function} query - Called with each batch; resolves to an array
+ * @returns {Promise<Array<Object>>} - Results of every batch
+ */
+async function queryInBatches(tagIds, query) {
+  const results = [];
+  for (let i = 0; i < tagIds.length; i += QUERY_BATCH_SIZE) {
+    results.push(...await query(tagIds.slice(i, i + QUERY_BATCH_SIZE)));
+  }
+  return results;
+}
+
+/**
+ * Format a computed amount as a decimal string with at most 18 decimal places
+ * @param {Object} amount - Decimal amount
+ * @returns {string} - Amount
+ */
+function formatAmount(amount) {
+  return amount.toDecimalPlaces(18).toFixed();
+}
+
+class ProvenanceService {
+  /**
+   * Walk transfers back from a container to the containers its gold was minted into.
+   *
+   * Gold in a container is treated as fungible: every transfer out of it, and its current balance, takes
+   * the same share of everything that was minted into or received by it up to that moment. Working
+   * backwards through the transfers gives how many of the container's grams came through each transfer
+   * and from each origin.
+   * @param {Object} container - Container to trace
+   * @param {number} maxDepth - Number of transfer hops to walk back
+   * @returns {Promise<Object>} - { nodes, edges, origins, groups, truncated }
+   */
+  async getProvenance(container, maxDepth = DEFAULT_DEPTH) {
+    const { tagId } = container;
+
+    // Breadth-first walk over incoming transfers
+    const depths = new Map([[tagId, 0]]);
+    const expanded = new Set();
+    let transactions = [];
+    let frontier = [tagId];
+    for (let depth = 0; frontier.length && depth < maxDepth && depths.size < MAX_NODES; depth++) {
+      const incoming = await queryInBatches(frontier, (batch) => prismaService.getIncomingTransactions(batch));
+      frontier.forEach((node) => expanded.add(node));
+      frontier = [];
+      for (const transaction of incoming) {
+        transactions.push(transaction);
+        if (!depths.has(transaction.fromTagId)) {
+          depths.set(transaction.fromTagId, depth + 1);
+          frontier.push(transaction.fromTagId);
+        }
+      }
+    }
+
+    const tagIds = [...depths.keys()];
+    const [containers, flows] = await Promise.all([
+      queryInBatches(tagIds, (batch) => prismaService.getContainersByTagIds(batch)),
+      queryInBatches(tagIds, async (batch) => [await prismaService.getGramFlows(batch)])
+    ]);
+    const containersByTagId = new Map(containers.map((node) => [node.tagId, node]));
+
+    // Transfers can come from a container missing from the database: its mint and inflows are unknown, so it is
+    // not walked further and counts as a truncated origin of everything it contributed
+    const unknown = new Set(tagIds.filter((node) => !containersByTagId.has(node)));
+    transactions = transactions.filter((transaction) => !unknown.has(transaction.toTagId));
+    const flowOf = (key, node) => {
+      const amount = flows.map((flow) => flow[key].get(node)).find((value) => value !== undefined && value !== null);
+      return new Decimal(String(amount || 0));
+    };
+
+    // Gold minted into a container = what it holds + what left it - what it received
+    const minted = new Map();
+    const truncated = new Set();
+    for (const node of tagIds) {
+      if (unknown.has(node)) {
+        minted.set(node, new Decimal(0));
+        truncated.add(node);
+        continue;
+      }
+      const current = new Decimal(String(containersByTagId.get(node).grams));
+      const mintedGrams = current.plus(flowOf('outgoing', node)).plus(flowOf('redeemed', node)).minus(flowOf('incoming', node));
+      minted.set(node, Decimal.max(mintedGrams, 0));
+      if (!expanded.has(node) && flowOf('incoming', node).gt(0)) {
+        truncated.add(node);
+      }
+    }
+
+    // Chain order, and the size of each container's pool (minted plus received so far) at every transfer
+    transactions.sort((a, b) => (
+      (a.blockNumber ?? Infinity) - (b.blockNumber ?? Infinity) ||
+      (a.logIndex ?? 0) - (b.logIndex ?? 0) ||
+      new Date(a.timestamp) - new Date(b.timestamp)
+    ));
+    const pools = new Map(tagIds.map((node) => [node, minted.get(node)]));
+    const poolsAt = transactions.map((transaction) => {
+      const grams = new Decimal(String(transaction.grams));
+      pools.set(transaction.toTagId, pools.get(transaction.toTagId).plus(grams));
+      return { grams, fromPool: pools.get(transaction.fromTagId) };
+    });
+
+    // Walking backwards, draws[node] is the sum of (grams drawn towards the container / pool size at the draw)
+    // over the node's later transfers; a transfer into the node carries its grams times that sum
+    const draws = new Map(tagIds.map((node) => [node, new Decimal(0)]));
+    const targetPool = pools.get(tagId);
+    if (targetPool.gt(0)) {
+      draws.set(tagId, new Decimal(String(container.grams)).div(targetPool));
+    }
+    const contributions = new Array(transactions.length);
+    const passedThrough = new Map(tagIds.map((node) => [node, new Decimal(0)]));
+    for (let i = transactions.length - 1; i >= 0; i--) {
+      const { fromTagId, toTagId } = transactions[i];
+      const contribution = poolsAt[i].grams.times(draws.get(toTagId));
+      contributions[i] = contribution;
+      passedThrough.set(fromTagId, passedThrough.get(fromTagId).plus(contribution));
+      if (poolsAt[i].fromPool.gt(0)) {
+        draws.set(fromTagId, draws.get(fromTagId).plus(contribution.div(poolsAt[i].fromPool)));
+      }
+    }
+    passedThrough.set(tagId, new Decimal(String(container.grams)));
+
+    const total = new Decimal(String(container.grams));
+    const shareOf = (grams) => (total.isZero() ? null : grams.div(total).toDecimalPlaces(6).toNumber());
+
+    // Gold minted into a container whose own inflows were not walked is counted as its own
+    const origins = tagIds
+      .map((node) => ({
+        node,
+        grams: truncated.has(node) ? passedThrough.get(node) : minted.get(node).times(draws.get(node))
+      }))
+      .filter(({ grams }) => grams.gt(0))
+      .sort((a, b) => b.grams.comparedTo(a.grams))
+      .map(({ node, grams }) => {
+        const { rfid = null, groupHash = null } = containersByTagId.get(node) || {};
+        return {
+          tagId: node,
+          rfid,
+          groupHash,
+          grams,
+          truncated: truncated.has(node),
+          unknown: unknown.has(node)
+        };
+      });
+
+    const groupHashes = [...new Set(origins.map((origin) => origin.groupHash).filter(Boolean))];
+    const groupNames = new Map((groupHashes.length ? await prismaService.getGroupsByHashes(groupHashes) : [])
+      .map((group) => [group.groupHash, group.name]));
+    const groupTotals = new Map();
+    for (const origin of origins) {
+      groupTotals.set(origin.groupHash, (groupTotals.get(origin.groupHash) || new Decimal(0)).plus(origin.grams));
+    }
+
+    const nodes = tagIds
+      .filter((node) => node === tagId || passedThrough.get(node).gt(0))
+      .map((node) => {
+        const { rfid = null, groupHash = null } = containersByTagId.get(node) || {};
+        return {
+          tagId: node,
+          rfid,
+          groupHash,
+          depth: depths.get(node),
+          mintedGrams: truncated.has(node) ? null : formatAmount(minted.get(node)),
+          contributedGrams: formatAmount(passedThrough.get(node)),
+          truncated: truncated.has(node),
+          unknown: unknown.has(node)
+        };
+      });
+
+    const edges = transactions
+      .map((transaction, i) => ({ transaction, contribution: contributions[i] }))
+      .filter(({ contribution }) => contribution.gt(0))
+      .map(({ transaction, contribution }) => ({
+        transactionHash: transaction.transactionHash,
+        logIndex: transaction.logIndex,
+        fromTagId: transaction.fromTagId,
+        toTagId: transaction.toTagId,
+        grams: transaction.grams,
+        contributedGrams: formatAmount(contribution),
+        blockNumber: transaction.blockNumber,
+        timestamp: transaction.timestamp
+      }));
+
+    return {
+      nodes,
+      edges,
+      origins: origins.map((origin) => ({ ...origin, grams: formatAmount(origin.grams), share: shareOf(origin.grams) })),
+      groups: [...groupTotals.entries()]
+        .sort((a, b) => b[1].comparedTo(a[1]))
+        .map(([groupHash, grams]) => ({
+          groupHash,
+          name: groupHash ? groupNames.get(groupHash) || null : null,
+          grams: formatAmount(grams),
+          share: shareOf(grams)
+        })),
+      truncated: truncated.size > 0
+    };
+  }
+}
+
+module.exports = new ProvenanceService();
+module.exports.DEFAULT_DEPTH = DEFAULT_DEPTH;
@@ -0,0 +1,213 @@
+const prisma = require('./db');
+const web3Service = require('./web3Service');
+const prismaService = require('./prismaService');
+const eventListenerService = require('./eventListenerService');
+
+// Number of containers read from the chain in parallel
+const CHAIN_BATCH_SIZE = 10;
+
+class ReconciliationService {
+  /**
+   * Compare every container in the database with its on-chain state, and find on-chain containers missing from it
+   * @param {Array<string>} tagIds - Optional subset of containers to check
+   * @returns {Promise<Object>} - Drift report
+   */
+  async buildReport(tagIds = null) {
+    const containers = await prisma.container.findMany({
+      where: tagIds ? { tagId: { in: tagIds } } : undefined,
+      orderBy: { tagId: 'asc' }
+    });
+
+    // DB groupHash => on-chain bytes32 group hash
+    const groups = await prisma.group.findMany();
+    const chainHashes = new Map(groups.map((group) => [
+      group.groupHash,
+      (group.chainHash || web3Service.toBytes32(group.groupHash)).toLowerCase()
+    ]));
+
+    const mismatches = [];
+
+    for (let i = 0; i < containers.length; i += CHAIN_BATCH_SIZE) {
+      const batch = containers.slice(i, i + CHAIN_BATCH_SIZE);
+      const results = await Promise.all(batch.map((container) => this.compareContainer(container, chainHashes)));
+      mismatches.push(...results.filter(Boolean));
+    }
+
+    mismatches.push(...await this.findChainOnlyContainers(containers, tagIds));
+
+    // Logs the event listener passed over, whose changes are missing from the database
+    const skippedLogs = await prismaService.getSkippedLogs();
+
+    return {
+      checkedAt: new Date().toISOString(),
+      totalContainers: containers.length,
+      mismatchCount: mismatches.length,
+      mismatches,
+      skippedLogs
+    };
+  }
+
+  /**
+   * Find containers that exist on-chain but not in the database
+   * @param {Array<Object>} containers - Database containers being checked
+   * @param {Array<string>} tagIds - Subset of containers being checked, or null for every container
+   * @returns {Promise<Array<Object>>} - MISSING_IN_DATABASE mismatches, or CHAIN_ERROR if a container can't be read
+   */
+  async findChainOnlyContainers(containers, tagIds) {
+    const known = new Set(containers.map((container) => container.tagId));
+    let missing;
+
+    if (tagIds) {
+      missing = tagIds.filter((tagId) => !known.has(tagId)).map((tagId) => ({ tagId }));
+    } else {
+      const knownHashes = new Set(containers.map((container) => web3Service.hashIndexedString(container.tagId).toLowerCase()));
+      missing = [...await this.getChainTagIdHashes()]
+        .filter((tagIdHash) => !knownHashes.has(tagIdHash))
+        .map((tagIdHash) => ({ tagIdHash }));
+    }
+
+    const mismatches = [];
+    for (let i = 0; i < missing.length; i += CHAIN_BATCH_SIZE) {
+      const batch = missing.slice(i, i + CHAIN_BATCH_SIZE);
+      const results = await Promise.all(batch.map(async ({ tagId, tagIdHash }) => {
+        try {
+          const chainTagId = tagId || await web3Service.getTagIdByHash(tagIdHash);
+          if (!chainTagId) {
+            return { tagId: null, tagIdHash, issue: 'CHAIN_ERROR', message: 'Tag ID not recorded by the contract' };
+          }
+          return { tagId: chainTagId, issue: 'MISSING_IN_DATABASE', chain: await web3Service.getContainer(chainTagId) };
+        } catch (error) {
+          // A requested tag ID that the chain doesn't know either is not drift
+          const reason = web3Service.getRevertReason(error);
+          return reason === 'ContainerDoesNotExist' ? null : { tagId: tagId || null, tagIdHash, issue: 'CHAIN_ERROR', message: reason };
+        }
+      }));
+      mismatches.push(...results.filter(Boolean));
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Hashes of the tag IDs of every container created on-chain, from the ContainerCreated and TokensTransferred
+   * (a transfer creates its destination) logs up to the event listener's checkpoint. Containers created in later
+   * blocks are not expected in the database yet.
+   * @returns {Promise<Set<string>>} - Lowercased keccak256 tag ID hashes
+   */
+  async getChainTagIdHashes() {
+    const checkpointId = (web3Service.contractAddress || '').toLowerCase();
+    const fromBlock = (await eventListenerService.getDeploymentBlock(checkpointId)) || 0;
+    const checkpoint = await prismaService.getSyncCheckpoint(checkpointId);
+    const toBlock = checkpoint !== null ? checkpoint : await web3Service.getBlockNumber() - eventListenerService.confirmations;
+
+    const logs = await web3Service.getPastContractLogs(['ContainerCreated', 'TokensTransferred'], fromBlock, toBlock, eventListenerService.chunkSize);
+
+    const hashes = new Set();
+    for (const log of logs) {
+      hashes.add(log.topics[1].toLowerCase());
+      if (log.topics[0] === web3Service.eventTopics.TokensTransferred) {
+        hashes.add(log.topics[2].toLowerCase());
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * Compare one container with the chain
+   * @param {Object} container - Container row
+   * @param {Map<string, string>} chainHashes - DB groupHash => on-chain group hash
+   * @returns {Promise<Object|null>} - Mismatch, or null if the container matches
+   */
+  async compareContainer(container, chainHashes) {
+    let chainContainer;
+    try {
+      chainContainer = await web3Service.getContainer(container.tagId);
+    } catch (error) {
+      const reason = web3Service.getRevertReason(error);
+      return {
+        tagId: container.tagId,
+        issue: reason === 'ContainerDoesNotExist' ? 'MISSING_ON_CHAIN' : 'CHAIN_ERROR',
+        message: reason
+      };
+    }
+
+    const zeroHash = web3Service.toBytes32('');
+    const expectedGroupHash = container.groupHash
+      ? chainHashes.get(container.groupHash) || web3Service.toBytes32(container.groupHash).toLowerCase()
+      : zeroHash;
+
+    const fields = {};
+    if (web3Service.toUnits(container.grams) !== web3Service.toUnits(chainContainer.grams)) {
+      fields.grams = { database: container.grams, chain: chainContainer.grams };
+    }
+    if (web3Service.toUnits(container.tokens) !== web3Service.toUnits(chainContainer.tokens)) {
+      fields.tokens = { database: container.tokens, chain: chainContainer.tokens };
+    }
+    if ((container.rfid || '') !== chainContainer.rfid) {
+      fields.rfid = { database: container.rfid, chain: chainContainer.rfid };
+    }
+    if (expectedGroupHash !== String(chainContainer.groupHash).toLowerCase()) {
+      fields.groupHash = { database: container.groupHash, chain: chainContainer.groupHash };
+    }
+    if ((container.holderAddress || null) !== chainContainer.holder) {
+      fields.holderAddress = { database: container.holderAddress, chain: chainContainer.holder };
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return null;
+    }
+
+    return {
+      tagId: container.tagId,
+      issue: 'FIELD_MISMATCH',
+      fields,
+      chain: chainContainer
+    };
+  }
+
+  /**
+   * Overwrite drifted containers with their on-chain state
+   * @param {Array<string>} tagIds - Optional subset of containers to repair
+   * @returns {Promise<Object>} - Repaired and skipped containers
+   */
+  async repair(tagIds = null) {
+    const report = await this.buildReport(tagIds);
+    const repaired = [];
+    const skipped = [];
+
+    for (const mismatch of report.mismatches) {
+      // Containers only the chain knows about are created from their on-chain state
+      if (mismatch.issue === 'MISSING_IN_DATABASE') {
+        const container = await prismaService.verifyAndSyncContainer(mismatch.tagId, mismatch.chain);
+        repaired.push({ tagId: mismatch.tagId, issue: mismatch.issue, container });
+        continue;
+      }
+
+      // Containers the chain doesn't know about are left for manual review
+      if (mismatch.issue !== 'FIELD_MISMATCH') {
+        skipped.push({ tagId: mismatch.tagId, issue: mismatch.issue, message: mismatch.message });
+        continue;
+      }
+
+      const { chain } = mismatch;
+      const container = await prismaService.updateContainer(mismatch.tagId, {
+        grams: chain.grams,
+        tokens: chain.tokens,
+        rfid: chain.rfid,
+        groupHash: await prismaService.resolveGroupHash(chain.groupHash),
+        holderAddress: chain.holder
+      });
+
+      repaired.push({ tagId: mismatch.tagId, fields: mismatch.fields, container });
+    }
+
+    return {
+      repairedAt: new Date().toISOString(),
+      totalContainers: report.totalContainers,
+      repaired,
+      skipped
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
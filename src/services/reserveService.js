@@ -0,0 +1,140 @@
+const web3Service = require('./web3Service');
+const prismaService = require('./prismaService');
+
+class ReserveService {
+  constructor() {
+    // Auditors whose signatures are accepted; no audit is accepted if unset
+    this.auditorAddresses = (process.env.AUDITOR_ADDRESSES || '')
+      .split(',')
+      .map((address) => address.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Canonical text of a vault audit, which the auditor signs. Bars are listed in the order given.
+   * @param {Object} audit - { auditor: { name, address }, vault, auditedAt, bars: [{ rfid, grams }] }
+   * @returns {string} - Audit message
+   */
+  auditMessage(audit) {
+    return [
+      'GoldTokenization vault audit',
+      `auditor: ${audit.auditor.address.toLowerCase()}`,
+      `name: ${audit.auditor.name}`,
+      `vault: ${audit.vault || ''}`,
+      `auditedAt: ${audit.auditedAt}`,
+      'bars:',
+      ...audit.bars.map((bar) => `${bar.rfid},${bar.grams}`)
+    ].join('\n');
+  }
+
+  /**
+   * Hash of a vault audit, recorded on-chain
+   * @param {Object} audit - Vault audit
+   * @returns {string} - bytes32 keccak256 of the audit message
+   */
+  hashAudit(audit) {
+    return web3Service.web3.utils.keccak256(web3Service.web3.utils.utf8ToHex(this.auditMessage(audit)));
+  }
+
+  /**
+   * Whether any auditor is allowed to sign audits
+   * @returns {boolean} - True if AUDITOR_ADDRESSES is set
+   */
+  isConfigured() {
+    return this.auditorAddresses.length > 0;
+  }
+
+  /**
+   * Check that an audit was signed by an accepted auditor (EIP-191 personal signature of the audit hash)
+   * @param {Object} audit - Vault audit
+   * @param {string} signature - 65-byte hex signature
+   * @returns {string|null} - Reason the signature is not accepted, or null if it is
+   */
+  verifySignature(audit, signature) {
+    const auditor = audit.auditor.address.toLowerCase();
+    if (!this.auditorAddresses.includes(auditor)) {
+      return `${audit.auditor.address} is not an accepted auditor`;
+    }
+
+    let signer;
+    try {
+      signer = web3Service.web3.eth.accounts.recover(this.hashAudit(audit), signature);
+    } catch (error) {
+      return 'Signature could not be verified';
+    }
+
+    return signer.toLowerCase() === auditor ? null : 'Signature was not made by the auditor';
+  }
+
+  /**
+   * Compare the bars counted in the vault with every container holding gold
+   * @param {Array<Object>} bars - Audited bars { rfid, grams }
+   * @returns {Promise<Object>} - Totals, counts and a report of mismatched, missing and extra bars
+   */
+  async compare(bars) {
+    const [containers, tokenInfo] = await Promise.all([
+      prismaService.getContainersWithGold(),
+      web3Service.getTokenInfo()
+    ]);
+
+    const containersByRfid = new Map(containers.filter((container) => container.rfid).map((container) => [container.rfid, container]));
+    const seen = new Set();
+    const mismatched = [];
+    const extra = [];
+    let matchedCount = 0;
+
+    for (const bar of bars) {
+      const container = containersByRfid.get(bar.rfid);
+      if (!container) {
+        extra.push({ rfid: bar.rfid, auditedGrams: String(bar.grams) });
+        continue;
+      }
+
+      seen.add(container.tagId);
+      if (web3Service.toUnits(bar.grams) === web3Service.toUnits(container.grams)) {
+        matchedCount += 1;
+      } else {
+        mismatched.push({
+          rfid: bar.rfid,
+          tagId: container.tagId,
+          auditedGrams: String(bar.grams),
+          ledgerGrams: String(container.grams)
+        });
+      }
+    }
+
+    // Containers without an RFID cannot be matched to a bar and always count as missing
+    const missing = containers
+      .filter((container) => !seen.has(container.tagId))
+      .map((container) => ({ rfid: container.rfid, tagId: container.tagId, ledgerGrams: String(container.grams) }));
+
+    return {
+      auditedGrams: web3Service.sumAmounts(bars.map((bar) => bar.grams)),
+      ledgerGrams: web3Service.sumAmounts(containers.map((container) => container.grams)),
+      supplyGrams: web3Service.tokensToGrams(tokenInfo.totalSupply),
+      barCount: bars.length,
+      matchedCount,
+      mismatchCount: mismatched.length,
+      missingCount: missing.length,
+      extraCount: extra.length,
+      report: { mismatched, missing, extra }
+    };
+  }
+
+  /**
+   * Attestation as returned by the API, with its bars and report parsed
+   * @param {Object} attestation - Attestation row
+   * @param {boolean} withBars - Include the audited bars
+   * @returns {Object} - Attestation
+   */
+  formatAttestation(attestation, withBars = false) {
+    const { bars, report, ...rest } = attestation;
+    return {
+      ...rest,
+      ...(withBars ? { bars: JSON.parse(bars) } : {}),
+      report: JSON.parse(report)
+    };
+  }
+}
+
+module.exports = new ReserveService();
@@ -0,0 +1,234 @@
+const web3Service = require('./web3Service');
+const prismaService = require('./prismaService');
+const jobService = require('./jobService');
+
+const { JOB_TYPES, JOB_STATUS } = jobService;
+
+class SnapshotService {
+  constructor() {
+    this.pollInterval = null;
+    this.isRunning = false;
+    // Time between scheduled snapshots, in ms (default daily)
+    this.interval = parseInt(process.env.SNAPSHOT_INTERVAL) || 24 * 60 * 60 * 1000;
+    // Tree levels of the last snapshot a proof was built for
+    this.cachedTree = null;
+  }
+
+  /**
+   * Hash a container balance the way the contract's verifyBalanceProof does:
+   * keccak256(keccak256(abi.encode(tagId, grams, tokens))) with amounts in 18-decimal units
+   * @param {Object} leaf - { tagId, grams, tokens }
+   * @returns {string} - bytes32 leaf hash
+   */
+  hashLeaf(leaf) {
+    const { keccak256 } = web3Service.web3.utils;
+    const encoded = web3Service.web3.eth.abi.encodeParameters(
+      ['string', 'uint256', 'uint256'],
+      [leaf.tagId, web3Service.toUnits(leaf.grams), web3Service.toUnits(leaf.tokens)]
+    );
+    return keccak256(keccak256(encoded));
+  }
+
+  /**
+   * Hash two nodes in sorted order, as OpenZeppelin's MerkleProof expects
+   * @param {string} a - bytes32 node
+   * @param {string} b - bytes32 node
+   * @returns {string} - bytes32 parent node
+   */
+  hashPair(a, b) {
+    const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return web3Service.web3.utils.keccak256(first + second.slice(2));
+  }
+
+  /**
+   * Build the levels of a Merkle tree, from the leaf hashes up to the root. A node without a
+   * sibling moves up a level unchanged.
+   * @param {Array<string>} leafHashes - Leaf hashes in tree order
+   * @returns {Array<Array<string>>} - Levels; the last one holds the root
+   */
+  buildTree(leafHashes) {
+    const levels = [leafHashes];
+    while (levels[levels.length - 1].length > 1) {
+      const level = levels[levels.length - 1];
+      const parents = [];
+      for (let i = 0; i < level.length; i += 2) {
+        parents.push(i + 1 < level.length ? this.hashPair(level[i], level[i + 1]) : level[i]);
+      }
+      levels.push(parents);
+    }
+    return levels;
+  }
+
+  /**
+   * Snapshot every container's balance and queue anchoring its Merkle root on-chain.
+   * If the balances match an earlier snapshot (the root is the same) it is not stored again: it becomes the latest
+   * snapshot, and anchoring it is queued again if it is not anchored and has no job in progress.
+   * @param {string} requestedBy - API key that requested the snapshot, null for scheduled snapshots
+   * @returns {Promise<Object|null>} - { snapshot, job, created } with job null if no anchoring was queued,
+   *   or null if there are no containers
+   */
+  async takeSnapshot(requestedBy = null) {
+    const containers = await prismaService.getContainerBalances();
+    if (!containers.length) {
+      return null;
+    }
+
+    const leaves = containers.map((container) => ({
+      tagId: container.tagId,
+      grams: web3Service.fromUnits(web3Service.toUnits(container.grams)),
+      tokens: web3Service.fromUnits(web3Service.toUnits(container.tokens))
+    }));
+    const levels = this.buildTree(leaves.map((leaf) => this.hashLeaf(leaf)));
+    const root = levels[levels.length - 1][0];
+
+    const existing = await prismaService.getSnapshotByRoot(root);
+    if (existing) {
+      let snapshot = existing;
+
+      // The balances went back to an earlier snapshot: proofs must come from it again, not from the one in between
+      const latest = await prismaService.getLatestSnapshot();
+      if (latest && latest.id !== existing.id) {
+        snapshot = await prismaService.updateSnapshot(existing.id, { takenAt: new Date() });
+      }
+
+      if (snapshot.status === 'ANCHORED') {
+        return { snapshot, job: null, created: false };
+      }
+
+      const job = snapshot.jobId ? await prismaService.getJob(snapshot.jobId) : null;
+      if (job && job.status !== JOB_STATUS.FAILED && job.status !== JOB_STATUS.CONFIRMED) {
+        return { snapshot, job: null, created: false };
+      }
+
+      // The anchoring job failed, or was confirmed and then reverted by a reorg
+      return { ...await this.queueAnchor(snapshot, requestedBy), created: false };
+    }
+
+    const snapshot = await prismaService.createSnapshot({
+      root,
+      containerCount: leaves.length,
+      totalGrams: web3Service.sumAmounts(leaves.map((leaf) => leaf.grams)),
+      totalTokens: web3Service.sumAmounts(leaves.map((leaf) => leaf.tokens)),
+      leaves,
+      requestedBy
+    });
+    this.cachedTree = { snapshotId: snapshot.id, levels };
+
+    return { ...await this.queueAnchor(snapshot, requestedBy), created: true };
+  }
+
+  /**
+   * Queue anchoring a snapshot's root; the job worker marks the snapshot anchored once it is mined
+   * @param {Object} snapshot - Snapshot
+   * @param {string} requestedBy - API key that requested the snapshot, null for scheduled snapshots
+   * @returns {Promise<Object>} - { snapshot, job }
+   */
+  async queueAnchor(snapshot, requestedBy = null) {
+    const job = await jobService.enqueue(JOB_TYPES.ANCHOR_SNAPSHOT, {
+      snapshotId: snapshot.id,
+      root: snapshot.root,
+      containerCount: snapshot.containerCount,
+      totalGrams: web3Service.fromUnits(web3Service.toUnits(snapshot.totalGrams)),
+      totalTokens: web3Service.fromUnits(web3Service.toUnits(snapshot.totalTokens))
+    }, requestedBy);
+
+    return { snapshot: await prismaService.updateSnapshot(snapshot.id, { jobId: job.id }), job };
+  }
+
+  /**
+   * Inclusion proof of a container in a snapshot
+   * @param {Object} snapshot - Snapshot with its leaves
+   * @param {string} tagId - Container tag ID
+   * @returns {Object|null} - { leaf, proof } with the sibling hashes from the leaf up, or null if the
+   *   container is not in the snapshot
+   */
+  getProof(snapshot, tagId) {
+    const leaves = JSON.parse(snapshot.leaves);
+    const leafIndex = leaves.findIndex((leaf) => leaf.tagId === tagId);
+    if (leafIndex === -1) {
+      return null;
+    }
+
+    if (!this.cachedTree || this.cachedTree.snapshotId !== snapshot.id) {
+      this.cachedTree = { snapshotId: snapshot.id, levels: this.buildTree(leaves.map((leaf) => this.hashLeaf(leaf))) };
+    }
+    const { levels } = this.cachedTree;
+
+    const proof = [];
+    let index = leafIndex;
+    for (const level of levels.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < level.length) {
+        proof.push(level[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+
+    return {
+      leaf: { ...leaves[leafIndex], hash: levels[0][leafIndex] },
+      proof
+    };
+  }
+
+  /**
+   * Snapshot as returned by the API, without its leaves
+   * @param {Object} snapshot - Snapshot row
+   * @returns {Object} - Snapshot
+   */
+  formatSnapshot(snapshot) {
+    const { leaves, ...rest } = snapshot;
+    return rest;
+  }
+
+  /**
+   * Start taking snapshots every SNAPSHOT_INTERVAL ms
+   */
+  start() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    this.pollInterval = setInterval(() => this.runScheduled(), this.interval);
+    console.log(`Balance snapshots scheduled every ${this.interval} ms`);
+  }
+
+  /**
+   * Stop taking scheduled snapshots
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('Balance snapshots stopped');
+    }
+  }
+
+  /**
+   * One scheduled snapshot; errors are logged and retried at the next interval
+   */
+  async runScheduled() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    try {
+      const result = await this.takeSnapshot();
+      if (!result) {
+        console.log('No containers to snapshot');
+      } else if (result.created) {
+        console.log(`Snapshot ${result.snapshot.id} of ${result.snapshot.containerCount} containers queued for anchoring`);
+      } else if (result.job) {
+        console.log(`Balances match snapshot ${result.snapshot.id}; anchoring queued again`);
+      } else {
+        console.log(`Balances unchanged since snapshot ${result.snapshot.id}`);
+      }
+    } catch (error) {
+      console.error('Error taking balance snapshot:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new SnapshotService();
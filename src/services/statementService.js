@@ -0,0 +1,299 @@
+const web3Service = require('./web3Service');
+const prismaService = require('./prismaService');
+
+const CSV_HEADER = ['timestamp', 'type', 'counterparty', 'transactionHash', 'blockNumber', 'grams', 'tokens', 'balanceGrams', 'balanceTokens'];
+
+// A4 landscape in points, Courier at 7pt (4.2pt per character)
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 7;
+const LINE_HEIGHT = 10;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT) - 2;
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for a PDF string literal. Characters outside Latin-1 are replaced with '?'.
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function pdfString(text) {
+  return text
+    .replace(/[^\x20-\xFF]/g, '?')
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Render pages of monospaced text lines as a PDF document
+ * @param {Array<Array<string>>} pages - Lines of each page
+ * @returns {Buffer} - PDF file
+ */
+function renderPdf(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, i) => `${4 + 2 * i} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ];
+
+  pages.forEach((lines, i) => {
+    const content = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`,
+      ...lines.map((line) => `(${pdfString(line)}) Tj T*`),
+      'ET'
+    ].join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + 2 * i} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Format a date for a statement line
+ * @param {Date|string} date - Date
+ * @returns {string} - UTC date and time, e.g. 2024-01-31 12:00:00
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+class StatementService {
+  /**
+   * Format a signed amount in units as a decimal string
+   * @param {bigint} units - Amount in 18-decimal units
+   * @returns {string} - Decimal amount, with a leading '-' if negative
+   */
+  formatUnits(units) {
+    return units < 0n ? `-${web3Service.fromUnits(-units)}` : web3Service.fromUnits(units);
+  }
+
+  /**
+   * Build a container's statement for a period from its transfers, with the gold minted into it and
+   * its burned redemptions. Movements are dated by the block they were mined in.
+   * @param {Object} container - Container
+   * @param {Date} from - Start of the period (inclusive), or null for since creation
+   * @param {Date} to - End of the period (inclusive), or null for now
+   * @returns {Promise<Object>} - { tagId, rfid, from, to, generatedAt, opening, entries, closing }
+   */
+  async buildStatement(container, from = null, to = null) {
+    const { tagId } = container;
+    const generatedAt = new Date();
+    const end = to || generatedAt;
+    const units = (amount) => web3Service.toUnits(amount);
+
+    const [totals, openingTotals, transactions, redemptions] = await Promise.all([
+      prismaService.getTransferTotals(tagId),
+      from ? prismaService.getTransferTotals(tagId, from) : null,
+      prismaService.getStatementTransactions(tagId, from, end),
+      prismaService.getBurnedRedemptions(tagId)
+    ]);
+
+    // Gold minted into the container = what it holds + what left it - what it received
+    const redeemed = redemptions.reduce((sum, redemption) => ({
+      grams: sum.grams + units(redemption.grams),
+      tokens: sum.tokens + units(redemption.tokens)
+    }), { grams: 0n, tokens: 0n });
+    const minted = {
+      grams: units(container.grams) + units(totals.outgoing.grams) + redeemed.grams - units(totals.incoming.grams),
+      tokens: units(container.tokens) + units(totals.outgoing.tokens) + redeemed.tokens - units(totals.incoming.tokens)
+    };
+    const mintedAt = new Date(container.blockTime || container.createdAt);
+
+    // Opening balance: everything before the period
+    const opening = { grams: 0n, tokens: 0n };
+    if (from) {
+      if (mintedAt < from) {
+        opening.grams += minted.grams;
+        opening.tokens += minted.tokens;
+      }
+      opening.grams += units(openingTotals.incoming.grams) - units(openingTotals.outgoing.grams);
+      opening.tokens += units(openingTotals.incoming.tokens) - units(openingTotals.outgoing.tokens);
+      for (const redemption of redemptions.filter((item) => new Date(item.burnedAt) < from)) {
+        opening.grams -= units(redemption.grams);
+        opening.tokens -= units(redemption.tokens);
+      }
+    }
+
+    const inPeriod = (date) => (!from || new Date(date) >= from) && new Date(date) <= end;
+    const movements = [
+      ...transactions.map((transaction) => {
+        const incoming = transaction.toTagId === tagId;
+        return {
+          timestamp: new Date(transaction.blockTime || transaction.timestamp),
+          type: incoming ? 'IN' : 'OUT',
+          counterparty: incoming ? transaction.fromTagId : transaction.toTagId,
+          transactionHash: transaction.transactionHash,
+          blockNumber: transaction.blockNumber,
+          logIndex: transaction.logIndex,
+          grams: incoming ? units(transaction.grams) : -units(transaction.grams),
+          tokens: incoming ? units(transaction.tokens) : -units(transaction.tokens)
+        };
+      }),
+      ...redemptions.filter((redemption) => inPeriod(redemption.burnedAt)).map((redemption) => ({
+        timestamp: new Date(redemption.burnedAt),
+        type: 'REDEMPTION',
+        counterparty: null,
+        transactionHash: redemption.transactionHash,
+        blockNumber: redemption.blockNumber,
+        logIndex: redemption.logIndex,
+        grams: -units(redemption.grams),
+        tokens: -units(redemption.tokens)
+      }))
+    ].sort((a, b) => (
+      a.timestamp - b.timestamp ||
+      (a.blockNumber ?? 0) - (b.blockNumber ?? 0) ||
+      (a.logIndex ?? 0) - (b.logIndex ?? 0)
+    ));
+
+    // The mint comes before any transfer of the container
+    if (minted.grams > 0n && inPeriod(mintedAt)) {
+      movements.unshift({
+        timestamp: mintedAt,
+        type: 'MINT',
+        counterparty: null,
+        transactionHash: null,
+        blockNumber: null,
+        grams: minted.grams,
+        tokens: minted.tokens
+      });
+    }
+
+    const balance = { ...opening };
+    const entries = movements.map((movement) => {
+      balance.grams += movement.grams;
+      balance.tokens += movement.tokens;
+      return {
+        timestamp: movement.timestamp,
+        type: movement.type,
+        counterparty: movement.counterparty,
+        transactionHash: movement.transactionHash,
+        blockNumber: movement.blockNumber,
+        grams: this.formatUnits(movement.grams),
+        tokens: this.formatUnits(movement.tokens),
+        balanceGrams: this.formatUnits(balance.grams),
+        balanceTokens: this.formatUnits(balance.tokens)
+      };
+    });
+
+    return {
+      tagId,
+      rfid: container.rfid || null,
+      from,
+      to: end,
+      generatedAt,
+      opening: { grams: this.formatUnits(opening.grams), tokens: this.formatUnits(opening.tokens) },
+      entries,
+      closing: { grams: this.formatUnits(balance.grams), tokens: this.formatUnits(balance.tokens) }
+    };
+  }
+
+  /**
+   * Render a statement as CSV, with the opening and closing balances as the first and last rows
+   * @param {Object} statement - Statement from buildStatement
+   * @returns {string} - CSV text
+   */
+  toCsv(statement) {
+    const rows = [
+      CSV_HEADER,
+      [statement.from ? statement.from.toISOString() : '', 'OPENING', '', '', '', '', '', statement.opening.grams, statement.opening.tokens],
+      ...statement.entries.map((entry) => [
+        entry.timestamp.toISOString(),
+        entry.type,
+        entry.counterparty,
+        entry.transactionHash,
+        entry.blockNumber,
+        entry.grams,
+        entry.tokens,
+        entry.balanceGrams,
+        entry.balanceTokens
+      ]),
+      [statement.to.toISOString(), 'CLOSING', '', '', '', '', '', statement.closing.grams, statement.closing.tokens]
+    ];
+
+    return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render a statement as a PDF document
+   * @param {Object} statement - Statement from buildStatement
+   * @returns {Buffer} - PDF file
+   */
+  toPdf(statement) {
+    const row = (date, type, counterparty, grams, tokens, balanceGrams, balanceTokens) => [
+      date.padEnd(19),
+      type.padEnd(10),
+      counterparty.padEnd(20),
+      grams.padStart(24),
+      tokens.padStart(24),
+      balanceGrams.padStart(24),
+      balanceTokens.padStart(24)
+    ].join(' ');
+    const rule = '-'.repeat(row('', '', '', '', '', '', '').length);
+
+    const header = [
+      `Statement for container ${statement.tagId}${statement.rfid ? ` (RFID ${statement.rfid})` : ''}`,
+      `Period: ${statement.from ? formatDate(statement.from) : 'since creation'} to ${formatDate(statement.to)} UTC`,
+      `Generated: ${formatDate(statement.generatedAt)} UTC`,
+      '',
+      row('Date (UTC)', 'Type', 'Counterparty', 'Grams', 'Tokens', 'Balance (grams)', 'Balance (tokens)'),
+      rule
+    ];
+
+    const body = [
+      row('', 'OPENING', '', '', '', statement.opening.grams, statement.opening.tokens)
+    ];
+    for (const entry of statement.entries) {
+      body.push(row(
+        formatDate(entry.timestamp),
+        entry.type,
+        entry.counterparty || '',
+        entry.grams,
+        entry.tokens,
+        entry.balanceGrams,
+        entry.balanceTokens
+      ));
+      if (entry.transactionHash) {
+        body.push(`${' '.repeat(20)}tx ${entry.transactionHash}${entry.blockNumber !== null ? `  block ${entry.blockNumber}` : ''}`);
+      }
+    }
+    body.push(rule, row('', 'CLOSING', '', '', '', statement.closing.grams, statement.closing.tokens));
+
+    // Repeat the header on every page
+    const pages = [];
+    const perPage = LINES_PER_PAGE - header.length;
+    for (let i = 0; i < body.length; i += perPage) {
+      pages.push([...header, ...body.slice(i, i + perPage)]);
+    }
+    pages.forEach((lines, i) => lines.push('', `Page ${i + 1} of ${pages.length}`));
+
+    return renderPdf(pages);
+  }
+}
+
+module.exports = new StatementService();
@@ -1,6 +1,7 @@
-const { Web3 } = require('web3');
+const { Web3, TransactionNotFound } = require('web3');
 const fs = require('fs');
 const path = require('path');
+const NonceManager = require('./nonceManager');
 
 // Load contract ABI
 const contractABIPath = path.join(__dirname, '../../artifacts/contracts/GoldTokenization.sol/GoldTokenization.json');
@@ -14,6 +15,11 @@ try {
   contractABI = [];
 }
 
+// Conversion rate as in the contract: 10 grams = 1 token
+const GRAMS_PER_TOKEN = 10n;
+
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
 class Web3Service {
   constructor() {
     // Prefer explicit WEB3_PROVIDER_URL, fallback to localhost
@@ -33,9 +39,40 @@ class Web3Service {
       const account = this.web3.eth.accounts.privateKeyToAccount(`0x${this.privateKey.replace(/^0x/, '')}`);
       this.web3.eth.accounts.wallet.add(account);
       this.senderAddress = account.address;
+      this.nonces = new NonceManager(this.web3, account.address, account.privateKey, () => this.getFeeParams());
       console.log(`Web3 service initialized with account: ${this.senderAddress}`);
     }
     
+    // Fee strategy: 'legacy' uses the node's gas price, 'eip1559' uses the base fee
+    // times FEE_BASE_MULTIPLIER plus a FEE_PRIORITY_TIP_GWEI tip. FEE_CAP_GWEI caps either.
+    this.feeStrategy = (process.env.FEE_STRATEGY || 'legacy').toLowerCase();
+    this.baseFeeMultiplier = parseFloat(process.env.FEE_BASE_MULTIPLIER) || 2;
+    this.priorityTip = BigInt(this.web3.utils.toWei(process.env.FEE_PRIORITY_TIP_GWEI || '1.5', 'gwei'));
+    this.feeCap = process.env.FEE_CAP_GWEI ? BigInt(this.web3.utils.toWei(process.env.FEE_CAP_GWEI, 'gwei')) : null;
+    
+    // Event signature topics used by the poller and when reading receipts
+    this.eventTopics = {
+      ContainerCreated: this.web3.utils.keccak256('ContainerCreated(string,string,uint256,uint256,uint256,bytes32,uint256)'),
+      TokensTransferred: this.web3.utils.keccak256('TokensTransferred(string,string,uint256,uint256,uint256)'),
+      TokensBatchTransferred: this.web3.utils.keccak256('TokensBatchTransferred(string,uint256,uint256,uint256,uint256)'),
+      ContainerRfidUpdated: this.web3.utils.keccak256('ContainerRfidUpdated(string,string,string,uint256)'),
+      ContainerHolderChanged: this.web3.utils.keccak256('ContainerHolderChanged(string,address,address,uint256)'),
+      TokensRedeemed: this.web3.utils.keccak256('TokensRedeemed(string,bytes32,uint256,uint256,uint256)'),
+      ReservesAttested: this.web3.utils.keccak256('ReservesAttested(bytes32,address,uint256,uint256,uint256)'),
+      BalanceRootAnchored: this.web3.utils.keccak256('BalanceRootAnchored(bytes32,uint256,uint256,uint256,uint256)'),
+      GroupCreated: this.web3.utils.keccak256('GroupCreated(bytes32,string,string,uint256)'),
+      ContainerAssignedToGroup: this.web3.utils.keccak256('ContainerAssignedToGroup(string,bytes32,bytes32,uint256)'),
+      RoleGranted: this.web3.utils.keccak256('RoleGranted(bytes32,address,address)'),
+      RoleRevoked: this.web3.utils.keccak256('RoleRevoked(bytes32,address,address)')
+    };
+    
+    // AccessControl role hashes by role name
+    this.roleHashes = {
+      DEFAULT_ADMIN_ROLE: '0x' + '0'.repeat(64),
+      MINTER_ROLE: this.web3.utils.keccak256('MINTER_ROLE'),
+      GROUP_MANAGER_ROLE: this.web3.utils.keccak256('GROUP_MANAGER_ROLE')
+    };
+    
     // Initialize contract instance
     if (this.contractAddress && contractABI) {
       this.contract = new this.web3.eth.Contract(contractABI, this.contractAddress);
@@ -53,11 +90,57 @@ class Web3Service {
     return this.web3.utils.keccak256(String(input));
   }
 
+  /**
+   * Convert a gram or token amount to the contract's fixed-point units (18 decimals)
+   * @param {string|number|Object} amount - Decimal amount, as a string, number or Prisma Decimal
+   * @returns {bigint} - Amount in units
+   */
+  toUnits(amount) {
+    const value = amount !== null && typeof amount === 'object' && amount.toFixed ? amount.toFixed() : String(amount);
+    return BigInt(this.web3.utils.toWei(value, 'ether'));
+  }
+
+  /**
+   * Convert fixed-point units (18 decimals) from the contract to a decimal string
+   * @param {bigint|string|number} units - Amount in units
+   * @returns {string} - Decimal amount
+   */
+  fromUnits(units) {
+    return this.web3.utils.fromWei(BigInt(units), 'ether');
+  }
+
+  /**
+   * Tokens for an amount of gold, computed exactly as the contract does
+   * @param {string|number|Object} grams - Grams
+   * @returns {string} - Tokens
+   */
+  gramsToTokens(grams) {
+    return this.fromUnits(this.toUnits(grams) / GRAMS_PER_TOKEN);
+  }
+
+  /**
+   * Gold backing an amount of tokens, computed exactly as the contract does
+   * @param {string|number|Object} tokens - Tokens
+   * @returns {string} - Grams
+   */
+  tokensToGrams(tokens) {
+    return this.fromUnits(this.toUnits(tokens) * GRAMS_PER_TOKEN);
+  }
+
+  /**
+   * Add decimal amounts without floating point rounding
+   * @param {Array<string|number|Object>} amounts - Decimal amounts
+   * @returns {string} - Sum
+   */
+  sumAmounts(amounts) {
+    return this.fromUnits(amounts.reduce((total, amount) => total + this.toUnits(amount), 0n));
+  }
+
   /**
    * Create a new container on the blockchain
    * @param {string} tagId - Unique identifier for the container
    * @param {string} rfid - RFID tag of the container
-   * @param {number} grams - Amount of gold in grams
+   * @param {string} grams - Amount of gold in grams, as a decimal string
    * @param {string} groupHash - Optional group hash for batch management
    * @returns {Promise<Object>} - Transaction receipt
    */
@@ -68,25 +151,16 @@ class Web3Service {
 
     const formattedGroupHash = this.toBytes32(groupHash);
     
-    const tx = this.contract.methods.createContainer(tagId, rfid, grams, formattedGroupHash);
+    const tx = this.contract.methods.createContainer(tagId, rfid, this.toUnits(grams), formattedGroupHash);
     
-    const gas = await tx.estimateGas({ from: this.senderAddress });
-    const gasPrice = await this.web3.eth.getGasPrice();
-    
-    const receipt = await tx.send({
-      from: this.senderAddress,
-      gas,
-      gasPrice
-    });
-    
-    return receipt;
+    return this.sendContractCall(tx);
   }
 
   /**
    * Transfer tokens between containers
    * @param {string} fromTagId - Source container tag ID
    * @param {string} toTagId - Destination container tag ID
-   * @param {number} tokenAmount - Amount of tokens to transfer
+   * @param {string} tokenAmount - Amount of tokens to transfer, as a decimal string
    * @returns {Promise<Object>} - Transaction receipt
    */
   async transferTokens(fromTagId, toTagId, tokenAmount) {
@@ -94,18 +168,114 @@ class Web3Service {
       throw new Error('Contract not initialized');
     }
     
-    const tx = this.contract.methods.transferTokens(fromTagId, toTagId, tokenAmount);
+    const tx = this.contract.methods.transferTokens(fromTagId, toTagId, this.toUnits(tokenAmount));
     
-    const gas = await tx.estimateGas({ from: this.senderAddress });
-    const gasPrice = await this.web3.eth.getGasPrice();
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Split tokens from one container across several destinations in one transaction
+   * @param {string} fromTagId - Source container tag ID
+   * @param {Array<string>} toTagIds - Destination container tag IDs
+   * @param {Array<string>} tokenAmounts - Amount of tokens to transfer to each destination, as decimal strings
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async batchTransferTokens(fromTagId, toTagIds, tokenAmounts) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
     
-    const receipt = await tx.send({
-      from: this.senderAddress,
-      gas,
-      gasPrice
-    });
+    const tx = this.contract.methods.batchTransferTokens(
+      fromTagId,
+      toTagIds,
+      tokenAmounts.map((tokenAmount) => this.toUnits(tokenAmount))
+    );
     
-    return receipt;
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Bind an RFID to a container, replacing its current one
+   * @param {string} tagId - Container tag ID
+   * @param {string} rfid - New RFID tag
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async setContainerRfid(tagId, rfid) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.setContainerRfid(tagId, rfid);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Assign a container to an ERC-20 holder address
+   * @param {string} tagId - Container tag ID
+   * @param {string|null} holder - Holder address, or null to return the container to custody
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async setContainerHolder(tagId, holder) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.setContainerHolder(tagId, holder || ZERO_ADDRESS);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Burn tokens from a container for gold taken out of the vault
+   * @param {string} tagId - Container tag ID
+   * @param {string} tokenAmount - Amount of tokens to burn, as a decimal string
+   * @param {string} redemptionId - bytes32 redemption ID; each can only be redeemed once
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async redeemTokens(tagId, tokenAmount, redemptionId) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.redeemTokens(tagId, this.toUnits(tokenAmount), redemptionId);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Record the hash of a vault audit on-chain, next to the token supply at that moment
+   * @param {string} auditHash - bytes32 hash of the signed audit; each can only be recorded once
+   * @param {string} auditor - Address that signed the audit
+   * @param {string} auditedGrams - Grams counted in the vault, as a decimal string
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async attestReserves(auditHash, auditor, auditedGrams) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.attestReserves(auditHash, auditor, this.toUnits(auditedGrams));
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Anchor the Merkle root of a balance snapshot on-chain
+   * @param {string} root - bytes32 Merkle root; each can only be anchored once
+   * @param {number} containerCount - Number of containers in the snapshot
+   * @param {string} totalGrams - Sum of the containers' grams, as a decimal string
+   * @param {string} totalTokens - Sum of the containers' tokens, as a decimal string
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async anchorBalanceRoot(root, containerCount, totalGrams, totalTokens) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.anchorBalanceRoot(root, containerCount, this.toUnits(totalGrams), this.toUnits(totalTokens));
+    
+    return this.sendContractCall(tx);
   }
 
   /**
@@ -124,40 +294,206 @@ class Web3Service {
     
     const tx = this.contract.methods.createGroup(formattedGroupHash, name, description);
     
-    const gas = await tx.estimateGas({ from: this.senderAddress });
-    const gasPrice = await this.web3.eth.getGasPrice();
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Assign a container to a group
+   * @param {string} tagId - Container tag ID
+   * @param {string} groupHash - Group hash
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async assignContainerToGroup(tagId, groupHash) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
     
-    const receipt = await tx.send({
-      from: this.senderAddress,
-      gas,
-      gasPrice
-    });
+    const formattedGroupHash = this.toBytes32(groupHash);
     
-    return receipt;
+    const tx = this.contract.methods.assignContainerToGroup(tagId, formattedGroupHash);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Assign several containers to a group in one transaction
+   * @param {Array<string>} tagIds - Container tag IDs
+   * @param {string} groupHash - Group hash
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async assignContainersToGroup(tagIds, groupHash) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const formattedGroupHash = this.toBytes32(groupHash);
+    
+    const tx = this.contract.methods.assignContainersToGroup(tagIds, formattedGroupHash);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Grant an AccessControl role to an account
+   * @param {string} roleName - Role name (e.g. MINTER_ROLE)
+   * @param {string} account - Account address
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async grantRole(roleName, account) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.grantRole(this.roleHashes[roleName], account);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Revoke an AccessControl role from an account
+   * @param {string} roleName - Role name (e.g. MINTER_ROLE)
+   * @param {string} account - Account address
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async revokeRole(roleName, account) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.revokeRole(this.roleHashes[roleName], account);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Renounce an AccessControl role held by the service account
+   * @param {string} roleName - Role name (e.g. MINTER_ROLE)
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async renounceRole(roleName) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const tx = this.contract.methods.renounceRole(this.roleHashes[roleName], this.senderAddress);
+    
+    return this.sendContractCall(tx);
+  }
+
+  /**
+   * Get the name of an AccessControl role hash
+   * @param {string} roleHash - bytes32 role hash
+   * @returns {string} - Role name, or the hash itself for roles we don't know
+   */
+  getRoleName(roleHash) {
+    const roleName = Object.keys(this.roleHashes)
+      .find((name) => this.roleHashes[name] === String(roleHash).toLowerCase());
+    return roleName || roleHash;
+  }
+
+  /**
+   * Decode a RoleGranted or RoleRevoked log
+   * @param {Object} log - Log from getPastLogs or a transaction receipt
+   * @returns {Object} - { role, account, sender, granted, transactionHash, log }
+   */
+  decodeRoleLog(log) {
+    return {
+      role: this.getRoleName(log.topics[1]),
+      account: this.web3.eth.abi.decodeParameter('address', log.topics[2]),
+      sender: this.web3.eth.abi.decodeParameter('address', log.topics[3]),
+      granted: log.topics[0] === this.eventTopics.RoleGranted,
+      transactionHash: log.transactionHash,
+      log: this.toLogPosition(log)
+    };
+  }
+
+  /**
+   * Get the contract's logs for some events in a block range, in chain order
+   * @param {Array<string>} eventNames - Contract event names
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @param {number} chunkSize - Maximum number of blocks per getPastLogs call
+   * @returns {Promise<Array<Object>>} - Raw logs
+   */
+  async getPastContractLogs(eventNames, fromBlock, toBlock, chunkSize = 2000) {
+    const topics = eventNames.map((eventName) => this.eventTopics[eventName]);
+    const logs = [];
+    
+    for (let start = Number(fromBlock); start <= Number(toBlock); start += chunkSize) {
+      const chunk = await this.web3.eth.getPastLogs({
+        address: this.contractAddress,
+        fromBlock: start,
+        toBlock: Math.min(start + chunkSize - 1, Number(toBlock)),
+        topics: [topics]
+      });
+      logs.push(...chunk);
+    }
+    
+    return logs.sort((a, b) => (
+      Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex)
+    ));
   }
 
   /**
    * Get container details from the blockchain
    * @param {string} tagId - Container tag ID
-   * @returns {Promise<Object>} - Container details
+   * @returns {Promise<Object>} - Container details (groupHash is the on-chain bytes32, holder null for custody)
    */
   async getContainer(tagId) {
     if (!this.contract) {
       throw new Error('Contract not initialized');
     }
     
-    const container = await this.contract.methods.getContainer(tagId).call();
+    const [container, holder] = await Promise.all([
+      this.contract.methods.getContainer(tagId).call(),
+      this.contract.methods.getContainerHolder(tagId).call()
+    ]);
     
     return {
       tagId: container[0],
       rfid: container[1],
-      grams: parseInt(container[2]),
-      tokens: parseInt(container[3]),
+      grams: this.fromUnits(container[2]),
+      tokens: this.fromUnits(container[3]),
       blockNumber: parseInt(container[4]),
-      groupHash: this.web3.utils.hexToString(container[5]).replace(/\0/g, '')
+      groupHash: container[5],
+      holder: this.toHolderAddress(holder)
     };
   }
 
+  /**
+   * Get the tag ID the contract recorded for the keccak256 hash found in indexed event topics
+   * @param {string} tagIdHash - keccak256 of the tag ID
+   * @returns {Promise<string|null>} - Tag ID, or null if the contract has no container with that hash
+   */
+  async getTagIdByHash(tagIdHash) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    return (await this.contract.methods.getTagIdByHash(tagIdHash).call()) || null;
+  }
+
+  /**
+   * Get the name of the contract's custom error from a failed call, or the error message
+   * @param {Error} error - Error thrown by a contract call or send
+   * @returns {string} - Revert reason
+   */
+  getRevertReason(error) {
+    if (error && error.cause && error.cause.errorName) {
+      return error.cause.errorName;
+    }
+    return error && error.message ? error.message : 'Unknown error';
+  }
+
+  /**
+   * Check whether an error is the contract reverting, rather than a node or network failure
+   * @param {Error} error - Error thrown by a contract call or send
+   * @returns {boolean} - True if the contract reverted
+   */
+  isRevertError(error) {
+    return Boolean(error && error.cause && (error.cause.errorName || error.cause.data));
+  }
+
   /**
    * Get container history from the blockchain
    * @param {string} tagId - Container tag ID
@@ -172,13 +508,544 @@ class Web3Service {
     return history;
   }
 
+  /**
+   * Holder address as stored in the database: checksummed, or null for custody (the contract itself)
+   * @param {string} address - Holder address from the contract
+   * @returns {string|null} - Holder address
+   */
+  toHolderAddress(address) {
+    if (!address || /^0x0{40}$/i.test(address)) return null;
+    if (this.contractAddress && address.toLowerCase() === this.contractAddress.toLowerCase()) return null;
+    return this.web3.utils.toChecksumAddress(address);
+  }
+
+  /**
+   * Get the ERC-20 metadata and supply of the token
+   * @returns {Promise<Object>} - { address, name, symbol, decimals, totalSupply, custodyBalance }
+   */
+  async getTokenInfo() {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const [name, symbol, decimals, totalSupply, custodyBalance] = await Promise.all([
+      this.contract.methods.name().call(),
+      this.contract.methods.symbol().call(),
+      this.contract.methods.decimals().call(),
+      this.contract.methods.totalSupply().call(),
+      this.contract.methods.balanceOf(this.contractAddress).call()
+    ]);
+    
+    return {
+      address: this.contractAddress,
+      name,
+      symbol,
+      decimals: Number(decimals),
+      totalSupply: this.fromUnits(totalSupply),
+      custodyBalance: this.fromUnits(custodyBalance)
+    };
+  }
+
+  /**
+   * Get the ERC-20 balance of a holder and its containers from the blockchain
+   * @param {string} holder - Holder address
+   * @returns {Promise<Object>} - { balance, tagIds } with tag IDs in the order ERC-20 transfers draw from them
+   */
+  async getHolder(holder) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const [balance, tagIds] = await Promise.all([
+      this.contract.methods.balanceOf(holder).call(),
+      this.contract.methods.getHolderContainers(holder).call()
+    ]);
+    
+    return { balance: this.fromUnits(balance), tagIds };
+  }
+
+  /**
+   * Get the holder of a container from the blockchain
+   * @param {string} tagId - Container tag ID
+   * @returns {Promise<string|null>} - Holder address, or null for custody
+   */
+  async getContainerHolder(tagId) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    return this.toHolderAddress(await this.contract.methods.getContainerHolder(tagId).call());
+  }
+
+  /**
+   * Get a reserve attestation from the blockchain
+   * @param {string} auditHash - bytes32 hash of the audit
+   * @returns {Promise<Object|null>} - { auditor, auditedGrams, supplyGrams, timestamp }, or null if not recorded
+   */
+  async getAttestation(auditHash) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    const attestation = await this.contract.methods.getAttestation(auditHash).call();
+    if (Number(attestation[3]) === 0) {
+      return null;
+    }
+    
+    return {
+      auditor: attestation[0],
+      auditedGrams: this.fromUnits(attestation[1]),
+      supplyGrams: this.fromUnits(attestation[2]),
+      timestamp: parseInt(attestation[3])
+    };
+  }
+
+  /**
+   * Get the block number a transaction was mined in
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Promise<number|null>} - Block number, or null if the receipt is not available
+   */
+  async getTransactionBlockNumber(transactionHash) {
+    const receipt = await this.getTransactionReceipt(transactionHash);
+    return receipt ? Number(receipt.blockNumber) : null;
+  }
+
+  /**
+   * Get a transaction receipt
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Promise<Object|null>} - Receipt, or null if the transaction is not mined
+   */
+  async getTransactionReceipt(transactionHash) {
+    try {
+      return await this.web3.eth.getTransactionReceipt(transactionHash);
+    } catch (error) {
+      if (error instanceof TransactionNotFound) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the node knows a transaction, mined or pending
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Promise<boolean>} - True if the node has the transaction
+   */
+  async hasTransaction(transactionHash) {
+    try {
+      return Boolean(await this.web3.eth.getTransaction(transactionHash));
+    } catch (error) {
+      if (error instanceof TransactionNotFound) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current block number
+   * @returns {Promise<number>} - Block number
+   */
+  async getBlockNumber() {
+    return Number(await this.web3.eth.getBlockNumber());
+  }
+
+  /**
+   * Build a contract method call
+   * @param {string} methodName - Contract method name
+   * @param {Array} args - Method arguments
+   * @returns {Object} - Contract method call
+   */
+  buildContractCall(methodName, args) {
+    if (!this.contract) {
+      throw new Error('Contract not initialized');
+    }
+    
+    return this.contract.methods[methodName](...args);
+  }
+
+  /**
+   * Send a contract call from the service account and wait for it to be mined.
+   * The nonce comes from the nonce manager, and is given back if the node never got the transaction.
+   * @param {Object} tx - Contract method call
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async sendContractCall(tx) {
+    if (!this.senderAddress) {
+      throw new Error('PRIVATE_KEY not set');
+    }
+    
+    const gas = await tx.estimateGas({ from: this.senderAddress });
+    const fees = await this.getFeeParams();
+    
+    // One retry after resyncing, if something else used the account's nonce
+    for (let attempt = 1; ; attempt += 1) {
+      const nonce = await this.nonces.acquire();
+      let sent = false;
+      
+      try {
+        return await tx.send({
+          from: this.senderAddress,
+          gas,
+          ...fees,
+          nonce
+        }).on('transactionHash', () => {
+          sent = true;
+        });
+      } catch (error) {
+        if (sent) {
+          throw error;
+        }
+        
+        if (/nonce too low/i.test(error.message) && attempt === 1) {
+          await this.nonces.reset();
+          continue;
+        }
+        
+        this.nonces.release(nonce);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Fees for a new transaction under the configured fee strategy
+   * @returns {Promise<Object>} - { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }, in wei
+   */
+  async getFeeParams() {
+    if (this.feeStrategy === 'eip1559') {
+      const block = await this.web3.eth.getBlock('pending');
+      
+      if (block && block.baseFeePerGas !== undefined) {
+        // Multiplier in hundredths, to stay in BigInt
+        const baseFee = BigInt(block.baseFeePerGas) * BigInt(Math.round(this.baseFeeMultiplier * 100)) / 100n;
+        const maxFeePerGas = this.capFee(baseFee + this.priorityTip);
+        
+        return {
+          maxFeePerGas,
+          maxPriorityFeePerGas: this.priorityTip < maxFeePerGas ? this.priorityTip : maxFeePerGas
+        };
+      }
+      // Chains without a base fee fall back to legacy pricing
+    }
+    
+    return { gasPrice: this.capFee(BigInt(await this.web3.eth.getGasPrice())) };
+  }
+
+  /**
+   * Apply FEE_CAP_GWEI to a fee
+   * @param {bigint} fee - Fee in wei
+   * @returns {bigint} - Capped fee
+   */
+  capFee(fee) {
+    return this.feeCap !== null && fee > this.feeCap ? this.feeCap : fee;
+  }
+
+  /**
+   * Fees for replacing a pending transaction: the old fees raised by a percentage
+   * (nodes only accept a replacement that pays more), or the current fees if higher
+   * @param {Object} previous - Fees of the pending transaction, { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }
+   * @param {number} bumpPercent - Minimum increase in percent
+   * @returns {Promise<Object|null>} - Replacement fees, or null if FEE_CAP_GWEI leaves no room to raise them
+   */
+  async getReplacementFees(previous, bumpPercent) {
+    const bump = (fee) => BigInt(fee) * BigInt(100 + bumpPercent) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+    const current = await this.getFeeParams();
+    let fees;
+    
+    if (previous.maxFeePerGas) {
+      const currentMaxFee = current.maxFeePerGas || current.gasPrice;
+      const currentTip = current.maxPriorityFeePerGas || current.gasPrice;
+      fees = {
+        maxFeePerGas: max(bump(previous.maxFeePerGas), currentMaxFee),
+        maxPriorityFeePerGas: max(bump(previous.maxPriorityFeePerGas), currentTip)
+      };
+      if (fees.maxPriorityFeePerGas > fees.maxFeePerGas) {
+        fees.maxPriorityFeePerGas = fees.maxFeePerGas;
+      }
+      if (this.feeCap !== null && fees.maxFeePerGas > this.feeCap) {
+        return null;
+      }
+    } else {
+      fees = { gasPrice: max(bump(previous.gasPrice), current.gasPrice || current.maxFeePerGas) };
+      if (this.feeCap !== null && fees.gasPrice > this.feeCap) {
+        return null;
+      }
+    }
+    
+    return fees;
+  }
+
+  /**
+   * Sign a transaction with the service account
+   * @param {Object} transaction - Transaction fields, including nonce and fees
+   * @returns {Promise<Object>} - { transactionHash, rawTransaction }
+   */
+  async signTransaction(transaction) {
+    return this.web3.eth.accounts.signTransaction(
+      { from: this.senderAddress, ...transaction },
+      `0x${this.privateKey.replace(/^0x/, '')}`
+    );
+  }
+
+  /**
+   * Estimate gas and sign a contract call with the service account, without sending it.
+   * The hash is known before broadcasting, so callers can record it first.
+   * Reverts surface here from gas estimation.
+   * @param {Object} tx - Contract method call
+   * @param {Object} replacement - Optional { nonce, gas, fees } to re-sign a pending transaction at the same nonce
+   * @returns {Promise<Object>} - { transactionHash, rawTransaction, nonce, gas, fees }
+   */
+  async signContractCall(tx, replacement = null) {
+    if (!this.senderAddress) {
+      throw new Error('PRIVATE_KEY not set');
+    }
+    
+    const call = { to: this.contractAddress, data: tx.encodeABI() };
+    
+    if (replacement) {
+      const signed = await this.signTransaction({ ...call, gas: replacement.gas, ...replacement.fees, nonce: replacement.nonce });
+      return { ...replacement, transactionHash: signed.transactionHash, rawTransaction: signed.rawTransaction };
+    }
+    
+    // Estimated against the pending block, so calls that depend on earlier
+    // submissions (a transfer out of a container still being minted) succeed
+    let gas;
+    try {
+      gas = await this.web3.eth.estimateGas({ from: this.senderAddress, ...call }, 'pending');
+    } catch (error) {
+      // estimateGas doesn't decode custom errors, so rerun the call to get a named revert
+      if (this.isRevertError(error)) {
+        await tx.call({ from: this.senderAddress }, 'pending');
+      }
+      throw error;
+    }
+    const fees = await this.getFeeParams();
+    const nonce = await this.nonces.acquire();
+    
+    let signed;
+    try {
+      signed = await this.signTransaction({ ...call, gas, ...fees, nonce });
+    } catch (error) {
+      this.nonces.release(nonce);
+      throw error;
+    }
+    
+    return {
+      transactionHash: signed.transactionHash,
+      rawTransaction: signed.rawTransaction,
+      nonce: Number(nonce),
+      gas: Number(gas),
+      fees
+    };
+  }
+
+  /**
+   * Sign a zero-value transfer to the service account at a pending transaction's nonce,
+   * which cancels that transaction once mined
+   * @param {number} nonce - Nonce of the transaction to cancel
+   * @param {Object} fees - Replacement fees
+   * @returns {Promise<Object>} - { transactionHash, rawTransaction, nonce, gas, fees }
+   */
+  async signCancellation(nonce, fees) {
+    const signed = await this.signTransaction({ to: this.senderAddress, value: 0, gas: 21000, ...fees, nonce });
+    
+    return {
+      transactionHash: signed.transactionHash,
+      rawTransaction: signed.rawTransaction,
+      nonce: Number(nonce),
+      gas: 21000,
+      fees
+    };
+  }
+
+  /**
+   * Broadcast a signed transaction without waiting for it to be mined
+   * @param {string} rawTransaction - Signed transaction
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async broadcastTransaction(rawTransaction) {
+    return this.web3.requestManager.send({
+      method: 'eth_sendRawTransaction',
+      params: [rawTransaction]
+    });
+  }
+
+  /**
+   * Work out why a mined transaction reverted by replaying its call on the state of the block it was mined in.
+   * A reverted transaction leaves no changes, so that state includes whatever made it fail, such as an
+   * earlier transaction in the same block.
+   * @param {Object} tx - Contract method call that was sent
+   * @param {number} blockNumber - Block the transaction was mined in
+   * @returns {Promise<string>} - Revert reason
+   */
+  async getFailedCallReason(tx, blockNumber) {
+    try {
+      await tx.call({ from: this.senderAddress }, Number(blockNumber));
+      return 'Transaction reverted';
+    } catch (error) {
+      return this.getRevertReason(error);
+    }
+  }
+
+  /**
+   * Convert a receipt to plain JSON (web3 returns numbers as BigInt)
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Object} - Receipt summary
+   */
+  serializeReceipt(receipt) {
+    return {
+      transactionHash: receipt.transactionHash,
+      blockHash: receipt.blockHash,
+      blockNumber: Number(receipt.blockNumber),
+      from: receipt.from,
+      to: receipt.to,
+      status: Number(receipt.status) === 1,
+      gasUsed: String(receipt.gasUsed),
+      effectiveGasPrice: receipt.effectiveGasPrice !== undefined ? String(receipt.effectiveGasPrice) : null,
+      logs: (receipt.logs || []).map((item) => ({
+        address: item.address,
+        logIndex: Number(item.logIndex),
+        topics: item.topics,
+        data: item.data
+      }))
+    };
+  }
+
+  /**
+   * Get the hash of a block
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<string|null>} - Block hash, or null if the block does not exist
+   */
+  async getBlockHash(blockNumber) {
+    const block = await this.web3.eth.getBlock(Number(blockNumber));
+    return block ? block.hash : null;
+  }
+
+  /**
+   * Get the time a block was mined at
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<Date>} - Block timestamp
+   */
+  async getBlockTime(blockNumber) {
+    const block = await this.web3.eth.getBlock(Number(blockNumber));
+    return new Date(Number(block.timestamp) * 1000);
+  }
+
+  /**
+   * Position of a log on the chain, used as its idempotency key
+   * @param {Object} log - Log from getPastLogs or a transaction receipt
+   * @returns {Object} - { transactionHash, logIndex, blockNumber, blockHash }
+   */
+  toLogPosition(log) {
+    return {
+      transactionHash: log.transactionHash,
+      logIndex: Number(log.logIndex),
+      blockNumber: Number(log.blockNumber),
+      blockHash: log.blockHash
+    };
+  }
+
+  /**
+   * Find the first log of a contract event in a transaction receipt
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} eventName - Contract event name
+   * @returns {Object|null} - Log position, or null if the event was not emitted
+   */
+  getReceiptLog(receipt, eventName) {
+    return this.getReceiptLogs(receipt, eventName)[0] || null;
+  }
+
+  /**
+   * Find every log of a contract event in a transaction receipt
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} eventName - Contract event name
+   * @returns {Array<Object>} - Log positions, each with the raw log topics
+   */
+  getReceiptLogs(receipt, eventName) {
+    const topic = this.eventTopics[eventName];
+    
+    return (receipt.logs || [])
+      .filter((item) => (
+        item.topics && item.topics[0] === topic &&
+        String(item.address).toLowerCase() === String(this.contractAddress).toLowerCase()
+      ))
+      .map((item) => ({ ...this.toLogPosition(item), topics: item.topics }));
+  }
+
+  /**
+   * Hash a string the way the EVM stores it in an indexed event topic
+   * @param {string} value - String value
+   * @returns {string} - keccak256 hash
+   */
+  hashIndexedString(value) {
+    return this.web3.utils.keccak256(this.web3.utils.utf8ToHex(value));
+  }
+
+  /**
+   * Recover the plain strings passed to the contract in a transaction's calldata.
+   * Indexed string event params only carry keccak256 hashes in their log topics,
+   * so the originating call is decoded against the contract ABI instead.
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Promise<Object>} - Map of keccak256 hash => original string
+   */
+  async getCalldataStrings(transactionHash) {
+    const strings = {};
+    const tx = await this.web3.eth.getTransaction(transactionHash);
+    const input = tx && (tx.input || tx.data);
+    
+    if (!input || input.length < 10) {
+      return strings;
+    }
+    
+    const selector = input.slice(0, 10).toLowerCase();
+    const method = contractABI.find((item) => (
+      item.type === 'function' && this.web3.eth.abi.encodeFunctionSignature(item) === selector
+    ));
+    
+    // Not a direct call to our contract (e.g. routed through another contract)
+    if (!method) {
+      return strings;
+    }
+    
+    const decoded = this.web3.eth.abi.decodeParameters(method.inputs, `0x${input.slice(10)}`);
+    
+    // Walk params (including arrays and tuples) and hash every string argument
+    const collect = (param, value) => {
+      if (/\[\d*\]$/.test(param.type)) {
+        const itemParam = { ...param, type: param.type.replace(/\[\d*\]$/, '') };
+        value.forEach((item) => collect(itemParam, item));
+      } else if (param.type === 'tuple') {
+        param.components.forEach((component, i) => collect(component, value[i]));
+      } else if (param.type === 'string') {
+        strings[this.hashIndexedString(value)] = value;
+      }
+    };
+    
+    method.inputs.forEach((param, i) => collect(param, decoded[i]));
+    
+    return strings;
+  }
+
   /**
    * Set up event listeners for contract events
-   * @param {Function} containerCreatedCallback - Callback for ContainerCreated event
-   * @param {Function} tokensTransferredCallback - Callback for TokensTransferred event
-   * @param {Function} groupCreatedCallback - Callback for GroupCreated event
+   * @param {Object} callbacks - Callbacks keyed by contract event name
+   *   (ContainerCreated, TokensTransferred, TokensBatchTransferred, ContainerRfidUpdated, ContainerHolderChanged,
+   *   TokensRedeemed, ReservesAttested, BalanceRootAnchored, GroupCreated, ContainerAssignedToGroup, RoleGranted, RoleRevoked)
+   * @param {Object} options - Polling options
+   * @param {number} options.startBlock - First block to process; defaults to the current block
+   * @param {number} options.chunkSize - Maximum number of blocks fetched per getPastLogs call
+   * @param {number} options.confirmations - Number of blocks a log must be buried under before it is applied
+   * @param {Function} options.onCheckpoint - Called with the last processed block and its hash after each chunk
+   * @param {Function} options.checkReorg - Called with the last processed block; resolves to the block to
+   *   rewind to if processed blocks were reorged out, or null
+   * @param {Function} options.beforeRange - Called with the first block of each chunk before its logs are applied
+   * @param {number} options.maxAttempts - Number of polls a log whose handler fails is tried on before it is skipped
+   * @param {Function} options.onSkip - Called with the log position and event name, the last error and the number
+   *   of attempts when a log is skipped; the chunk is only checkpointed past the log once it resolves
    */
-  setupEventListeners(containerCreatedCallback, tokensTransferredCallback, groupCreatedCallback) {
+  async setupEventListeners(callbacks, options = {}) {
     if (!this.contract) {
       console.warn('Contract not initialized. Event listeners not set up.');
       return;
@@ -189,179 +1056,416 @@ class Web3Service {
     // Instead of using subscriptions which aren't supported by all providers,
     // we'll set up a polling mechanism to check for events periodically
     
-    // Store the last processed block number (Number)
-    let lastProcessedBlock = 0;
+    const chunkSize = Number(options.chunkSize) || 2000;
+    const confirmations = Number(options.confirmations) || 0;
+    const onCheckpoint = options.onCheckpoint || (async () => {});
+    const checkReorg = options.checkReorg || (async () => null);
+    const beforeRange = options.beforeRange || (async () => {});
+    const maxAttempts = Number(options.maxAttempts) || 5;
+    const onSkip = options.onSkip || (async () => {});
+    
+    // Failed attempts per log (transactionHash:logIndex) whose handler threw
+    const failedAttempts = new Map();
+    
+    // Store the last processed block number (Number), null until we know where to start
+    let lastProcessedBlock = options.startBlock !== undefined && options.startBlock !== null
+      ? Number(options.startBlock) - 1
+      : null;
+    let isPolling = false;
     
     // Function to get the current block number as Number
     const getCurrentBlock = async () => {
-      try {
-        const bn = await this.web3.eth.getBlockNumber(); // may be BigInt
-        return typeof bn === 'bigint' ? Number(bn) : Number(bn);
-      } catch (error) {
-        console.error('Error getting current block number:', error);
-        return lastProcessedBlock;
+      const bn = await this.web3.eth.getBlockNumber(); // may be BigInt
+      return Number(bn);
+    };
+    
+    const {
+      ContainerCreated: containerCreatedTopic,
+      TokensTransferred: tokensTransferredTopic,
+      TokensBatchTransferred: tokensBatchTransferredTopic,
+      ContainerRfidUpdated: containerRfidUpdatedTopic,
+      ContainerHolderChanged: containerHolderChangedTopic,
+      TokensRedeemed: tokensRedeemedTopic,
+      ReservesAttested: reservesAttestedTopic,
+      BalanceRootAnchored: balanceRootAnchoredTopic,
+      GroupCreated: groupCreatedTopic,
+      ContainerAssignedToGroup: containerAssignedTopic,
+      RoleGranted: roleGrantedTopic,
+      RoleRevoked: roleRevokedTopic
+    } = this.eventTopics;
+    
+    // Resolve an indexed string topic back to the original string. Calls without the string
+    // in their calldata (ERC-20 transfers) only emit tag IDs, which the contract can look up.
+    const resolveIndexedString = async (name, hash, strings) => {
+      if (strings[hash] === undefined) {
+        const tagId = await this.contract.methods.getTagIdByHash(hash).call();
+        if (!tagId) {
+          throw new Error(`Could not recover ${name} for topic ${hash} from transaction calldata or the contract`);
+        }
+        strings[hash] = tagId;
       }
+      return strings[hash];
     };
     
-    // Function to process events in a block range (Numbers)
+    // Decoders keyed by event signature topic
+    const eventHandlers = {
+      [containerCreatedTopic]: async (event, strings) => {
+        console.log('ContainerCreated event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'tagId', indexed: true },
+            { type: 'string', name: 'rfid' },
+            { type: 'uint256', name: 'grams' },
+            { type: 'uint256', name: 'tokens' },
+            { type: 'uint256', name: 'blockNumber' },
+            { type: 'bytes32', name: 'groupHash', indexed: true },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.ContainerCreated({
+          tagId: await resolveIndexedString('tagId', decodedLog.tagId, strings),
+          rfid: decodedLog.rfid,
+          grams: this.fromUnits(decodedLog.grams),
+          tokens: this.fromUnits(decodedLog.tokens),
+          blockNumber: parseInt(decodedLog.blockNumber),
+          groupHash: decodedLog.groupHash,
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [tokensTransferredTopic]: async (event, strings) => {
+        console.log('TokensTransferred event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'fromTagId', indexed: true },
+            { type: 'string', name: 'toTagId', indexed: true },
+            { type: 'uint256', name: 'tokens' },
+            { type: 'uint256', name: 'grams' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.TokensTransferred({
+          fromTagId: await resolveIndexedString('fromTagId', decodedLog.fromTagId, strings),
+          toTagId: await resolveIndexedString('toTagId', decodedLog.toTagId, strings),
+          tokens: this.fromUnits(decodedLog.tokens),
+          grams: this.fromUnits(decodedLog.grams),
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [tokensBatchTransferredTopic]: async (event, strings) => {
+        console.log('TokensBatchTransferred event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'fromTagId', indexed: true },
+            { type: 'uint256', name: 'legs' },
+            { type: 'uint256', name: 'tokens' },
+            { type: 'uint256', name: 'grams' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.TokensBatchTransferred({
+          fromTagId: await resolveIndexedString('fromTagId', decodedLog.fromTagId, strings),
+          legs: parseInt(decodedLog.legs),
+          tokens: this.fromUnits(decodedLog.tokens),
+          grams: this.fromUnits(decodedLog.grams),
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [containerRfidUpdatedTopic]: async (event, strings) => {
+        console.log('ContainerRfidUpdated event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'tagId', indexed: true },
+            { type: 'string', name: 'previousRfid' },
+            { type: 'string', name: 'rfid' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.ContainerRfidUpdated({
+          tagId: await resolveIndexedString('tagId', decodedLog.tagId, strings),
+          previousRfid: decodedLog.previousRfid,
+          rfid: decodedLog.rfid,
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [containerHolderChangedTopic]: async (event, strings) => {
+        console.log('ContainerHolderChanged event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'tagId', indexed: true },
+            { type: 'address', name: 'previousHolder', indexed: true },
+            { type: 'address', name: 'holder', indexed: true },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.ContainerHolderChanged({
+          tagId: await resolveIndexedString('tagId', decodedLog.tagId, strings),
+          previousHolder: this.toHolderAddress(decodedLog.previousHolder),
+          holder: this.toHolderAddress(decodedLog.holder),
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [tokensRedeemedTopic]: async (event, strings) => {
+        console.log('TokensRedeemed event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'tagId', indexed: true },
+            { type: 'bytes32', name: 'redemptionId', indexed: true },
+            { type: 'uint256', name: 'tokens' },
+            { type: 'uint256', name: 'grams' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.TokensRedeemed({
+          tagId: await resolveIndexedString('tagId', decodedLog.tagId, strings),
+          redemptionId: decodedLog.redemptionId,
+          tokens: this.fromUnits(decodedLog.tokens),
+          grams: this.fromUnits(decodedLog.grams),
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [reservesAttestedTopic]: async (event) => {
+        console.log('ReservesAttested event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'bytes32', name: 'auditHash', indexed: true },
+            { type: 'address', name: 'auditor', indexed: true },
+            { type: 'uint256', name: 'auditedGrams' },
+            { type: 'uint256', name: 'supplyGrams' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.ReservesAttested({
+          auditHash: decodedLog.auditHash,
+          auditor: decodedLog.auditor,
+          auditedGrams: this.fromUnits(decodedLog.auditedGrams),
+          supplyGrams: this.fromUnits(decodedLog.supplyGrams),
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [balanceRootAnchoredTopic]: async (event) => {
+        console.log('BalanceRootAnchored event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'bytes32', name: 'root', indexed: true },
+            { type: 'uint256', name: 'containerCount' },
+            { type: 'uint256', name: 'totalGrams' },
+            { type: 'uint256', name: 'totalTokens' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.BalanceRootAnchored({
+          root: decodedLog.root,
+          containerCount: parseInt(decodedLog.containerCount),
+          totalGrams: this.fromUnits(decodedLog.totalGrams),
+          totalTokens: this.fromUnits(decodedLog.totalTokens),
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [groupCreatedTopic]: async (event) => {
+        console.log('GroupCreated event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'bytes32', name: 'groupHash', indexed: true },
+            { type: 'string', name: 'name' },
+            { type: 'string', name: 'description' },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.GroupCreated({
+          groupHash: decodedLog.groupHash,
+          name: decodedLog.name,
+          description: decodedLog.description,
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [containerAssignedTopic]: async (event, strings) => {
+        console.log('ContainerAssignedToGroup event found:', event);
+        const decodedLog = this.web3.eth.abi.decodeLog(
+          [
+            { type: 'string', name: 'tagId', indexed: true },
+            { type: 'bytes32', name: 'previousGroupHash', indexed: true },
+            { type: 'bytes32', name: 'groupHash', indexed: true },
+            { type: 'uint256', name: 'timestamp' }
+          ],
+          event.data,
+          event.topics.slice(1)
+        );
+        
+        await callbacks.ContainerAssignedToGroup({
+          tagId: await resolveIndexedString('tagId', decodedLog.tagId, strings),
+          previousGroupHash: decodedLog.previousGroupHash,
+          groupHash: decodedLog.groupHash,
+          timestamp: parseInt(decodedLog.timestamp),
+          transactionHash: event.transactionHash,
+          log: this.toLogPosition(event)
+        });
+      },
+      [roleGrantedTopic]: async (event) => {
+        console.log('RoleGranted event found:', event);
+        await callbacks.RoleGranted(this.decodeRoleLog(event));
+      },
+      [roleRevokedTopic]: async (event) => {
+        console.log('RoleRevoked event found:', event);
+        await callbacks.RoleRevoked(this.decodeRoleLog(event));
+      }
+    };
+    
+    // Only poll for events someone is listening to
+    const eventNames = Object.keys(this.eventTopics).filter((eventName) => callbacks[eventName]);
+    const topics = eventNames.map((eventName) => this.eventTopics[eventName]);
+    
+    // Function to process events in a block range (Numbers).
+    // Throws if the logs cannot be fetched or a handler fails, so the checkpoint is not advanced
+    // and the range is processed again on the next poll. Logs already applied are skipped then.
+    // A log whose handler has failed maxAttempts times is handed to onSkip and passed over,
+    // so one log that can never be applied does not stop ingestion.
     const processEvents = async (fromBlock, toBlock) => {
-      try {
-        console.log(`Checking for events from block ${fromBlock} to ${toBlock}`);
+      console.log(`Checking for events from block ${fromBlock} to ${toBlock}`);
+      
+      // Fetch all event types in one call so they can be applied in chain order
+      // (a group must exist before a container that references it)
+      const events = await this.web3.eth.getPastLogs({
+        address: this.contractAddress,
+        fromBlock: Number(fromBlock),
+        toBlock: Number(toBlock),
+        topics: [topics]
+      });
+      
+      events.sort((a, b) => (
+        Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex)
+      ));
+      
+      // Calldata strings per transaction, shared by all logs of the same transaction
+      const calldataStrings = new Map();
+      
+      for (const event of events) {
+        const handler = eventHandlers[event.topics[0]];
+        if (!handler) continue;
         
-        // Get past ContainerCreated events
-        try {
-          const containerCreatedEvents = await this.web3.eth.getPastLogs({
-            address: this.contractAddress,
-            fromBlock: Number(fromBlock),
-            toBlock: Number(toBlock),
-            topics: [this.web3.utils.keccak256('ContainerCreated(string,string,uint256,uint256,uint256,bytes32,uint256)')]
-          });
-          
-          for (const event of containerCreatedEvents) {
-            console.log('ContainerCreated event found:', event);
-            try {
-              // Process the event
-              const decodedLog = this.web3.eth.abi.decodeLog(
-                [
-                  { type: 'string', name: 'tagId', indexed: true },
-                  { type: 'string', name: 'rfid' },
-                  { type: 'uint256', name: 'grams' },
-                  { type: 'uint256', name: 'tokens' },
-                  { type: 'uint256', name: 'blockNumber' },
-                  { type: 'bytes32', name: 'groupHash', indexed: true },
-                  { type: 'uint256', name: 'timestamp' }
-                ],
-                event.data,
-                event.topics.slice(1)
-              );
-              
-              containerCreatedCallback({
-                tagId: decodedLog.tagId,
-                rfid: decodedLog.rfid,
-                grams: parseInt(decodedLog.grams),
-                tokens: parseInt(decodedLog.tokens),
-                blockNumber: parseInt(decodedLog.blockNumber),
-                groupHash: this.web3.utils.hexToString(decodedLog.groupHash).replace(/\0/g, ''),
-                timestamp: parseInt(decodedLog.timestamp),
-                transactionHash: event.transactionHash
-              });
-            } catch (error) {
-              console.error('Error processing ContainerCreated event:', error);
-            }
-          }
-        } catch (error) {
-          console.error('Error getting ContainerCreated events:', error);
+        if (!calldataStrings.has(event.transactionHash)) {
+          calldataStrings.set(event.transactionHash, await this.getCalldataStrings(event.transactionHash));
         }
         
-        // Get past TokensTransferred events
+        const logId = `${event.transactionHash}:${Number(event.logIndex)}`;
         try {
-          const tokensTransferredEvents = await this.web3.eth.getPastLogs({
-            address: this.contractAddress,
-            fromBlock: Number(fromBlock),
-            toBlock: Number(toBlock),
-            topics: [this.web3.utils.keccak256('TokensTransferred(string,string,uint256,uint256,uint256)')]
-          });
-          
-          for (const event of tokensTransferredEvents) {
-            console.log('TokensTransferred event found:', event);
-            try {
-              // Process the event
-              const decodedLog = this.web3.eth.abi.decodeLog(
-                [
-                  { type: 'string', name: 'fromTagId', indexed: true },
-                  { type: 'string', name: 'toTagId', indexed: true },
-                  { type: 'uint256', name: 'tokens' },
-                  { type: 'uint256', name: 'grams' },
-                  { type: 'uint256', name: 'timestamp' }
-                ],
-                event.data,
-                event.topics.slice(1)
-              );
-              
-              tokensTransferredCallback({
-                fromTagId: decodedLog.fromTagId,
-                toTagId: decodedLog.toTagId,
-                tokens: parseInt(decodedLog.tokens),
-                grams: parseInt(decodedLog.grams),
-                timestamp: parseInt(decodedLog.timestamp),
-                transactionHash: event.transactionHash
-              });
-            } catch (error) {
-              console.error('Error processing TokensTransferred event:', error);
-            }
-          }
+          await handler(event, calldataStrings.get(event.transactionHash));
+          failedAttempts.delete(logId);
         } catch (error) {
-          console.error('Error getting TokensTransferred events:', error);
-        }
-        
-        // Get past GroupCreated events
-        try {
-          const groupCreatedEvents = await this.web3.eth.getPastLogs({
-            address: this.contractAddress,
-            fromBlock: Number(fromBlock),
-            toBlock: Number(toBlock),
-            topics: [this.web3.utils.keccak256('GroupCreated(bytes32,string,string,uint256)')]
-          });
-          
-          for (const event of groupCreatedEvents) {
-            console.log('GroupCreated event found:', event);
-            try {
-              // Process the event
-              const decodedLog = this.web3.eth.abi.decodeLog(
-                [
-                  { type: 'bytes32', name: 'groupHash', indexed: true },
-                  { type: 'string', name: 'name' },
-                  { type: 'string', name: 'description' },
-                  { type: 'uint256', name: 'timestamp' }
-                ],
-                event.data,
-                event.topics.slice(1)
-              );
-              
-              groupCreatedCallback({
-                groupHash: this.web3.utils.hexToString(decodedLog.groupHash).replace(/\0/g, ''),
-                name: decodedLog.name,
-                description: decodedLog.description,
-                timestamp: parseInt(decodedLog.timestamp),
-                transactionHash: event.transactionHash
-              });
-            } catch (error) {
-              console.error('Error processing GroupCreated event:', error);
-            }
+          const attempts = (failedAttempts.get(logId) || 0) + 1;
+          console.error(`Error processing log ${logId} in block ${Number(event.blockNumber)} (attempt ${attempts} of ${maxAttempts})`);
+          if (attempts < maxAttempts) {
+            failedAttempts.set(logId, attempts);
+            throw error;
           }
-        } catch (error) {
-          console.error('Error getting GroupCreated events:', error);
+          
+          const eventName = eventNames.find((name) => this.eventTopics[name] === event.topics[0]);
+          await onSkip({ ...this.toLogPosition(event), eventName }, error, attempts);
+          failedAttempts.delete(logId);
         }
-      } catch (error) {
-        console.error('Error processing events:', error);
       }
     };
     
-    // Start polling for events
+    // Process every block up to the chain head in bounded chunks
     const pollEvents = async () => {
+      // Skip this tick if a previous poll (e.g. a long backfill) is still running
+      if (isPolling) return;
+      isPolling = true;
+      
       try {
         // Get the current block number
         const currentBlock = await getCurrentBlock();
         
-        // If this is the first time, just set the last processed block and return
-        if (lastProcessedBlock === 0) {
-          lastProcessedBlock = currentBlock;
+        // Only blocks buried under enough confirmations are treated as final
+        const safeBlock = currentBlock - confirmations;
+        
+        // Without a start block, begin from the current safe block
+        if (lastProcessedBlock === null) {
+          lastProcessedBlock = Math.max(safeBlock, 0);
+          await onCheckpoint(lastProcessedBlock, await this.getBlockHash(lastProcessedBlock));
           console.log(`Starting event polling from block ${lastProcessedBlock}`);
           return;
         }
         
-        // If there are new blocks, process them
-        if (currentBlock > lastProcessedBlock) {
-          await processEvents(lastProcessedBlock + 1, currentBlock);
-          lastProcessedBlock = currentBlock;
+        // Rewind to the common ancestor if blocks we already processed were reorged out
+        const rewindTo = await checkReorg(lastProcessedBlock);
+        if (rewindTo !== null && rewindTo !== undefined && rewindTo < lastProcessedBlock) {
+          console.warn(`Reorg detected, rewinding event polling from block ${lastProcessedBlock} to ${rewindTo}`);
+          lastProcessedBlock = rewindTo;
+        }
+        
+        // If there are new safe blocks, process them chunk by chunk
+        while (safeBlock > lastProcessedBlock) {
+          const toBlock = Math.min(lastProcessedBlock + chunkSize, safeBlock);
+          const blockHash = await this.getBlockHash(toBlock);
+          
+          await beforeRange(lastProcessedBlock + 1);
+          await processEvents(lastProcessedBlock + 1, toBlock);
+          
+          // The range was reorged while we read it; retry on the next poll
+          if (await this.getBlockHash(toBlock) !== blockHash) {
+            throw new Error(`Block ${toBlock} changed while processing events`);
+          }
+          
+          lastProcessedBlock = toBlock;
+          await onCheckpoint(lastProcessedBlock, blockHash);
         }
       } catch (error) {
         console.error('Error polling events:', error);
+      } finally {
+        isPolling = false;
       }
     };
     
-    // Initial poll
-    pollEvents();
+    // Catch up on missed blocks before switching to live polling
+    if (lastProcessedBlock !== null) {
+      console.log(`Backfilling events from block ${lastProcessedBlock + 1}`);
+    }
+    await pollEvents();
     
     // Set up interval to poll for events every 10 seconds
     const pollInterval = setInterval(pollEvents, 10000);
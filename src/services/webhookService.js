@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const prismaService = require('./prismaService');
+
+// Webhook event type of each contract event the listener processes
+const WEBHOOK_EVENTS = {
+  ContainerCreated: 'container.created',
+  TokensTransferred: 'tokens.transferred',
+  TokensBatchTransferred: 'tokens.batch_transferred',
+  ContainerRfidUpdated: 'container.rfid_updated',
+  ContainerHolderChanged: 'container.holder_changed',
+  TokensRedeemed: 'tokens.redeemed',
+  ReservesAttested: 'reserves.attested',
+  BalanceRootAnchored: 'snapshot.anchored',
+  GroupCreated: 'group.created',
+  ContainerAssignedToGroup: 'container.group_assigned',
+  RoleGranted: 'role.granted',
+  RoleRevoked: 'role.revoked',
+  // Not a contract event: the listener gave up on a log it could not apply
+  LogSkipped: 'listener.log_skipped'
+};
+
+// pending -> delivered, or failed once out of attempts
+const DELIVERY_STATUS = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED'
+};
+
+// Characters of an endpoint's response kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Addresses an endpoint may not resolve to: loopback, private, link-local (cloud metadata), shared,
+// unspecified, multicast and reserved ranges, and IPv4 addresses mapped or translated into IPv6
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is in BLOCKED_ADDRESSES
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if deliveries may not be sent to it
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for deliveries that fails if the host resolves to a blocked address. It runs for the
+ * connection itself, so the host can't resolve to another address between the check and the request.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * POST to a public https endpoint, without following redirects
+ * @param {string} url - Endpoint URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @param {number} timeout - Time the endpoint has to respond, in ms
+ * @returns {Promise<Object>} - { status, body } with the start of the response body
+ */
+function post(url, headers, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (target.protocol !== 'https:') {
+      return reject(new Error('Endpoint URL must use https'));
+    }
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      return reject(new Error(`${host} is not a public address`));
+    }
+
+    const request = https.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (text.length < RESPONSE_BODY_LIMIT) {
+          text += chunk;
+        }
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: response.statusCode, body: text.slice(0, RESPONSE_BODY_LIMIT) });
+      });
+      response.on('error', reject);
+    });
+
+    const timer = setTimeout(() => request.destroy(new Error(`No response within ${timeout} ms`)), timeout);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+class WebhookService {
+  constructor() {
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.interval = parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000;
+    // Attempts before a delivery fails. The wait before a retry starts at WEBHOOK_RETRY_DELAY ms
+    // and doubles after every failed attempt, up to WEBHOOK_MAX_RETRY_DELAY ms.
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000;
+    this.maxRetryDelay = parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY) || 6 * 60 * 60 * 1000;
+    // Time an endpoint has to respond, in ms
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+    // Deliveries sent per worker pass
+    this.batchSize = 20;
+  }
+
+  /**
+   * Event types subscriptions can register for
+   * @returns {Array<string>} - Event types
+   */
+  getEventTypes() {
+    return Object.values(WEBHOOK_EVENTS);
+  }
+
+  /**
+   * Generate a signing secret for a subscription
+   * @returns {string} - Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription's secret
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix time of the attempt, in seconds
+   * @param {string} body - Request body
+   * @returns {string} - Hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Wait before retrying a delivery after a failed attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in ms
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Webhook event of a contract event processed by the event listener. The listener attaches it to the log,
+   * and it is queued in the database transaction that applies the log, so only applied logs are sent.
+   * @param {string} eventName - Contract event name
+   * @param {Object} eventData - Decoded event, as passed to the listener's handler
+   * @returns {Object|null} - { eventId, eventType, blockHash, payload }, or null if the event is not sent to webhooks
+   */
+  buildEvent(eventName, eventData) {
+    const eventType = WEBHOOK_EVENTS[eventName];
+    if (!eventType) {
+      return null;
+    }
+
+    const { log, transactionHash, ...data } = eventData;
+    const eventId = `${log.transactionHash}:${log.logIndex}`;
+
+    return {
+      eventId,
+      eventType,
+      blockHash: log.blockHash || null,
+      payload: JSON.stringify({
+        id: eventId,
+        type: eventType,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash || null,
+        data
+      })
+    };
+  }
+
+  /**
+   * Webhook event alerting that the event listener skipped a log after its handler failed on every attempt
+   * @param {Object} skippedLog - SkippedLog row
+   * @returns {Object} - { eventId, eventType, blockHash, payload }
+   */
+  buildSkippedLogEvent(skippedLog) {
+    const eventType = WEBHOOK_EVENTS.LogSkipped;
+    const eventId = `${skippedLog.transactionHash}:${skippedLog.logIndex}:skipped`;
+
+    return {
+      eventId,
+      eventType,
+      blockHash: skippedLog.blockHash || null,
+      payload: JSON.stringify({
+        id: eventId,
+        type: eventType,
+        transactionHash: skippedLog.transactionHash,
+        logIndex: skippedLog.logIndex,
+        blockNumber: skippedLog.blockNumber,
+        blockHash: skippedLog.blockHash || null,
+        data: {
+          eventName: skippedLog.eventName,
+          attempts: skippedLog.attempts,
+          error: skippedLog.error
+        }
+      })
+    };
+  }
+
+  /**
+   * Send a delivery to its endpoint and record the outcome. Any 2xx response counts as delivered;
+   * otherwise the delivery is retried later, or fails once it is out of attempts.
+   * Endpoints that don't use https or resolve to a non-public address are not contacted.
+   * @param {Object} delivery - Pending delivery with its subscription
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async deliver(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    const update = {
+      attempts,
+      lastAttemptAt: new Date(),
+      responseStatus: null,
+      responseBody: null,
+      error: null
+    };
+
+    try {
+      const response = await post(delivery.subscription.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GoldTokenization-Webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${this.sign(delivery.subscription.secret, timestamp, delivery.payload)}`
+      }, delivery.payload, this.timeout);
+
+      update.responseStatus = response.status;
+      update.responseBody = response.body;
+      if (response.status < 200 || response.status > 299) {
+        update.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      update.error = error.message;
+    }
+
+    if (!update.error) {
+      Object.assign(update, { status: DELIVERY_STATUS.DELIVERED, nextAttemptAt: null, deliveredAt: new Date() });
+    } else if (attempts >= this.maxAttempts) {
+      Object.assign(update, { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null });
+      console.warn(`Webhook delivery ${delivery.id} to ${delivery.subscription.url} failed after ${attempts} attempts: ${update.error}`);
+    } else {
+      update.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+    }
+
+    return prismaService.updateWebhookDelivery(delivery.id, update);
+  }
+
+  /**
+   * Send a delivery again from its first attempt, whether it was delivered or failed
+   * @param {Object} delivery - Delivery
+   * @returns {Promise<Object>} - Delivery, pending again
+   */
+  async replay(delivery) {
+    const replayed = await prismaService.updateWebhookDelivery(delivery.id, {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      deliveredAt: null
+    });
+
+    if (this.pollInterval) {
+      setImmediate(() => this.processDeliveries());
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Start sending due deliveries every WEBHOOK_POLL_INTERVAL ms
+   */
+  start() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    this.pollInterval = setInterval(() => this.processDeliveries(), this.interval);
+    this.processDeliveries();
+    console.log('Webhook worker started');
+  }
+
+  /**
+   * Stop sending deliveries; pending ones are sent after the next start
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('Webhook worker stopped');
+    }
+  }
+
+  /**
+   * One worker pass: send the oldest due deliveries side by side
+   */
+  async processDeliveries() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const deliveries = await prismaService.getDueWebhookDeliveries(this.batchSize);
+      await Promise.all(deliveries.map((delivery) => (
+        this.deliver(delivery).catch((error) => console.error(`Error sending webhook delivery ${delivery.id}:`, error))
+      )));
+    } catch (error) {
+      console.error('Error processing webhook deliveries:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Subscription as returned by the API, without its secret
+   * @param {Object} subscription - Subscription row
+   * @returns {Object} - Subscription
+   */
+  formatSubscription(subscription) {
+    const { secret, eventTypes, ...rest } = subscription;
+    return {
+      ...rest,
+      eventTypes: eventTypes.split(',')
+    };
+  }
+
+  /**
+   * Delivery as returned by the API, with its payload parsed
+   * @param {Object} delivery - Delivery row
+   * @returns {Object} - Delivery
+   */
+  formatDelivery(delivery) {
+    const { subscription, payload, ...rest } = delivery;
+    return {
+      ...rest,
+      ...(subscription ? { url: subscription.url } : {}),
+      payload: JSON.parse(payload)
+    };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
@@ -0,0 +1,275 @@
+const assert = require("assert");
+const { ethers } = require("hardhat");
+const snapshotService = require("../src/services/snapshotService");
+
+// Amount with 18 decimals, as the contract stores grams and tokens
+const units = (amount) => ethers.utils.parseUnits(String(amount), 18);
+
+const NO_GROUP = ethers.constants.HashZero;
+
+describe("GoldTokenization", function () {
+  let contract;
+  let admin;
+  let other;
+
+  beforeEach(async function () {
+    [admin, other] = await ethers.getSigners();
+    const GoldTokenization = await ethers.getContractFactory("GoldTokenization");
+    contract = await GoldTokenization.deploy();
+    await contract.deployed();
+  });
+
+  describe("createContainers", function () {
+    it("creates every container with tokens at 10 grams each", async function () {
+      const tx = await contract.createContainers(["TAG-1", "TAG-2"], ["RFID-1", ""], [units(100), units(25.5)], [NO_GROUP, NO_GROUP]);
+      const receipt = await tx.wait();
+
+      const [tagId, rfid, grams, tokens] = await contract.getContainer("TAG-1");
+      assert.strictEqual(tagId, "TAG-1");
+      assert.strictEqual(rfid, "RFID-1");
+      assert.ok(grams.eq(units(100)));
+      assert.ok(tokens.eq(units(10)));
+      assert.ok((await contract.getContainer("TAG-2"))[3].eq(units(2.55)));
+
+      assert.strictEqual(await contract.getContainerByRfid("RFID-1"), "TAG-1");
+      assert.strictEqual(receipt.events.filter((event) => event.event === "ContainerCreated").length, 2);
+      assert.ok((await contract.totalSupply()).eq(units(12.55)));
+    });
+
+    it("rejects empty and mismatched batches", async function () {
+      await assert.rejects(contract.createContainers([], [], [], []), /InvalidOperation/);
+      await assert.rejects(contract.createContainers(["TAG-1", "TAG-2"], ["", ""], [units(10)], [NO_GROUP, NO_GROUP]), /InvalidOperation/);
+    });
+
+    it("creates none of the batch if one container fails", async function () {
+      await contract.createContainer("TAG-1", "", units(10), NO_GROUP);
+
+      await assert.rejects(
+        contract.createContainers(["TAG-2", "TAG-1"], ["", ""], [units(10), units(10)], [NO_GROUP, NO_GROUP]),
+        /ContainerAlreadyExists/
+      );
+      await assert.rejects(contract.getContainer("TAG-2"), /ContainerDoesNotExist/);
+    });
+
+    it("can only be called by a minter", async function () {
+      await assert.rejects(
+        contract.connect(other).createContainers(["TAG-1"], [""], [units(10)], [NO_GROUP]),
+        /missing role/
+      );
+    });
+  });
+
+  describe("batchTransferTokens", function () {
+    beforeEach(async function () {
+      await contract.createContainer("SRC", "", units(100), NO_GROUP);
+      await contract.createContainer("DST-1", "", units(10), NO_GROUP);
+    });
+
+    it("moves every leg and creates missing destinations", async function () {
+      const tx = await contract.batchTransferTokens("SRC", ["DST-1", "DST-2"], [units(2), units(3.5)]);
+      const receipt = await tx.wait();
+
+      assert.ok((await contract.getContainer("SRC"))[3].eq(units(4.5)));
+      assert.ok((await contract.getContainer("SRC"))[2].eq(units(45)));
+      assert.ok((await contract.getContainer("DST-1"))[3].eq(units(3)));
+      assert.ok((await contract.getContainer("DST-2"))[3].eq(units(3.5)));
+
+      // One TokensTransferred per leg, then the batch
+      const events = receipt.events.filter((event) => event.event === "TokensTransferred" || event.event === "TokensBatchTransferred");
+      assert.deepStrictEqual(events.map((event) => event.event), ["TokensTransferred", "TokensTransferred", "TokensBatchTransferred"]);
+      const [, legs, tokens, grams] = events[2].args;
+      assert.ok(legs.eq(2));
+      assert.ok(tokens.eq(units(5.5)));
+      assert.ok(grams.eq(units(55)));
+    });
+
+    it("moves nothing if a leg fails", async function () {
+      await assert.rejects(contract.batchTransferTokens("SRC", ["DST-1", "DST-2"], [units(5), units(6)]), /InsufficientTokens/);
+
+      assert.ok((await contract.getContainer("SRC"))[3].eq(units(10)));
+      assert.ok((await contract.getContainer("DST-1"))[3].eq(units(1)));
+      await assert.rejects(contract.getContainer("DST-2"), /ContainerDoesNotExist/);
+    });
+
+    it("rejects empty and mismatched batches", async function () {
+      await assert.rejects(contract.batchTransferTokens("SRC", [], []), /InvalidOperation/);
+      await assert.rejects(contract.batchTransferTokens("SRC", ["DST-1"], [units(1), units(1)]), /InvalidOperation/);
+    });
+  });
+
+  describe("ERC-20 view", function () {
+    beforeEach(async function () {
+      await contract.createContainer("TAG-1", "", units(100), NO_GROUP);
+      await contract.createContainer("TAG-2", "", units(10), NO_GROUP);
+    });
+
+    it("describes the token", async function () {
+      assert.strictEqual(await contract.name(), "Tokenized Gold");
+      assert.strictEqual(await contract.symbol(), "GOLD");
+      assert.strictEqual(await contract.decimals(), 18);
+      assert.ok((await contract.totalSupply()).eq(units(11)));
+    });
+
+    it("keeps unassigned containers in the contract's custody", async function () {
+      assert.ok((await contract.balanceOf(contract.address)).eq(units(11)));
+
+      await contract.setContainerHolder("TAG-1", admin.address);
+      assert.ok((await contract.balanceOf(admin.address)).eq(units(10)));
+      assert.ok((await contract.balanceOf(contract.address)).eq(units(1)));
+
+      await contract.setContainerHolder("TAG-1", ethers.constants.AddressZero);
+      assert.ok((await contract.balanceOf(admin.address)).eq(0));
+      assert.ok((await contract.balanceOf(contract.address)).eq(units(11)));
+    });
+
+    it("transfers into the recipient's first container", async function () {
+      await contract.setContainerHolder("TAG-1", admin.address);
+      await contract.setContainerHolder("TAG-2", other.address);
+
+      await contract.transfer(other.address, units(4));
+
+      assert.ok((await contract.balanceOf(admin.address)).eq(units(6)));
+      assert.ok((await contract.balanceOf(other.address)).eq(units(5)));
+      assert.ok((await contract.getContainer("TAG-1"))[3].eq(units(6)));
+      assert.ok((await contract.getContainer("TAG-2"))[3].eq(units(5)));
+      await assert.rejects(contract.transfer(other.address, units(7)), /InsufficientTokens/);
+    });
+
+    it("rejects transfers to an address without containers", async function () {
+      await contract.setContainerHolder("TAG-1", admin.address);
+
+      await assert.rejects(contract.transfer(other.address, units(1)), /HolderHasNoContainers/);
+      await assert.rejects(contract.transfer(ethers.constants.AddressZero, units(1)), /InvalidOperation/);
+    });
+
+    it("uses up the allowance in transferFrom", async function () {
+      await contract.setContainerHolder("TAG-1", admin.address);
+      await contract.setContainerHolder("TAG-2", other.address);
+
+      await contract.approve(other.address, units(3));
+      await contract.connect(other).transferFrom(admin.address, other.address, units(2));
+
+      assert.ok((await contract.allowance(admin.address, other.address)).eq(units(1)));
+      assert.ok((await contract.balanceOf(other.address)).eq(units(3)));
+      await assert.rejects(
+        contract.connect(other).transferFrom(admin.address, other.address, units(2)),
+        /InsufficientAllowance/
+      );
+    });
+  });
+
+  describe("redeemTokens", function () {
+    const REDEMPTION = ethers.utils.id("REDEMPTION-1");
+
+    beforeEach(async function () {
+      await contract.createContainer("TAG-1", "", units(100), NO_GROUP);
+    });
+
+    it("burns the tokens and their grams", async function () {
+      const tx = await contract.redeemTokens("TAG-1", units(4), REDEMPTION);
+      const receipt = await tx.wait();
+
+      const [, , grams, tokens] = await contract.getContainer("TAG-1");
+      assert.ok(grams.eq(units(60)));
+      assert.ok(tokens.eq(units(6)));
+      assert.ok((await contract.totalSupply()).eq(units(6)));
+      assert.strictEqual(await contract.isRedeemed(REDEMPTION), true);
+
+      const burn = receipt.events.find((event) => event.event === "Transfer");
+      assert.strictEqual(burn.args.to, ethers.constants.AddressZero);
+      assert.ok(burn.args.value.eq(units(4)));
+    });
+
+    it("redeems each redemption only once", async function () {
+      await contract.redeemTokens("TAG-1", units(1), REDEMPTION);
+
+      await assert.rejects(contract.redeemTokens("TAG-1", units(1), REDEMPTION), /InvalidOperation/);
+      await assert.rejects(contract.redeemTokens("TAG-1", units(1), ethers.constants.HashZero), /InvalidOperation/);
+    });
+
+    it("rejects amounts the container doesn't hold", async function () {
+      await assert.rejects(contract.redeemTokens("TAG-1", units(11), REDEMPTION), /InsufficientTokens/);
+      await assert.rejects(contract.redeemTokens("TAG-1", 0, REDEMPTION), /InvalidAmount/);
+      assert.strictEqual(await contract.isRedeemed(REDEMPTION), false);
+    });
+
+    it("can only be called by a minter", async function () {
+      await assert.rejects(contract.connect(other).redeemTokens("TAG-1", units(1), REDEMPTION), /missing role/);
+    });
+  });
+
+  describe("attestReserves", function () {
+    const AUDIT = ethers.utils.id("AUDIT-1");
+
+    beforeEach(async function () {
+      await contract.createContainer("TAG-1", "", units(100), NO_GROUP);
+    });
+
+    it("records the audit next to the supply in grams", async function () {
+      await contract.attestReserves(AUDIT, other.address, units(99.5));
+
+      const [auditor, auditedGrams, supplyGrams, timestamp] = await contract.getAttestation(AUDIT);
+      assert.strictEqual(auditor, other.address);
+      assert.ok(auditedGrams.eq(units(99.5)));
+      assert.ok(supplyGrams.eq((await contract.totalSupply()).mul(10)));
+      assert.ok(timestamp.gt(0));
+    });
+
+    it("records each audit only once", async function () {
+      await contract.attestReserves(AUDIT, other.address, units(100));
+
+      await assert.rejects(contract.attestReserves(AUDIT, other.address, units(100)), /InvalidOperation/);
+      await assert.rejects(contract.attestReserves(ethers.constants.HashZero, other.address, units(100)), /InvalidOperation/);
+      await assert.rejects(contract.attestReserves(ethers.utils.id("AUDIT-2"), ethers.constants.AddressZero, units(100)), /InvalidOperation/);
+    });
+
+    it("can only be called by an admin", async function () {
+      await assert.rejects(contract.connect(other).attestReserves(AUDIT, other.address, units(100)), /missing role/);
+      assert.ok((await contract.getAttestation(AUDIT))[3].eq(0));
+    });
+  });
+
+  describe("anchorBalanceRoot", function () {
+    // Leaves as the snapshot service stores them; an odd count leaves a node without a sibling
+    const leaves = [
+      { tagId: "TAG-1", grams: "100", tokens: "10" },
+      { tagId: "TAG-2", grams: "25.5", tokens: "2.55" },
+      { tagId: "TAG-3", grams: "0.1", tokens: "0.01" }
+    ];
+    const snapshot = { id: "snapshot-1", leaves: JSON.stringify(leaves) };
+    const levels = snapshotService.buildTree(leaves.map((leaf) => snapshotService.hashLeaf(leaf)));
+    const root = levels[levels.length - 1][0];
+
+    it("verifies the proof of every container in the snapshot service's tree", async function () {
+      await contract.anchorBalanceRoot(root, leaves.length, units(125.6), units(12.56));
+      assert.ok((await contract.getBalanceRoot(root)).gt(0));
+
+      for (const leaf of leaves) {
+        const { proof } = snapshotService.getProof(snapshot, leaf.tagId);
+        assert.strictEqual(await contract.verifyBalanceProof(root, proof, leaf.tagId, units(leaf.grams), units(leaf.tokens)), true);
+      }
+
+      const { proof } = snapshotService.getProof(snapshot, "TAG-1");
+      assert.strictEqual(await contract.verifyBalanceProof(root, proof, "TAG-1", units(100), units(11)), false);
+    });
+
+    it("does not verify proofs against a root that was not anchored", async function () {
+      const { proof } = snapshotService.getProof(snapshot, "TAG-1");
+      assert.strictEqual(await contract.verifyBalanceProof(root, proof, "TAG-1", units(100), units(10)), false);
+    });
+
+    it("anchors each root only once", async function () {
+      await contract.anchorBalanceRoot(root, leaves.length, units(125.6), units(12.56));
+
+      await assert.rejects(contract.anchorBalanceRoot(root, leaves.length, units(125.6), units(12.56)), /InvalidOperation/);
+      await assert.rejects(contract.anchorBalanceRoot(ethers.constants.HashZero, 0, 0, 0), /InvalidOperation/);
+    });
+
+    it("can only be called by an admin", async function () {
+      await contract.grantRole(await contract.MINTER_ROLE(), other.address);
+
+      await assert.rejects(contract.connect(other).anchorBalanceRoot(root, leaves.length, units(125.6), units(12.56)), /missing role/);
+      assert.ok((await contract.getBalanceRoot(root)).eq(0));
+    });
+  });
+});
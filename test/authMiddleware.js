@@ -0,0 +1,106 @@
+const assert = require('assert');
+const prismaService = require('../src/services/prismaService');
+const { ROLES, hashApiKey, authenticate, requireRole } = require('../src/middleware/authMiddleware');
+
+const request = (headers = {}, auth = undefined) => ({
+  get: (header) => headers[header],
+  auth
+});
+
+// Response that records what the middleware sends
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(value) {
+    this.body = value;
+    return this;
+  }
+});
+
+describe('authMiddleware', function () {
+  const restores = [];
+
+  // Replace a property for one test; one that wasn't set is deleted again, since process.env stores undefined as a string
+  const stub = (object, name, value) => {
+    const own = Object.prototype.hasOwnProperty.call(object, name);
+    const original = object[name];
+    object[name] = value;
+    restores.push(() => (own ? (object[name] = original) : delete object[name]));
+  };
+
+  // Run a middleware; resolves with the request, the response and whether the route was reached
+  const run = async (middleware, req) => {
+    const res = response();
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+  };
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  describe('authenticate', function () {
+    const keys = {
+      [hashApiKey('minter-key')]: { id: 'key-1', name: 'minting service', roles: 'MINTER_ROLE,GROUP_MANAGER_ROLE', revokedAt: null },
+      [hashApiKey('revoked-key')]: { id: 'key-2', name: 'old service', roles: 'MINTER_ROLE', revokedAt: new Date() }
+    };
+
+    beforeEach(function () {
+      stub(process.env, 'ADMIN_API_KEY', 'admin-key');
+      stub(prismaService, 'getApiKeyByHash', async (keyHash) => keys[keyHash] || null);
+    });
+
+    it('resolves a stored key, presented as a bearer token, to its roles', async function () {
+      const { req, nextCalled } = await run(authenticate, request({ authorization: 'Bearer minter-key' }));
+
+      assert.strictEqual(nextCalled, true);
+      assert.deepStrictEqual(req.auth, { id: 'key-1', name: 'minting service', roles: ['MINTER_ROLE', 'GROUP_MANAGER_ROLE'] });
+    });
+
+    it('accepts ADMIN_API_KEY in x-api-key as an admin', async function () {
+      const { req, nextCalled } = await run(authenticate, request({ 'x-api-key': 'admin-key' }));
+
+      assert.strictEqual(nextCalled, true);
+      assert.deepStrictEqual(req.auth.roles, [ROLES.ADMIN]);
+    });
+
+    it('refuses a request without a key, an unknown key and a revoked key', async function () {
+      for (const headers of [{}, { 'x-api-key': 'unknown-key' }, { 'x-api-key': 'revoked-key' }]) {
+        const { res, nextCalled } = await run(authenticate, request(headers));
+
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(res.statusCode, 401);
+      }
+    });
+  });
+
+  describe('requireRole', function () {
+    const allowed = async (role, roles) => (await run(requireRole(role), request({}, { roles }))).nextCalled;
+
+    it('lets a key through with the role the route requires', async function () {
+      assert.strictEqual(await allowed(ROLES.MINTER, [ROLES.MINTER]), true);
+      assert.strictEqual(await allowed(ROLES.MINTER, [ROLES.GROUP_MANAGER]), false);
+    });
+
+    it('lets an admin through to every route', async function () {
+      assert.strictEqual(await allowed(ROLES.MINTER, [ROLES.ADMIN]), true);
+      assert.strictEqual(await allowed(ROLES.GROUP_MANAGER, [ROLES.ADMIN]), true);
+    });
+
+    it('lets any key with a role read, but not a key without roles', async function () {
+      assert.strictEqual(await allowed(ROLES.READ, [ROLES.GROUP_MANAGER]), true);
+      assert.strictEqual(await allowed(ROLES.READ, []), false);
+    });
+
+    it('answers 403 naming the missing role', async function () {
+      const { res } = await run(requireRole(ROLES.ADMIN), request({}, { roles: [ROLES.READ] }));
+
+      assert.strictEqual(res.statusCode, 403);
+      assert.strictEqual(res.body.message, 'DEFAULT_ADMIN_ROLE required');
+    });
+  });
+});
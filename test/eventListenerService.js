@@ -0,0 +1,183 @@
+const assert = require('assert');
+const prismaService = require('../src/services/prismaService');
+const web3Service = require('../src/services/web3Service');
+const eventListenerService = require('../src/services/eventListenerService');
+
+describe('eventListenerService', function () {
+  const restores = [];
+  let calls;
+
+  // Replace a service method with a fake that records its arguments
+  const fake = (service, name, implementation = async () => null) => {
+    const original = service[name];
+    service[name] = async (...args) => {
+      calls.push([name, ...args]);
+      return implementation(...args);
+    };
+    restores.push(() => { service[name] = original; });
+  };
+
+  beforeEach(function () {
+    calls = [];
+
+    // The listener logs every event it handles
+    for (const level of ['log', 'warn', 'error']) {
+      const original = console[level];
+      console[level] = () => {};
+      restores.push(() => { console[level] = original; });
+    }
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  describe('skipLog', function () {
+    it('records the log and queues a listener.log_skipped webhook event', async function () {
+      fake(prismaService, 'recordSkippedLog', async (data) => ({ id: 'skipped-1', ...data }));
+      fake(prismaService, 'queueWebhookEvent');
+
+      const log = { transactionHash: '0xabc', logIndex: 2, blockNumber: 7, blockHash: '0xblock', eventName: 'ContainerRfidUpdated' };
+      await eventListenerService.skipLog(log, new Error('Container TAG-1 not in database'), 5);
+
+      assert.deepStrictEqual(calls[0], ['recordSkippedLog', {
+        transactionHash: '0xabc',
+        logIndex: 2,
+        blockNumber: 7,
+        blockHash: '0xblock',
+        eventName: 'ContainerRfidUpdated',
+        attempts: 5,
+        error: 'Container TAG-1 not in database'
+      }]);
+
+      const [name, event] = calls[1];
+      assert.strictEqual(name, 'queueWebhookEvent');
+      assert.strictEqual(event.eventId, '0xabc:2:skipped');
+      assert.strictEqual(event.eventType, 'listener.log_skipped');
+      assert.deepStrictEqual(JSON.parse(event.payload).data, {
+        eventName: 'ContainerRfidUpdated',
+        attempts: 5,
+        error: 'Container TAG-1 not in database'
+      });
+    });
+  });
+
+  describe('handleContainerRfidUpdated', function () {
+    it('throws without applying the log if the container is not in the database', async function () {
+      fake(prismaService, 'getContainerByTagId');
+      fake(prismaService, 'applyLogOnce');
+
+      await assert.rejects(
+        eventListenerService.handleContainerRfidUpdated({ tagId: 'TAG-1', previousRfid: '', rfid: 'RFID-1', log: {} }),
+        /TAG-1: container not in database/
+      );
+      assert.deepStrictEqual(calls.map(([name]) => name), ['getContainerByTagId']);
+    });
+  });
+
+  describe('handleContainerHolderChanged', function () {
+    it('throws without applying the log if the container is not in the database', async function () {
+      fake(prismaService, 'getContainerByTagId');
+      fake(prismaService, 'applyLogOnce');
+
+      await assert.rejects(
+        eventListenerService.handleContainerHolderChanged({ tagId: 'TAG-1', previousHolder: null, holder: '0x1111111111111111111111111111111111111111', log: {} }),
+        /TAG-1: container not in database/
+      );
+      assert.deepStrictEqual(calls.map(([name]) => name), ['getContainerByTagId']);
+    });
+  });
+
+  describe('handleTokensRedeemed', function () {
+    it('throws without applying the log if the container is not in the database', async function () {
+      fake(prismaService, 'getContainerByTagId');
+      fake(prismaService, 'applyLogOnce');
+
+      await assert.rejects(
+        eventListenerService.handleTokensRedeemed({ tagId: 'TAG-1', redemptionId: '0x01', tokens: '1', grams: '10', log: {} }),
+        /TAG-1: container not in database/
+      );
+      assert.deepStrictEqual(calls.map(([name]) => name), ['getContainerByTagId']);
+    });
+  });
+
+  describe('handleContainerAssignedToGroup', function () {
+    it('throws without applying the log if the group is not in the database', async function () {
+      fake(prismaService, 'resolveGroupHash');
+      fake(prismaService, 'getContainerByTagId', async (tagId) => ({ tagId, groupHash: null }));
+      fake(prismaService, 'applyLogOnce');
+
+      await assert.rejects(
+        eventListenerService.handleContainerAssignedToGroup({ tagId: 'TAG-1', previousGroupHash: '0x00', groupHash: '0x01', log: {} }),
+        /TAG-1 to group 0x01: container or group not in database/
+      );
+      assert.ok(!calls.some(([name]) => name === 'applyLogOnce'));
+    });
+  });
+
+  describe('checkReorg', function () {
+    const processedLogs = [
+      { id: 'log-2', eventName: 'TokensTransferred', transactionHash: '0x2', logIndex: 0, blockNumber: 10 },
+      { id: 'log-1', eventName: 'ContainerCreated', transactionHash: '0x1', logIndex: 0, blockNumber: 9 }
+    ];
+
+    // Blocks the listener remembers, newest first, and the chain's current hashes
+    const setup = (seenBlocks, canonicalHashes) => {
+      fake(prismaService, 'getRecentSyncBlocks', async () => seenBlocks);
+      fake(web3Service, 'getBlockHash', async (blockNumber) => canonicalHashes[blockNumber]);
+      fake(prismaService, 'getProcessedLogsFrom', async (blockNumber) => processedLogs.filter((log) => log.blockNumber >= blockNumber));
+      fake(prismaService, 'revertProcessedLog');
+      fake(prismaService, 'deleteSkippedLogsFrom');
+      fake(prismaService, 'pruneSyncBlocks');
+      fake(prismaService, 'saveSyncCheckpoint');
+    };
+
+    it('does nothing while the newest processed block is canonical', async function () {
+      setup([{ blockNumber: 10, blockHash: '0xa10' }, { blockNumber: 9, blockHash: '0xa9' }], { 10: '0xa10', 9: '0xa9' });
+
+      assert.strictEqual(await eventListenerService.checkReorg('0xcontract'), null);
+      assert.deepStrictEqual(calls.map(([name]) => name), ['getRecentSyncBlocks', 'getBlockHash']);
+    });
+
+    it('reverts the logs above the common ancestor, newest first, and rolls the checkpoint back to it', async function () {
+      setup(
+        [{ blockNumber: 10, blockHash: '0xa10' }, { blockNumber: 9, blockHash: '0xa9' }, { blockNumber: 8, blockHash: '0xa8' }],
+        { 10: '0xb10', 9: '0xb9', 8: '0xa8' }
+      );
+
+      assert.strictEqual(await eventListenerService.checkReorg('0xcontract'), 8);
+
+      const reverted = calls.filter(([name]) => name === 'revertProcessedLog').map(([, log]) => log.id);
+      assert.deepStrictEqual(reverted, ['log-2', 'log-1']);
+      assert.deepStrictEqual(calls.find(([name]) => name === 'deleteSkippedLogsFrom'), ['deleteSkippedLogsFrom', 9]);
+      assert.deepStrictEqual(calls.find(([name]) => name === 'pruneSyncBlocks'), ['pruneSyncBlocks', '0xcontract', { above: 8 }]);
+      assert.deepStrictEqual(calls[calls.length - 1], ['saveSyncCheckpoint', '0xcontract', 8]);
+    });
+
+    it('rewinds below every remembered block if none of them is canonical', async function () {
+      setup([{ blockNumber: 10, blockHash: '0xa10' }, { blockNumber: 9, blockHash: '0xa9' }], { 10: '0xb10', 9: '0xb9' });
+
+      assert.strictEqual(await eventListenerService.checkReorg('0xcontract'), 8);
+      assert.strictEqual(calls.filter(([name]) => name === 'revertProcessedLog').length, 2);
+      assert.deepStrictEqual(calls[calls.length - 1], ['saveSyncCheckpoint', '0xcontract', 8]);
+    });
+  });
+
+  describe('revertOrphanedLogs', function () {
+    it('reverts the logs whose block is no longer canonical', async function () {
+      fake(prismaService, 'getProcessedLogsFrom', async () => [
+        { id: 'orphaned', blockNumber: 12, blockHash: '0xa12' },
+        { id: 'canonical', blockNumber: 11, blockHash: '0xb11' },
+        { id: 'untracked', blockNumber: 11, blockHash: null }
+      ]);
+      fake(web3Service, 'getBlockHash', async (blockNumber) => ({ 12: '0xb12', 11: '0xb11' })[blockNumber]);
+      fake(prismaService, 'revertProcessedLog');
+
+      await eventListenerService.revertOrphanedLogs(11);
+
+      assert.deepStrictEqual(calls[0], ['getProcessedLogsFrom', 11]);
+      const reverted = calls.filter(([name]) => name === 'revertProcessedLog').map(([, log]) => log.id);
+      assert.deepStrictEqual(reverted, ['orphaned']);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const prismaService = require('../src/services/prismaService');
+const { idempotency } = require('../src/middleware/idempotencyMiddleware');
+
+const request = () => ({
+  get: (header) => (header === 'idempotency-key' ? 'retry-1' : undefined),
+  auth: { id: 'key-1' },
+  method: 'POST',
+  originalUrl: '/api/transactions/transfer',
+  body: { fromTagId: 'TAG-1', toTagId: 'TAG-2', tokenAmount: '1' }
+});
+
+const fingerprint = crypto.createHash('sha256')
+  .update('POST /api/transactions/transfer {"fromTagId":"TAG-1","toTagId":"TAG-2","tokenAmount":"1"}')
+  .digest('hex');
+
+// Response that records what the middleware or the route sends
+const response = () => Object.assign(new EventEmitter(), {
+  statusCode: 200,
+  headers: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  json(value) {
+    this.body = value;
+    return this;
+  }
+});
+
+describe('idempotencyMiddleware', function () {
+  const restores = [];
+  let calls;
+
+  // Replace a service method with a fake that records its arguments
+  const fake = (name, implementation = async () => null) => {
+    const original = prismaService[name];
+    prismaService[name] = async (...args) => {
+      calls.push([name, ...args]);
+      return implementation(...args);
+    };
+    restores.push(() => { prismaService[name] = original; });
+  };
+
+  // Run the middleware; resolves with the response and whether the route was reached
+  const run = async () => {
+    const res = response();
+    let nextCalled = false;
+    await idempotency(request(), res, () => { nextCalled = true; });
+    return { res, nextCalled };
+  };
+
+  beforeEach(function () {
+    calls = [];
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('claims the key again if it was released between the failed claim and reading it', async function () {
+    const claimed = { id: 'record-1', lockedAt: new Date() };
+    let claims = 0;
+    fake('claimIdempotencyKey', async () => (++claims === 1 ? null : claimed));
+    fake('getIdempotencyKey');
+
+    const { nextCalled } = await run();
+
+    assert.strictEqual(nextCalled, true);
+    assert.deepStrictEqual(calls.map(([name]) => name), ['claimIdempotencyKey', 'getIdempotencyKey', 'claimIdempotencyKey']);
+  });
+
+  it('returns 409 while the request holding the key is recent', async function () {
+    fake('claimIdempotencyKey');
+    fake('getIdempotencyKey', async () => ({ id: 'record-1', fingerprint, status: 'IN_PROGRESS', lockedAt: new Date() }));
+    fake('reclaimIdempotencyKey');
+
+    const { res, nextCalled } = await run();
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 409);
+    assert.ok(!calls.some(([name]) => name === 'reclaimIdempotencyKey'));
+  });
+
+  it('reclaims a key whose request has held it past the lock timeout and stores the new response under it', async function () {
+    const stale = { id: 'record-1', fingerprint, status: 'IN_PROGRESS', lockedAt: new Date(Date.now() - 10 * 60 * 1000) };
+    const reclaimed = { ...stale, lockedAt: new Date() };
+    fake('claimIdempotencyKey');
+    fake('getIdempotencyKey', async () => stale);
+    fake('reclaimIdempotencyKey', async () => reclaimed);
+    fake('completeIdempotencyKey', async () => ({ count: 1 }));
+
+    const { res, nextCalled } = await run();
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(calls.find(([name]) => name === 'reclaimIdempotencyKey')[1], stale);
+
+    res.status(202).json({ success: true });
+    res.writableFinished = true;
+    res.emit('close');
+
+    assert.deepStrictEqual(calls[calls.length - 1], ['completeIdempotencyKey', reclaimed, 202, { success: true }]);
+  });
+
+  it('returns 409 if another retry reclaimed the stale key first', async function () {
+    fake('claimIdempotencyKey');
+    fake('getIdempotencyKey', async () => ({ id: 'record-1', fingerprint, status: 'IN_PROGRESS', lockedAt: new Date(0) }));
+    fake('reclaimIdempotencyKey');
+
+    const { res, nextCalled } = await run();
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 409);
+  });
+});
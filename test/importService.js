@@ -0,0 +1,61 @@
+const assert = require('assert');
+const prismaService = require('../src/services/prismaService');
+const importService = require('../src/services/importService');
+
+describe('importService.checkDuplicates', function () {
+  const restores = [];
+
+  // Replace a service method for one test
+  const fake = (name, implementation) => {
+    const original = prismaService[name];
+    prismaService[name] = implementation;
+    restores.push(() => { prismaService[name] = original; });
+  };
+
+  const rows = (containers) => containers.map((container, i) => ({ row: i + 1, container, errors: [], duplicates: [] }));
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('flags tag IDs and RFIDs of containers whose creation job has not been mined', async function () {
+    fake('getContainersByTagIds', async () => []);
+    fake('getContainersByRfids', async () => []);
+    fake('getPendingContainerCreations', async () => [
+      { tagId: 'TAG-1', rfid: 'RFID-1', jobId: 'job-1' },
+      { tagId: 'TAG-9', rfid: 'RFID-2', jobId: 'job-2' }
+    ]);
+
+    const imported = rows([
+      { tagId: 'TAG-1', rfid: 'RFID-X', grams: '10' },
+      { tagId: 'TAG-2', rfid: 'RFID-2', grams: '10' },
+      { tagId: 'TAG-3', rfid: 'RFID-3', grams: '10' }
+    ]);
+    await importService.checkDuplicates(imported);
+
+    assert.deepStrictEqual(imported.map((row) => row.duplicates), [
+      ['Container TAG-1 is already queued for creation (job job-1)'],
+      ['RFID RFID-2 is already queued for container TAG-9 (job job-2)'],
+      []
+    ]);
+  });
+
+  it('flags values repeated in the file and used by existing containers', async function () {
+    fake('getContainersByTagIds', async () => [{ tagId: 'TAG-2', rfid: 'RFID-9' }]);
+    fake('getContainersByRfids', async () => []);
+    fake('getPendingContainerCreations', async () => []);
+
+    const imported = rows([
+      { tagId: 'TAG-1', rfid: 'RFID-1', grams: '10' },
+      { tagId: 'TAG-1', rfid: 'RFID-2', grams: '10' },
+      { tagId: 'TAG-2', rfid: 'RFID-3', grams: '10' }
+    ]);
+    await importService.checkDuplicates(imported);
+
+    assert.deepStrictEqual(imported.map((row) => row.duplicates), [
+      ['Duplicate tagId TAG-1 in file (rows 1, 2)'],
+      ['Duplicate tagId TAG-1 in file (rows 1, 2)'],
+      ['Container TAG-2 already exists']
+    ]);
+  });
+});
@@ -0,0 +1,320 @@
+const assert = require('assert');
+const prismaService = require('../src/services/prismaService');
+const web3Service = require('../src/services/web3Service');
+const jobService = require('../src/services/jobService');
+
+const { JOB_TYPES } = jobService;
+
+describe('jobService', function () {
+  const restores = [];
+  let calls;
+
+  // Replace a property for one test
+  const stub = (object, name, value) => {
+    const original = object[name];
+    object[name] = value;
+    restores.push(() => { object[name] = original; });
+  };
+
+  // Replace a service method with a fake that records its arguments
+  const fake = (service, name, implementation = async () => null) => {
+    stub(service, name, async (...args) => {
+      calls.push([name, ...args]);
+      return implementation(...args);
+    });
+  };
+
+  beforeEach(function () {
+    calls = [];
+    // Contract calls are built as [method, args] so tests can compare them
+    stub(web3Service, 'buildContractCall', (method, args) => [method, args]);
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  describe('submitJob', function () {
+    const job = { id: 'job-1', type: JOB_TYPES.UPDATE_RFID, payload: JSON.stringify({ tagId: 'TAG-1', rfid: 'RFID-1' }), attempts: 0 };
+    const signed = { transactionHash: '0xabc', rawTransaction: '0xraw', nonce: 7, gas: 50000, fees: { gasPrice: 1n } };
+    let released;
+
+    beforeEach(function () {
+      released = [];
+      stub(web3Service, 'nonces', { release: (nonce) => released.push(nonce) });
+      fake(web3Service, 'signContractCall', async () => signed);
+      fake(web3Service, 'broadcastTransaction');
+      stub(console, 'error', () => {});
+    });
+
+    it('stores the signed transaction before broadcasting it', async function () {
+      fake(prismaService, 'updateJob');
+
+      await jobService.submitJob(job);
+
+      assert.deepStrictEqual(calls.map(([name]) => name), ['signContractCall', 'updateJob', 'broadcastTransaction']);
+      assert.strictEqual(calls[1][2].status, 'SUBMITTED');
+      assert.strictEqual(calls[1][2].nonce, 7);
+      assert.deepStrictEqual(released, []);
+    });
+
+    it('gives the nonce back without broadcasting if the signed transaction cannot be stored', async function () {
+      fake(prismaService, 'updateJob', async () => { throw new Error('database unavailable'); });
+
+      await assert.rejects(jobService.submitJob(job), /database unavailable/);
+
+      assert.deepStrictEqual(released, [7]);
+      assert.ok(!calls.some(([name]) => name === 'broadcastTransaction'));
+    });
+  });
+
+  describe('trackJob', function () {
+    const submitted = () => ({
+      id: 'job-1',
+      type: JOB_TYPES.UPDATE_RFID,
+      status: 'SUBMITTED',
+      payload: JSON.stringify({ tagId: 'TAG-1', rfid: 'RFID-1' }),
+      transactionHash: '0xabc',
+      rawTransaction: '0xraw',
+      nonce: 7,
+      blockNumber: null,
+      minedAt: null,
+      submittedAt: new Date(),
+      replacements: []
+    });
+    const mined = () => ({ ...submitted(), status: 'MINED', blockNumber: 10, minedAt: new Date() });
+    const receipt = (status = 1n) => ({ transactionHash: '0xabc', blockNumber: 10n, status, gasUsed: 21000n, logs: [] });
+
+    // Chain as seen by the job: its receipt, the current block and whether the node still has the transaction
+    const chain = ({ found = null, currentBlock = 10, pending = true } = {}) => {
+      fake(web3Service, 'getTransactionReceipt', async () => found);
+      fake(web3Service, 'getBlockNumber', async () => currentBlock);
+      fake(web3Service, 'hasTransaction', async () => pending);
+    };
+
+    const updates = () => calls.filter(([name]) => name === 'updateJob').map(([, , data]) => data);
+
+    beforeEach(function () {
+      fake(prismaService, 'updateJob');
+      stub(jobService.handlers, JOB_TYPES.UPDATE_RFID, {
+        call: (payload) => ['updateRfid', [payload.tagId, payload.rfid]],
+        apply: async (payload, receiptToApply, job) => {
+          calls.push(['apply', payload, job.id]);
+          return { tagId: payload.tagId };
+        }
+      });
+      stub(jobService, 'confirmations', 3);
+    });
+
+    it('applies a submitted job once mined and waits for confirmations', async function () {
+      chain({ found: receipt(), currentBlock: 11 });
+
+      await jobService.trackJob(submitted());
+
+      assert.deepStrictEqual(calls.find(([name]) => name === 'apply'), ['apply', { tagId: 'TAG-1', rfid: 'RFID-1' }, 'job-1']);
+      const [data] = updates();
+      assert.strictEqual(data.status, 'MINED');
+      assert.strictEqual(data.blockNumber, 10);
+      assert.strictEqual(data.result, JSON.stringify({ tagId: 'TAG-1' }));
+    });
+
+    it('confirms a mined job without applying it again once its block has enough confirmations', async function () {
+      chain({ found: receipt(), currentBlock: 12 });
+
+      await jobService.trackJob(mined());
+
+      assert.ok(!calls.some(([name]) => name === 'apply'));
+      assert.deepStrictEqual(updates().map(({ status }) => status), ['CONFIRMED']);
+    });
+
+    it('fails a job whose transaction reverted, with the reason from replaying the call', async function () {
+      chain({ found: receipt(0n) });
+      fake(web3Service, 'getFailedCallReason', async () => 'Container not found');
+
+      await jobService.trackJob(submitted());
+
+      assert.ok(!calls.some(([name]) => name === 'apply'));
+      const [data] = updates();
+      assert.strictEqual(data.status, 'FAILED');
+      assert.strictEqual(data.error, 'Container not found');
+      assert.deepStrictEqual(calls.find(([name]) => name === 'getFailedCallReason')[1], ['updateRfid', ['TAG-1', 'RFID-1']]);
+    });
+
+    it('returns a mined job to submitted when its receipt disappears in a reorg', async function () {
+      chain();
+
+      await jobService.trackJob(mined());
+
+      assert.deepStrictEqual(updates(), [{ status: 'SUBMITTED', blockNumber: null, minedAt: null }]);
+    });
+
+    it('rebroadcasts a transaction the node has dropped', async function () {
+      chain({ pending: false });
+      fake(web3Service, 'broadcastTransaction');
+
+      await jobService.trackJob(submitted());
+
+      assert.deepStrictEqual(calls.find(([name]) => name === 'broadcastTransaction'), ['broadcastTransaction', '0xraw']);
+      assert.deepStrictEqual(updates(), []);
+    });
+
+    it('queues a dropped job again when its nonce has been used by another transaction', async function () {
+      chain({ pending: false });
+      fake(web3Service, 'broadcastTransaction', async () => { throw new Error('nonce too low'); });
+
+      await jobService.trackJob(submitted());
+
+      const [data] = updates();
+      assert.strictEqual(data.status, 'QUEUED');
+      assert.strictEqual(data.nonce, null);
+      assert.strictEqual(data.transactionHash, null);
+    });
+  });
+
+  describe('stuck transactions', function () {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+    const stuck = (replacements = []) => ({
+      id: 'job-1',
+      type: JOB_TYPES.UPDATE_RFID,
+      status: 'SUBMITTED',
+      payload: JSON.stringify({ tagId: 'TAG-1', rfid: 'RFID-1' }),
+      transactionHash: '0xabc',
+      nonce: 7,
+      gasLimit: 50000,
+      gasPrice: '100',
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      submittedAt: minutesAgo(10),
+      replacements
+    });
+    const replacement = (action, minutes = 10) => ({ action, transactionHash: `0x${action}`, previousHash: '0xabc', createdAt: minutesAgo(minutes) });
+
+    beforeEach(function () {
+      stub(jobService, 'stuckTimeout', 3 * 60 * 1000);
+      stub(jobService, 'stuckAction', 'speedup');
+      stub(jobService, 'maxSpeedUps', 2);
+      fake(web3Service, 'getReplacementFees', async () => ({ gasPrice: 115n }));
+      fake(web3Service, 'signContractCall', async (tx, options) => ({ transactionHash: '0xspeedup', rawTransaction: '0xraw-speedup', gas: options.gas }));
+      fake(web3Service, 'signCancellation', async () => ({ transactionHash: '0xcancel', rawTransaction: '0xraw-cancel', gas: 21000 }));
+      fake(web3Service, 'broadcastTransaction');
+      fake(prismaService, 'recordJobReplacement');
+      stub(console, 'log', () => {});
+    });
+
+    it('counts a job as stuck from when it, or its latest replacement, was sent', function () {
+      assert.strictEqual(jobService.isStuck(stuck()), true);
+      assert.strictEqual(jobService.isStuck({ ...stuck(), submittedAt: minutesAgo(1) }), false);
+      assert.strictEqual(jobService.isStuck(stuck([replacement('SPEED_UP', 1)])), false);
+    });
+
+    it('speeds a stuck job up by re-signing its call at the same nonce with raised fees', async function () {
+      await jobService.replaceJob(stuck());
+
+      assert.deepStrictEqual(calls.find(([name]) => name === 'getReplacementFees').slice(1), [{ gasPrice: 100n }, jobService.feeBumpPercent]);
+      assert.deepStrictEqual(calls.find(([name]) => name === 'signContractCall').slice(1), [
+        ['setContainerRfid', ['TAG-1', 'RFID-1']],
+        { nonce: 7, gas: 50000, fees: { gasPrice: 115n } }
+      ]);
+      const [, job, action, data] = calls.find(([name]) => name === 'recordJobReplacement');
+      assert.deepStrictEqual([job.id, action, data.transactionHash, data.nonce, data.gasPrice], ['job-1', 'SPEED_UP', '0xspeedup', 7, '115']);
+      assert.deepStrictEqual(calls.map(([name]) => name).slice(-2), ['recordJobReplacement', 'broadcastTransaction']);
+    });
+
+    it('cancels a job once it has been sped up TX_MAX_SPEEDUPS times', async function () {
+      await jobService.replaceJob(stuck([replacement('SPEED_UP'), replacement('SPEED_UP')]));
+
+      assert.deepStrictEqual(calls.find(([name]) => name === 'signCancellation').slice(1), [7, { gasPrice: 115n }]);
+      assert.strictEqual(calls.find(([name]) => name === 'recordJobReplacement')[2], 'CANCEL');
+      assert.ok(!calls.some(([name]) => name === 'signContractCall'));
+    });
+
+    it('leaves a stuck job alone when the fee cap leaves no room to replace it', async function () {
+      fake(web3Service, 'getReplacementFees', async () => null);
+      stub(console, 'warn', () => {});
+
+      await jobService.replaceJob(stuck());
+
+      assert.deepStrictEqual(calls.map(([name]) => name), ['getReplacementFees']);
+    });
+
+    it('fails a job whose cancellation was mined', async function () {
+      fake(web3Service, 'getTransactionReceipt', async (hash) => (
+        hash === '0xCANCEL' ? { transactionHash: '0xCANCEL', blockNumber: 10n, status: 1n, gasUsed: 21000n, logs: [] } : null
+      ));
+      fake(prismaService, 'updateJob');
+
+      await jobService.trackJob({ ...stuck([replacement('CANCEL')]), transactionHash: '0xCANCEL' });
+
+      const [, , data] = calls.find(([name]) => name === 'updateJob');
+      assert.deepStrictEqual([data.status, data.error], ['FAILED', 'Transaction was cancelled after being stuck']);
+    });
+  });
+
+  describe('ASSIGN_TO_GROUP', function () {
+    const { call, apply } = jobService.handlers[JOB_TYPES.ASSIGN_TO_GROUP];
+    const chainHash = `0x${'ab'.repeat(32)}`;
+
+    it('assigns one container with assignContainerToGroup and several with assignContainersToGroup', function () {
+      assert.deepStrictEqual(call({ tagIds: ['TAG-1'], chainHash }), ['assignContainerToGroup', ['TAG-1', chainHash]]);
+      assert.deepStrictEqual(
+        call({ tagIds: ['TAG-1', 'TAG-2'], chainHash }),
+        ['assignContainersToGroup', [['TAG-1', 'TAG-2'], chainHash]]
+      );
+    });
+
+    it('moves each container to the group once mined, with the log that assigned it', async function () {
+      const logs = ['TAG-1', 'TAG-2'].map((tagId, logIndex) => ({
+        transactionHash: '0xabc',
+        logIndex,
+        topics: [web3Service.eventTopics.ContainerAssignedToGroup, web3Service.hashIndexedString(tagId)]
+      }));
+      stub(web3Service, 'getReceiptLogs', () => logs);
+      fake(prismaService, 'getContainerByTagId', async (tagId) => ({ tagId, groupHash: 'old-group' }));
+      fake(prismaService, 'applyLogOnce', async (log, eventName, applyLog, payload) => ({ tagId: payload.tagId, logIndex: log.logIndex }));
+
+      const result = await apply({ tagIds: ['TAG-2', 'TAG-1'], groupHash: 'group-1', chainHash }, { transactionHash: '0xabc' });
+
+      assert.deepStrictEqual(result.containers, [{ tagId: 'TAG-2', logIndex: 1 }, { tagId: 'TAG-1', logIndex: 0 }]);
+      const applied = calls.filter(([name]) => name === 'applyLogOnce');
+      assert.deepStrictEqual(applied.map(([, , eventName, , payload]) => [eventName, payload]), [
+        ['ContainerAssignedToGroup', { tagId: 'TAG-2', previousGroupHash: 'old-group' }],
+        ['ContainerAssignedToGroup', { tagId: 'TAG-1', previousGroupHash: 'old-group' }]
+      ]);
+    });
+  });
+
+  describe('role changes', function () {
+    const account = '0x1111111111111111111111111111111111111111';
+
+    it('grants, revokes and renounces the role for the service account', function () {
+      stub(web3Service, 'senderAddress', '0x2222222222222222222222222222222222222222');
+      const roleHash = web3Service.roleHashes.MINTER_ROLE;
+
+      assert.deepStrictEqual(jobService.handlers[JOB_TYPES.GRANT_ROLE].call({ role: 'MINTER_ROLE', account }), ['grantRole', [roleHash, account]]);
+      assert.deepStrictEqual(jobService.handlers[JOB_TYPES.REVOKE_ROLE].call({ role: 'MINTER_ROLE', account }), ['revokeRole', [roleHash, account]]);
+      assert.deepStrictEqual(
+        jobService.handlers[JOB_TYPES.RENOUNCE_ROLE].call({ role: 'MINTER_ROLE' }),
+        ['renounceRole', [roleHash, '0x2222222222222222222222222222222222222222']]
+      );
+    });
+
+    it('records the role change for the API key that queued the job', async function () {
+      stub(web3Service, 'getReceiptLogs', (receipt, eventName) => (eventName === 'RoleGranted' ? [{ logIndex: 0 }] : []));
+      stub(web3Service, 'decodeRoleLog', (log) => ({ role: 'MINTER_ROLE', account, granted: true, log }));
+      fake(prismaService, 'applyRoleChange', async (roleLog, requestedBy) => ({ role: roleLog.role, requestedBy }));
+
+      const result = await jobService.applyRoleChanges({ role: 'MINTER_ROLE', account }, {}, { requestedBy: 'ops' });
+
+      assert.deepStrictEqual(result, { changed: true, change: { role: 'MINTER_ROLE', requestedBy: 'ops' } });
+    });
+
+    it('reports no change when the account already had the role', async function () {
+      stub(web3Service, 'getReceiptLogs', () => []);
+
+      assert.deepStrictEqual(await jobService.applyRoleChanges({ role: 'MINTER_ROLE', account }, {}, { requestedBy: 'ops' }), {
+        changed: false,
+        change: null
+      });
+    });
+  });
+});
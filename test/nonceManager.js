@@ -0,0 +1,99 @@
+const assert = require('assert');
+const NonceManager = require('../src/services/nonceManager');
+
+describe('NonceManager', function () {
+  const address = '0x1111111111111111111111111111111111111111';
+  let counts;
+  let sent;
+
+  // Node with the given mined ('latest') and mempool ('pending') transaction counts
+  const web3 = () => ({
+    eth: {
+      getTransactionCount: async (account, blockTag) => BigInt(counts[blockTag]),
+      getGasPrice: async () => 1n,
+      accounts: {
+        signTransaction: async (tx) => ({ rawTransaction: `raw-${tx.nonce}` })
+      }
+    },
+    requestManager: {
+      send: async ({ params }) => { sent.push(params[0]); }
+    }
+  });
+
+  beforeEach(function () {
+    counts = { latest: 5, pending: 5 };
+    sent = [];
+  });
+
+  it('hands out nonces in order from the node\'s pending count, also to concurrent callers', async function () {
+    const nonces = new NonceManager(web3(), address, 'key');
+
+    assert.deepStrictEqual(await Promise.all([nonces.acquire(), nonces.acquire(), nonces.acquire()]), [5, 6, 7]);
+  });
+
+  it('reuses the lowest released nonce before taking a new one', async function () {
+    const nonces = new NonceManager(web3(), address, 'key');
+    await Promise.all([nonces.acquire(), nonces.acquire(), nonces.acquire()]);
+
+    nonces.release(7);
+    nonces.release(6);
+
+    assert.deepStrictEqual([await nonces.acquire(), await nonces.acquire(), await nonces.acquire()], [6, 7, 8]);
+  });
+
+  it('skips a released nonce that has since been mined', async function () {
+    const nonces = new NonceManager(web3(), address, 'key');
+    await Promise.all([nonces.acquire(), nonces.acquire()]);
+    nonces.release(5);
+    counts = { latest: 6, pending: 6 };
+
+    assert.strictEqual(await nonces.acquire(), 7);
+  });
+
+  it('reconciles with the node again after a reset', async function () {
+    const nonces = new NonceManager(web3(), address, 'key');
+    await nonces.acquire();
+    nonces.release(5);
+    counts = { latest: 9, pending: 9 };
+
+    await nonces.reset();
+
+    assert.strictEqual(await nonces.acquire(), 9);
+  });
+
+  it('treats nonces between the pending count and the highest one in flight as gaps', async function () {
+    const nonces = new NonceManager(web3(), address, 'key');
+
+    await nonces.sync([5, 7, 9]);
+
+    assert.deepStrictEqual([...nonces.released].sort((a, b) => a - b), [6, 8]);
+    assert.deepStrictEqual([await nonces.acquire(), await nonces.acquire(), await nonces.acquire()], [6, 8, 10]);
+  });
+
+  it('fills released nonces that nothing reused with empty transactions', async function () {
+    const nonces = new NonceManager(web3(), address, 'key');
+    await nonces.sync([5, 7]);
+    nonces.release(4);
+
+    assert.deepStrictEqual(await nonces.fillGaps(), [6]);
+    assert.deepStrictEqual(sent, ['raw-6']);
+    assert.strictEqual(nonces.released.size, 0);
+  });
+
+  it('keeps a gap to fill again if sending its filler failed', async function () {
+    const node = web3();
+    node.requestManager.send = async () => { throw new Error('connection refused'); };
+    const nonces = new NonceManager(node, address, 'key');
+    await nonces.sync([6]);
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      assert.deepStrictEqual(await nonces.fillGaps(), []);
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.deepStrictEqual([...nonces.released], [5]);
+  });
+});
@@ -0,0 +1,375 @@
+const assert = require('assert');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../src/services/db');
+const prismaService = require('../src/services/prismaService');
+
+/**
+ * Transaction client that records every model call and answers with the given results
+ * @param {Object} results - Result of each call by "model.method"; findMany defaults to []
+ * @returns {Object} - { tx, calls } with calls as { call, args } in order
+ */
+function fakeTransaction(results = {}) {
+  const calls = [];
+  const tx = new Proxy({}, {
+    get: (target, model) => new Proxy({}, {
+      get: (modelTarget, method) => async (args) => {
+        const call = `${model}.${method}`;
+        calls.push({ call, args });
+        return call in results ? results[call] : (method === 'findMany' ? [] : null);
+      }
+    })
+  });
+  return { tx, calls };
+}
+
+const processedLog = (eventName, payload) => ({
+  id: 'log-1',
+  eventName,
+  transactionHash: '0xabc',
+  logIndex: 3,
+  blockHash: '0xblock',
+  payload: payload && JSON.stringify(payload)
+});
+
+describe('prismaService.revertProcessedLog', function () {
+  let transaction;
+  let calls;
+  let originalTransaction;
+
+  const revert = async (log, results) => {
+    ({ tx: transaction, calls } = fakeTransaction(results));
+    await prismaService.revertProcessedLog(log);
+    return calls.map(({ call }) => call);
+  };
+
+  beforeEach(function () {
+    originalTransaction = prisma.$transaction;
+    prisma.$transaction = (fn) => fn(transaction);
+  });
+
+  afterEach(function () {
+    prisma.$transaction = originalTransaction;
+  });
+
+  it('deletes the container a ContainerCreated log created', async function () {
+    const steps = await revert(processedLog('ContainerCreated', { tagId: 'TAG-1' }));
+
+    assert.deepStrictEqual(steps, ['container.deleteMany', 'webhookDelivery.deleteMany', 'webhookDelivery.findMany', 'processedLog.delete']);
+    assert.deepStrictEqual(calls[0].args, { where: { tagId: 'TAG-1' } });
+    assert.deepStrictEqual(calls[3].args, { where: { id: 'log-1' } });
+  });
+
+  it('leaves the container of a ContainerCreated log that created nothing', async function () {
+    const steps = await revert(processedLog('ContainerCreated', null));
+
+    assert.deepStrictEqual(steps, ['webhookDelivery.deleteMany', 'webhookDelivery.findMany', 'processedLog.delete']);
+  });
+
+  it('restores the previous RFID of a ContainerRfidUpdated log', async function () {
+    const steps = await revert(processedLog('ContainerRfidUpdated', { tagId: 'TAG-1', previousRfid: 'RFID-1' }));
+
+    assert.deepStrictEqual(steps.slice(0, 2), ['rfidChange.deleteMany', 'container.updateMany']);
+    assert.deepStrictEqual(calls[0].args, { where: { transactionHash: '0xabc', logIndex: 3 } });
+    assert.deepStrictEqual(calls[1].args, { where: { tagId: 'TAG-1' }, data: { rfid: 'RFID-1' } });
+  });
+
+  it('drops unattempted deliveries and sends event.reverted to endpoints that may have the event', async function () {
+    const payload = JSON.stringify({ id: '0xabc:3', type: 'container.created', blockHash: '0xblock', data: { tagId: 'TAG-1' } });
+    const steps = await revert(processedLog('ContainerCreated', { tagId: 'TAG-1' }), {
+      'webhookDelivery.findMany': [
+        { id: 'delivery-1', subscriptionId: 'sub-1', status: 'PENDING', attempts: 2, payload },
+        { id: 'delivery-2', subscriptionId: 'sub-2', status: 'DELIVERED', attempts: 1, payload }
+      ]
+    });
+
+    const where = { eventId: '0xabc:3', blockHash: '0xblock' };
+    assert.deepStrictEqual(calls.find(({ call }) => call === 'webhookDelivery.deleteMany').args, {
+      where: { ...where, status: 'PENDING', attempts: 0 }
+    });
+    assert.deepStrictEqual(calls.find(({ call }) => call === 'webhookDelivery.findMany').args, { where });
+
+    // The attempted pending delivery is not retried
+    const updates = calls.filter(({ call }) => call === 'webhookDelivery.update');
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].args.where.id, 'delivery-1');
+    assert.strictEqual(updates[0].args.data.status, 'FAILED');
+
+    const created = calls.filter(({ call }) => call === 'webhookDelivery.create').map(({ args }) => args.data);
+    assert.deepStrictEqual(created.map((data) => data.subscriptionId), ['sub-1', 'sub-2']);
+    for (const data of created) {
+      assert.strictEqual(data.eventId, '0xabc:3:reverted');
+      assert.strictEqual(data.eventType, 'event.reverted');
+      assert.deepStrictEqual(JSON.parse(data.payload), {
+        id: '0xabc:3:reverted',
+        type: 'event.reverted',
+        blockHash: '0xblock',
+        data: { id: '0xabc:3', type: 'container.created' }
+      });
+    }
+    assert.strictEqual(steps[steps.length - 1], 'processedLog.delete');
+  });
+});
+
+describe('prismaService redemption reservations', function () {
+  let transaction;
+  let calls;
+  let options;
+  let originalTransaction;
+
+  const run = (results) => {
+    ({ tx: transaction, calls } = fakeTransaction(results));
+  };
+
+  beforeEach(function () {
+    originalTransaction = prisma.$transaction;
+    prisma.$transaction = (fn, transactionOptions) => {
+      options = transactionOptions;
+      return fn(transaction);
+    };
+  });
+
+  afterEach(function () {
+    prisma.$transaction = originalTransaction;
+  });
+
+  const redemption = { id: 'redemption-1', tagId: 'TAG-1', tokens: '2', status: 'REQUESTED', jobId: null };
+
+  it('creates a redemption if the tokens not set aside cover it, in a serializable transaction', async function () {
+    run({
+      'container.findUnique': { tagId: 'TAG-1', tokens: new Prisma.Decimal(10) },
+      'redemption.aggregate': { _sum: { tokens: new Prisma.Decimal(8) } },
+      'redemption.create': { id: 'redemption-1' }
+    });
+
+    const result = await prismaService.reserveRedemption({ id: 'redemption-1', tagId: 'TAG-1', tokens: '2' });
+
+    assert.strictEqual(options.isolationLevel, 'Serializable');
+    assert.deepStrictEqual(result.redemption, { id: 'redemption-1' });
+    assert.deepStrictEqual(calls.find(({ call }) => call === 'redemption.aggregate').args.where, {
+      tagId: 'TAG-1',
+      status: { in: ['REQUESTED', 'APPROVED'] }
+    });
+  });
+
+  it('creates nothing if other redemptions set the tokens aside', async function () {
+    run({
+      'container.findUnique': { tagId: 'TAG-1', tokens: new Prisma.Decimal(10) },
+      'redemption.aggregate': { _sum: { tokens: new Prisma.Decimal(9) } }
+    });
+
+    const result = await prismaService.reserveRedemption({ id: 'redemption-1', tagId: 'TAG-1', tokens: '2' });
+
+    assert.strictEqual(result.redemption, null);
+    assert.strictEqual(result.available.toString(), '1');
+    assert.ok(!calls.some(({ call }) => call === 'redemption.create'));
+  });
+
+  it('approves a redemption only if the container holds its tokens on top of the other approved ones', async function () {
+    run({
+      'redemption.findUnique': redemption,
+      'container.findUnique': { tagId: 'TAG-1', tokens: new Prisma.Decimal(5) },
+      'redemption.aggregate': { _sum: { tokens: new Prisma.Decimal(4) } }
+    });
+
+    assert.deepStrictEqual(await prismaService.approveRedemption(redemption, 'admin'), { redemption: null, reason: 'INSUFFICIENT_TOKENS' });
+    assert.strictEqual(options.isolationLevel, 'Serializable');
+    assert.deepStrictEqual(calls.find(({ call }) => call === 'redemption.aggregate').args.where, {
+      tagId: 'TAG-1',
+      status: { in: ['APPROVED'] },
+      id: { not: 'redemption-1' }
+    });
+
+    run({
+      'redemption.findUnique': redemption,
+      'container.findUnique': { tagId: 'TAG-1', tokens: new Prisma.Decimal(6) },
+      'redemption.aggregate': { _sum: { tokens: new Prisma.Decimal(4) } },
+      'redemption.update': { ...redemption, status: 'APPROVED' }
+    });
+
+    const result = await prismaService.approveRedemption(redemption, 'admin');
+    assert.strictEqual(result.redemption.status, 'APPROVED');
+    assert.strictEqual(calls.find(({ call }) => call === 'redemption.update').args.data.reviewedBy, 'admin');
+  });
+
+  it('does not approve a redemption that was reviewed meanwhile', async function () {
+    run({ 'redemption.findUnique': { ...redemption, status: 'APPROVED', jobId: 'job-1' } });
+
+    assert.deepStrictEqual(await prismaService.approveRedemption(redemption, 'admin'), { redemption: null, reason: 'CHANGED' });
+    assert.ok(!calls.some(({ call }) => call === 'redemption.update'));
+  });
+});
+
+describe('prismaService.listContainers', function () {
+  let originalContainer;
+  let queries;
+
+  // Containers created in pairs, so ordering by createdAt relies on id to break ties
+  const containers = ['c1', 'c2', 'c3', 'c4', 'c5'].map((id, index) => ({
+    id,
+    tagId: `TAG-${index + 1}`,
+    createdAt: new Date(Math.floor(index / 2) * 1000)
+  }));
+
+  // Answers findMany from the containers above the way the database would: ordered, from the cursor row
+  const findMany = async (args) => {
+    queries.push(args);
+    const [[sortBy, order]] = Object.entries(args.orderBy[0]);
+    const direction = order === 'asc' ? 1 : -1;
+    const sorted = [...containers].sort((a, b) => (
+      direction * ((a[sortBy] - b[sortBy]) || a.id.localeCompare(b.id))
+    ));
+    const start = args.cursor ? sorted.findIndex((container) => container.id === args.cursor.id) + (args.skip || 0) : 0;
+    return sorted.slice(start, start + args.take);
+  };
+
+  beforeEach(function () {
+    queries = [];
+    originalContainer = prisma.container;
+    prisma.container = { findMany };
+  });
+
+  afterEach(function () {
+    prisma.container = originalContainer;
+  });
+
+  it('walks every container exactly once by following nextCursor', async function () {
+    const pages = [];
+    let cursor;
+
+    do {
+      const { containers: page, pagination } = await prismaService.listContainers({}, { sortBy: 'createdAt', order: 'asc', limit: 2, cursor });
+      pages.push(page.map(({ id }) => id));
+      assert.strictEqual(pagination.hasMore, pagination.nextCursor !== null);
+      cursor = pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepStrictEqual(pages, [['c1', 'c2'], ['c3', 'c4'], ['c5']]);
+    assert.deepStrictEqual(queries[1].orderBy, [{ createdAt: 'asc' }, { id: 'asc' }]);
+    assert.deepStrictEqual([queries[1].cursor, queries[1].skip, queries[1].take], [{ id: 'c2' }, 1, 3]);
+  });
+
+  it('ends without a cursor when the last page is exactly full', async function () {
+    const result = await prismaService.listContainers({}, { limit: 5 });
+
+    assert.deepStrictEqual(result.containers.map(({ id }) => id), ['c5', 'c4', 'c3', 'c2', 'c1']);
+    assert.deepStrictEqual(result.pagination, { limit: 5, nextCursor: null, hasMore: false });
+  });
+
+  it('combines the filters into one condition each', async function () {
+    await prismaService.listContainers({ rfidPrefix: 'AU-', noRfid: false, groupHash: 'group-1', minGrams: '100' });
+
+    assert.deepStrictEqual(queries[0].where, {
+      AND: [
+        { rfid: { startsWith: 'AU-' } },
+        { groupHash: 'group-1' },
+        { grams: { gte: '100', lte: undefined } }
+      ]
+    });
+  });
+});
+
+describe('prismaService.applyLogOnce', function () {
+  const restores = [];
+  let processedLogs;
+  let committed;
+
+  // Replace a property for one test
+  const stub = (object, name, value) => {
+    const original = object[name];
+    object[name] = value;
+    restores.push(() => { object[name] = original; });
+  };
+
+  const key = ({ transactionHash_logIndex: { transactionHash, logIndex } }) => `${transactionHash}:${logIndex}`;
+
+  const log = { transactionHash: '0xabc', logIndex: 2n, blockNumber: 5n, blockHash: '0xblock' };
+
+  // Changes made through the transaction client, kept only if the transaction succeeds
+  const change = (tx, description) => {
+    tx.changes.push(description);
+    return description;
+  };
+
+  beforeEach(function () {
+    processedLogs = new Map();
+    committed = [];
+
+    stub(prisma, 'processedLog', {
+      findUnique: async ({ where }) => processedLogs.get(key(where)) || null
+    });
+    // Each transaction sees the processed logs committed so far; the unique index rejects a second insert
+    stub(prisma, '$transaction', async (fn) => {
+      const pending = new Map();
+      const tx = {
+        changes: [],
+        processedLog: {
+          create: async ({ data }) => {
+            // Let the other transaction interleave, as it would on the database
+            await new Promise((resolve) => setImmediate(resolve));
+            const id = `${data.transactionHash}:${data.logIndex}`;
+            if (processedLogs.has(id)) {
+              throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+            }
+            pending.set(id, { ...data });
+          },
+          update: async ({ where, data }) => Object.assign(pending.get(key(where)), data)
+        }
+      };
+      const result = await fn(tx);
+      pending.forEach((row, id) => processedLogs.set(id, row));
+      committed.push(...tx.changes);
+      return result;
+    });
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('applies a log and records it with its revert payload in the same transaction', async function () {
+    const result = await prismaService.applyLogOnce(log, 'TokensTransferred', (tx) => change(tx, 'transfer'), { fromTagId: 'TAG-1' });
+
+    assert.strictEqual(result, 'transfer');
+    assert.deepStrictEqual(committed, ['transfer']);
+    assert.deepStrictEqual(processedLogs.get('0xabc:2'), {
+      transactionHash: '0xabc',
+      logIndex: 2,
+      blockNumber: 5,
+      blockHash: '0xblock',
+      eventName: 'TokensTransferred',
+      payload: JSON.stringify({ fromTagId: 'TAG-1' })
+    });
+  });
+
+  it('does nothing for a log that was already applied', async function () {
+    await prismaService.applyLogOnce(log, 'TokensTransferred', (tx) => change(tx, 'transfer'));
+
+    assert.strictEqual(await prismaService.applyLogOnce(log, 'TokensTransferred', (tx) => change(tx, 'again')), null);
+    assert.deepStrictEqual(committed, ['transfer']);
+  });
+
+  it('applies a log once when the API and the event listener race to apply it', async function () {
+    const results = await Promise.all([
+      prismaService.applyLogOnce(log, 'TokensTransferred', (tx) => change(tx, 'from the API')),
+      prismaService.applyLogOnce(log, 'TokensTransferred', (tx) => change(tx, 'from the event listener'))
+    ]);
+
+    assert.deepStrictEqual(results, ['from the API', null]);
+    assert.deepStrictEqual(committed, ['from the API']);
+  });
+
+  it('stores a revert payload built from what apply changed', async function () {
+    await prismaService.applyLogOnce(log, 'ContainerCreated', () => ({ created: true }), (result) => ({ tagId: 'TAG-1', ...result }));
+
+    assert.strictEqual(processedLogs.get('0xabc:2').payload, JSON.stringify({ tagId: 'TAG-1', created: true }));
+  });
+
+  it('rethrows a failure of apply and records nothing', async function () {
+    await assert.rejects(
+      prismaService.applyLogOnce(log, 'TokensTransferred', async () => { throw new Error('Container not found'); }),
+      /Container not found/
+    );
+
+    assert.strictEqual(processedLogs.size, 0);
+  });
+});
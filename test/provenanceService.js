@@ -0,0 +1,74 @@
+const assert = require('assert');
+const prismaService = require('../src/services/prismaService');
+const provenanceService = require('../src/services/provenanceService');
+
+describe('provenanceService.getProvenance', function () {
+  const restores = [];
+
+  // Replace a service method for one test
+  const fake = (name, implementation) => {
+    const original = prismaService[name];
+    prismaService[name] = implementation;
+    restores.push(() => { prismaService[name] = original; });
+  };
+
+  // Ledger of containers and transfers the fakes answer from
+  const ledger = (containers, transactions) => {
+    const sum = (rows, key) => rows.reduce((map, row) => map.set(row[key], (map.get(row[key]) || 0) + row.grams), new Map());
+    fake('getIncomingTransactions', async (tagIds) => transactions.filter((transaction) => tagIds.includes(transaction.toTagId)));
+    fake('getContainersByTagIds', async (tagIds) => containers.filter((container) => tagIds.includes(container.tagId)));
+    fake('getGramFlows', async () => ({ incoming: sum(transactions, 'toTagId'), outgoing: sum(transactions, 'fromTagId'), redeemed: new Map() }));
+    fake('getGroupsByHashes', async () => []);
+  };
+
+  const transfer = (fromTagId, toTagId, grams, blockNumber) => ({
+    transactionHash: `0x${blockNumber}`,
+    logIndex: 0,
+    fromTagId,
+    toTagId,
+    grams,
+    blockNumber,
+    timestamp: new Date(blockNumber * 1000)
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('splits a container\'s gold between what was minted into it and what it received', async function () {
+    const containers = [
+      { tagId: 'TAG-1', rfid: 'RFID-1', groupHash: null, grams: '10' },
+      { tagId: 'TAG-2', rfid: 'RFID-2', groupHash: null, grams: '6' }
+    ];
+    ledger(containers, [transfer('TAG-2', 'TAG-1', 4, 1)]);
+
+    const result = await provenanceService.getProvenance(containers[0]);
+
+    assert.deepStrictEqual(result.origins.map(({ tagId, grams, share }) => ({ tagId, grams, share })), [
+      { tagId: 'TAG-1', grams: '6', share: 0.6 },
+      { tagId: 'TAG-2', grams: '4', share: 0.4 }
+    ]);
+    assert.strictEqual(result.truncated, false);
+  });
+
+  it('counts a sender missing from the database as an unknown, truncated origin without walking past it', async function () {
+    const containers = [
+      { tagId: 'TAG-0', rfid: 'RFID-0', groupHash: null, grams: '0' },
+      { tagId: 'TAG-1', rfid: 'RFID-1', groupHash: null, grams: '10' }
+    ];
+    ledger(containers, [transfer('TAG-0', 'GHOST', 5, 1), transfer('GHOST', 'TAG-1', 4, 2)]);
+
+    const result = await provenanceService.getProvenance(containers[1]);
+
+    assert.deepStrictEqual(result.origins.map(({ tagId, rfid, grams, truncated, unknown }) => ({ tagId, rfid, grams, truncated, unknown })), [
+      { tagId: 'TAG-1', rfid: 'RFID-1', grams: '6', truncated: false, unknown: false },
+      { tagId: 'GHOST', rfid: null, grams: '4', truncated: true, unknown: true }
+    ]);
+    assert.deepStrictEqual(result.nodes.map(({ tagId, mintedGrams, unknown }) => ({ tagId, mintedGrams, unknown })), [
+      { tagId: 'TAG-1', mintedGrams: '6', unknown: false },
+      { tagId: 'GHOST', mintedGrams: null, unknown: true }
+    ]);
+    assert.deepStrictEqual(result.edges.map(({ fromTagId, toTagId }) => [fromTagId, toTagId]), [['GHOST', 'TAG-1']]);
+    assert.strictEqual(result.truncated, true);
+  });
+});
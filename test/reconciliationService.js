@@ -0,0 +1,120 @@
+const assert = require('assert');
+const prisma = require('../src/services/db');
+const prismaService = require('../src/services/prismaService');
+const web3Service = require('../src/services/web3Service');
+const eventListenerService = require('../src/services/eventListenerService');
+const reconciliationService = require('../src/services/reconciliationService');
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`;
+
+const chainContainer = (tagId, grams) => ({
+  tagId,
+  rfid: '',
+  grams: String(grams),
+  tokens: String(grams / 10),
+  blockNumber: 1,
+  groupHash: ZERO_HASH,
+  holder: null
+});
+
+describe('reconciliationService', function () {
+  const restores = [];
+  let calls;
+  let chain;
+
+  // Replace a property for one test
+  const stub = (object, name, value) => {
+    const original = object[name];
+    object[name] = value;
+    restores.push(() => { object[name] = original; });
+  };
+
+  // Replace a service method with a fake that records its arguments
+  const fake = (service, name, implementation = async () => null) => {
+    stub(service, name, async (...args) => {
+      calls.push([name, ...args]);
+      return implementation(...args);
+    });
+  };
+
+  beforeEach(function () {
+    calls = [];
+    // Containers on-chain, and the logs that created them
+    chain = {
+      containers: { 'TAG-1': chainContainer('TAG-1', 100), 'TAG-2': chainContainer('TAG-2', 20) },
+      logs: [
+        { topics: [web3Service.eventTopics.ContainerCreated, web3Service.hashIndexedString('TAG-1'), ZERO_HASH] },
+        { topics: [web3Service.eventTopics.TokensTransferred, web3Service.hashIndexedString('TAG-1'), web3Service.hashIndexedString('TAG-2')] }
+      ]
+    };
+
+    stub(prisma, 'container', {
+      findMany: async ({ where } = {}) => [{ tagId: 'TAG-1', rfid: null, grams: '100', tokens: '10', groupHash: null, holderAddress: null }]
+        .filter((container) => !where || where.tagId.in.includes(container.tagId))
+    });
+    stub(prisma, 'group', { findMany: async () => [] });
+    fake(prismaService, 'getSkippedLogs', async () => []);
+    fake(prismaService, 'getSyncCheckpoint', async () => 100);
+    fake(eventListenerService, 'getDeploymentBlock', async () => 5);
+    fake(web3Service, 'getPastContractLogs', async () => chain.logs);
+    fake(web3Service, 'getTagIdByHash', async (hash) => (
+      Object.keys(chain.containers).find((tagId) => web3Service.hashIndexedString(tagId) === hash) || null
+    ));
+    fake(web3Service, 'getContainer', async (tagId) => {
+      if (!chain.containers[tagId]) {
+        throw Object.assign(new Error('execution reverted'), { cause: { errorName: 'ContainerDoesNotExist' } });
+      }
+      return chain.containers[tagId];
+    });
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  describe('buildReport', function () {
+    it('reports containers created on-chain up to the listener checkpoint that are missing from the database', async function () {
+      const report = await reconciliationService.buildReport();
+
+      assert.deepStrictEqual(report.mismatches, [{ tagId: 'TAG-2', issue: 'MISSING_IN_DATABASE', chain: chain.containers['TAG-2'] }]);
+      assert.deepStrictEqual(
+        calls.find(([name]) => name === 'getPastContractLogs').slice(1),
+        [['ContainerCreated', 'TokensTransferred'], 5, 100, eventListenerService.chunkSize]
+      );
+      // TAG-1 is in the database, so only TAG-2's hash is looked up
+      assert.deepStrictEqual(calls.filter(([name]) => name === 'getTagIdByHash').map(([, hash]) => hash), [web3Service.hashIndexedString('TAG-2')]);
+    });
+
+    it('checks requested tag IDs missing from the database on-chain without scanning logs', async function () {
+      const report = await reconciliationService.buildReport(['TAG-1', 'TAG-2', 'TAG-3']);
+
+      assert.deepStrictEqual(report.mismatches.map(({ tagId, issue }) => ({ tagId, issue })), [{ tagId: 'TAG-2', issue: 'MISSING_IN_DATABASE' }]);
+      assert.ok(!calls.some(([name]) => name === 'getPastContractLogs'));
+    });
+
+    it('reports a field mismatch and a container missing on-chain', async function () {
+      chain.containers['TAG-1'] = chainContainer('TAG-1', 90);
+      chain.logs = [];
+      delete chain.containers['TAG-2'];
+
+      const report = await reconciliationService.buildReport();
+      assert.deepStrictEqual(report.mismatches.map(({ issue }) => issue), ['FIELD_MISMATCH']);
+      assert.deepStrictEqual(report.mismatches[0].fields.grams, { database: '100', chain: '90' });
+
+      delete chain.containers['TAG-1'];
+      assert.strictEqual((await reconciliationService.buildReport()).mismatches[0].issue, 'MISSING_ON_CHAIN');
+    });
+  });
+
+  describe('repair', function () {
+    it('creates the containers missing from the database from their on-chain state', async function () {
+      fake(prismaService, 'verifyAndSyncContainer', async (tagId, data) => ({ ...data }));
+
+      const result = await reconciliationService.repair();
+
+      assert.deepStrictEqual(calls.find(([name]) => name === 'verifyAndSyncContainer').slice(1), ['TAG-2', chain.containers['TAG-2']]);
+      assert.deepStrictEqual(result.repaired.map(({ tagId, issue }) => ({ tagId, issue })), [{ tagId: 'TAG-2', issue: 'MISSING_IN_DATABASE' }]);
+      assert.deepStrictEqual(result.skipped, []);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const web3Service = require('../src/services/web3Service');
+const reserveService = require('../src/services/reserveService');
+
+describe('reserveService.verifySignature', function () {
+  const auditorAccount = web3Service.web3.eth.accounts.create();
+  const audit = {
+    auditor: { name: 'Vault Audits Ltd', address: auditorAccount.address },
+    vault: 'Zurich',
+    auditedAt: '2026-10-01T00:00:00Z',
+    bars: [{ rfid: 'RFID-1', grams: '1000' }]
+  };
+  const signature = auditorAccount.sign(reserveService.hashAudit(audit)).signature;
+  let originalAddresses;
+
+  beforeEach(function () {
+    originalAddresses = reserveService.auditorAddresses;
+  });
+
+  afterEach(function () {
+    reserveService.auditorAddresses = originalAddresses;
+  });
+
+  it('accepts an audit signed by an auditor on the allow-list', function () {
+    reserveService.auditorAddresses = [auditorAccount.address.toLowerCase()];
+
+    assert.strictEqual(reserveService.isConfigured(), true);
+    assert.strictEqual(reserveService.verifySignature(audit, signature), null);
+  });
+
+  it('refuses every audit when no auditor is configured', function () {
+    reserveService.auditorAddresses = [];
+
+    assert.strictEqual(reserveService.isConfigured(), false);
+    assert.match(reserveService.verifySignature(audit, signature), /is not an accepted auditor/);
+  });
+
+  it('refuses a signature made by another key', function () {
+    reserveService.auditorAddresses = [auditorAccount.address.toLowerCase()];
+    const other = web3Service.web3.eth.accounts.create();
+
+    assert.strictEqual(
+      reserveService.verifySignature(audit, other.sign(reserveService.hashAudit(audit)).signature),
+      'Signature was not made by the auditor'
+    );
+  });
+});
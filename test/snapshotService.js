@@ -0,0 +1,109 @@
+const assert = require('assert');
+const prismaService = require('../src/services/prismaService');
+const jobService = require('../src/services/jobService');
+const snapshotService = require('../src/services/snapshotService');
+
+describe('snapshotService.takeSnapshot', function () {
+  const restores = [];
+  let calls;
+  let snapshots;
+  let jobs;
+
+  // Replace a service method with a fake that records its arguments
+  const fake = (service, name, implementation = async () => null) => {
+    const original = service[name];
+    service[name] = async (...args) => {
+      calls.push([name, ...args]);
+      return implementation(...args);
+    };
+    restores.push(() => { service[name] = original; });
+  };
+
+  const balances = (grams) => [{ tagId: 'TAG-1', grams, tokens: String(grams / 10) }];
+
+  const takeSnapshot = async (grams) => {
+    fake(prismaService, 'getContainerBalances', async () => balances(grams));
+    calls = [];
+    return snapshotService.takeSnapshot('admin');
+  };
+
+  beforeEach(function () {
+    calls = [];
+    snapshots = [];
+    jobs = {};
+
+    // Snapshots in memory; takenAt is a counter so the order is deterministic
+    let clock = 0;
+    fake(prismaService, 'getSnapshotByRoot', async (root) => snapshots.find((snapshot) => snapshot.root === root) || null);
+    fake(prismaService, 'getLatestSnapshot', async () => (
+      snapshots.reduce((latest, snapshot) => (!latest || snapshot.takenAt > latest.takenAt ? snapshot : latest), null)
+    ));
+    fake(prismaService, 'createSnapshot', async (data) => {
+      const snapshot = { id: `snapshot-${snapshots.length + 1}`, status: 'PENDING', jobId: null, takenAt: ++clock, ...data };
+      snapshots.push(snapshot);
+      return snapshot;
+    });
+    fake(prismaService, 'updateSnapshot', async (id, data) => {
+      const snapshot = snapshots.find((row) => row.id === id);
+      Object.assign(snapshot, data, data.takenAt ? { takenAt: ++clock } : {});
+      return { ...snapshot };
+    });
+    fake(prismaService, 'getJob', async (id) => jobs[id]);
+    fake(jobService, 'enqueue', async (type, payload) => {
+      const job = { id: `job-${Object.keys(jobs).length + 1}`, type, payload, status: 'QUEUED' };
+      jobs[job.id] = job;
+      return job;
+    });
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('stores the snapshot and queues anchoring its root', async function () {
+    const result = await takeSnapshot(100);
+
+    assert.strictEqual(result.created, true);
+    assert.strictEqual(result.snapshot.jobId, result.job.id);
+    assert.deepStrictEqual(result.job.payload, {
+      snapshotId: 'snapshot-1',
+      root: result.snapshot.root,
+      containerCount: 1,
+      totalGrams: '100',
+      totalTokens: '10'
+    });
+  });
+
+  it('returns the latest snapshot without a job while balances are unchanged and its anchoring is in progress', async function () {
+    const first = await takeSnapshot(100);
+    const result = await takeSnapshot(100);
+
+    assert.deepStrictEqual({ id: result.snapshot.id, created: result.created, job: result.job }, { id: first.snapshot.id, created: false, job: null });
+    assert.ok(!calls.some(([name]) => name === 'updateSnapshot' || name === 'enqueue'));
+  });
+
+  it('makes an earlier snapshot the latest again when the balances return to it', async function () {
+    const first = await takeSnapshot(100);
+    await takeSnapshot(90);
+    snapshots.forEach((snapshot) => { snapshot.status = 'ANCHORED'; });
+
+    const result = await takeSnapshot(100);
+
+    assert.strictEqual(result.snapshot.id, first.snapshot.id);
+    assert.strictEqual(result.job, null);
+    assert.strictEqual((await prismaService.getLatestSnapshot('ANCHORED')).id, first.snapshot.id);
+  });
+
+  it('queues anchoring again when the snapshot\'s job failed', async function () {
+    const first = await takeSnapshot(100);
+    jobs[first.job.id].status = 'FAILED';
+
+    const result = await takeSnapshot(100);
+
+    assert.strictEqual(result.created, false);
+    assert.strictEqual(result.snapshot.id, first.snapshot.id);
+    assert.notStrictEqual(result.job.id, first.job.id);
+    assert.strictEqual(result.snapshot.jobId, result.job.id);
+    assert.strictEqual(result.job.payload.root, first.snapshot.root);
+  });
+});
@@ -0,0 +1,245 @@
+const assert = require('assert');
+const web3Service = require('../src/services/web3Service');
+
+const { eth } = web3Service.web3;
+
+// Address as it appears in an indexed event topic
+const addressTopic = (byte) => `0x${'00'.repeat(12)}${byte.repeat(20)}`;
+
+const roleLog = (eventName, blockNumber, logIndex = 0) => ({
+  address: '0x0000000000000000000000000000000000000001',
+  topics: [web3Service.eventTopics[eventName], web3Service.roleHashes.MINTER_ROLE, addressTopic('11'), addressTopic('22')],
+  data: '0x',
+  transactionHash: `0x${String(blockNumber).padStart(64, '0')}`,
+  logIndex,
+  blockNumber,
+  blockHash: `0xhash${blockNumber}`
+});
+
+describe('web3Service.setupEventListeners', function () {
+  const realSetInterval = global.setInterval;
+  const restores = [];
+  let chain;
+  let poll;
+  let checkpoints;
+
+  // Replace a property for one test; prototype methods are restored by deleting the own property
+  const stub = (object, name, value) => {
+    const own = Object.prototype.hasOwnProperty.call(object, name);
+    const original = object[name];
+    object[name] = value;
+    restores.push(() => (own ? (object[name] = original) : delete object[name]));
+  };
+
+  const start = (callbacks, options = {}) => web3Service.setupEventListeners(callbacks, {
+    startBlock: 1,
+    onCheckpoint: async (blockNumber) => checkpoints.push(blockNumber),
+    ...options
+  });
+
+  beforeEach(function () {
+    chain = { head: 10, logs: [] };
+    checkpoints = [];
+
+    stub(web3Service, 'contract', {});
+    stub(web3Service, 'contractAddress', '0x0000000000000000000000000000000000000001');
+    stub(eth, 'getBlockNumber', async () => BigInt(chain.head));
+    stub(eth, 'getBlock', async (blockNumber) => ({ hash: `0xhash${blockNumber}`, timestamp: 0n }));
+    stub(eth, 'getTransaction', async () => null);
+    stub(eth, 'getPastLogs', async ({ fromBlock, toBlock }) => (
+      chain.logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+    ));
+
+    // The poller logs every log it finds and every failure
+    stub(console, 'log', () => {});
+    stub(console, 'error', () => {});
+
+    // Keep the poll function instead of running it every 10 seconds
+    stub(global, 'setInterval', (fn) => {
+      poll = fn;
+      return realSetInterval(() => {}, 60000);
+    });
+  });
+
+  afterEach(function () {
+    clearInterval(web3Service.pollInterval);
+    web3Service.pollInterval = null;
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('does not checkpoint past a log whose handler fails and retries it on the next poll', async function () {
+    chain.logs = [roleLog('RoleGranted', 5)];
+    let calls = 0;
+
+    await start({
+      RoleGranted: async () => {
+        calls += 1;
+        if (calls === 1) throw new Error('database unavailable');
+      }
+    });
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(checkpoints, []);
+
+    await poll();
+    assert.strictEqual(calls, 2);
+    assert.deepStrictEqual(checkpoints, [10]);
+  });
+
+  it('skips a log after maxAttempts failed polls and applies the logs after it', async function () {
+    chain.logs = [roleLog('RoleGranted', 5), roleLog('RoleRevoked', 6)];
+    const skipped = [];
+    let revoked = 0;
+
+    await start({
+      RoleGranted: async () => { throw new Error('cannot apply'); },
+      RoleRevoked: async () => { revoked += 1; }
+    }, {
+      maxAttempts: 3,
+      onSkip: async (log, error, attempts) => skipped.push({ log, message: error.message, attempts })
+    });
+    await poll();
+    assert.deepStrictEqual(skipped, []);
+    assert.deepStrictEqual(checkpoints, []);
+
+    await poll();
+    assert.deepStrictEqual(skipped, [{
+      log: {
+        transactionHash: chain.logs[0].transactionHash,
+        logIndex: 0,
+        blockNumber: 5,
+        blockHash: '0xhash5',
+        eventName: 'RoleGranted'
+      },
+      message: 'cannot apply',
+      attempts: 3
+    }]);
+    assert.strictEqual(revoked, 1);
+    assert.deepStrictEqual(checkpoints, [10]);
+  });
+
+  it('keeps the chunk unprocessed if the skip cannot be recorded', async function () {
+    chain.logs = [roleLog('RoleGranted', 5)];
+
+    await start({
+      RoleGranted: async () => { throw new Error('cannot apply'); }
+    }, {
+      maxAttempts: 1,
+      onSkip: async () => { throw new Error('database unavailable'); }
+    });
+
+    assert.deepStrictEqual(checkpoints, []);
+  });
+
+  it('only applies logs buried under the confirmation depth', async function () {
+    chain.logs = [roleLog('RoleGranted', 6), roleLog('RoleGranted', 9)];
+    const applied = [];
+
+    await start({
+      RoleGranted: async (event) => { applied.push(event.log.blockNumber); }
+    }, { confirmations: 3 });
+    assert.deepStrictEqual(applied, [6]);
+    assert.deepStrictEqual(checkpoints, [7]);
+
+    chain.head = 12;
+    await poll();
+    assert.deepStrictEqual(applied, [6, 9]);
+    assert.deepStrictEqual(checkpoints, [7, 9]);
+  });
+
+  it('processes the blocks after the common ancestor again when checkReorg rewinds', async function () {
+    chain.logs = [roleLog('RoleGranted', 6)];
+    const applied = [];
+    let rewindTo = null;
+
+    await start({
+      RoleGranted: async (event) => { applied.push(event.log.blockHash); }
+    }, { checkReorg: async () => rewindTo });
+    assert.deepStrictEqual(applied, ['0xhash6']);
+
+    // Block 6 was replaced; the log is mined again in it
+    chain.logs = [{ ...roleLog('RoleGranted', 6), blockHash: '0xreorged6' }];
+    rewindTo = 5;
+    await poll();
+
+    assert.deepStrictEqual(applied, ['0xhash6', '0xreorged6']);
+    assert.deepStrictEqual(checkpoints, [10, 10]);
+  });
+});
+
+describe('web3Service fees', function () {
+  const restores = [];
+  const gwei = (amount) => BigInt(amount) * 1000000000n;
+
+  // Replace a property for one test; prototype methods are restored by deleting the own property
+  const stub = (object, name, value) => {
+    const own = Object.prototype.hasOwnProperty.call(object, name);
+    const original = object[name];
+    object[name] = value;
+    restores.push(() => (own ? (object[name] = original) : delete object[name]));
+  };
+
+  // Node whose pending block has the given base fee (none for chains before EIP-1559) and gas price
+  const node = ({ baseFee = null, gasPrice = gwei(20) } = {}) => {
+    stub(eth, 'getBlock', async () => (baseFee === null ? { number: 1n } : { number: 1n, baseFeePerGas: baseFee }));
+    stub(eth, 'getGasPrice', async () => gasPrice);
+  };
+
+  beforeEach(function () {
+    stub(web3Service, 'feeStrategy', 'eip1559');
+    stub(web3Service, 'baseFeeMultiplier', 2);
+    stub(web3Service, 'priorityTip', gwei(2));
+    stub(web3Service, 'feeCap', null);
+  });
+
+  afterEach(function () {
+    restores.splice(0).reverse().forEach((restore) => restore());
+  });
+
+  it('prices legacy transactions at the node\'s gas price', async function () {
+    web3Service.feeStrategy = 'legacy';
+    node({ baseFee: gwei(10) });
+
+    assert.deepStrictEqual(await web3Service.getFeeParams(), { gasPrice: gwei(20) });
+  });
+
+  it('offers the multiplied base fee plus the tip under eip1559', async function () {
+    web3Service.baseFeeMultiplier = 1.5;
+    node({ baseFee: gwei(10) });
+
+    assert.deepStrictEqual(await web3Service.getFeeParams(), { maxFeePerGas: gwei(17), maxPriorityFeePerGas: gwei(2) });
+  });
+
+  it('falls back to the gas price on a chain without a base fee', async function () {
+    node();
+
+    assert.deepStrictEqual(await web3Service.getFeeParams(), { gasPrice: gwei(20) });
+  });
+
+  it('caps the fee, and the tip with it, at FEE_CAP_GWEI', async function () {
+    web3Service.feeCap = gwei(1);
+    node({ baseFee: gwei(10) });
+
+    assert.deepStrictEqual(await web3Service.getFeeParams(), { maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(1) });
+  });
+
+  it('raises a replacement\'s fees by the bump percentage, or to the current fees if those are higher', async function () {
+    node({ baseFee: gwei(10) });
+
+    assert.deepStrictEqual(
+      await web3Service.getReplacementFees({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) }, 10),
+      { maxFeePerGas: gwei(22), maxPriorityFeePerGas: gwei(2) }
+    );
+    assert.deepStrictEqual(
+      await web3Service.getReplacementFees({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(10) }, 10),
+      { maxFeePerGas: gwei(110), maxPriorityFeePerGas: gwei(11) }
+    );
+  });
+
+  it('gives up on a replacement the fee cap leaves no room for', async function () {
+    web3Service.feeStrategy = 'legacy';
+    web3Service.feeCap = gwei(21);
+    node();
+
+    assert.strictEqual(await web3Service.getReplacementFees({ gasPrice: gwei(20) }, 10), null);
+  });
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const webhookService = require('../src/services/webhookService');
+
+describe('webhookService', function () {
+  describe('sign', function () {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256 of the secret', function () {
+      const secret = webhookService.generateSecret();
+      const body = JSON.stringify({ id: '0xabc:3', type: 'container.created' });
+      const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+
+      assert.strictEqual(webhookService.sign(secret, 1700000000, body), expected);
+    });
+
+    it('changes with the timestamp, the body and the secret', function () {
+      const signature = webhookService.sign('whsec_1', 1700000000, '{}');
+
+      assert.notStrictEqual(webhookService.sign('whsec_1', 1700000001, '{}'), signature);
+      assert.notStrictEqual(webhookService.sign('whsec_1', 1700000000, '{ }'), signature);
+      assert.notStrictEqual(webhookService.sign('whsec_2', 1700000000, '{}'), signature);
+    });
+  });
+
+  describe('buildEvent', function () {
+    const log = { transactionHash: '0xabc', logIndex: 3, blockNumber: 12, blockHash: '0xblock' };
+
+    it('identifies the event by its log and includes the block hash', function () {
+      const event = webhookService.buildEvent('ContainerCreated', { log, transactionHash: '0xabc', tagId: 'TAG-1' });
+
+      assert.strictEqual(event.eventId, '0xabc:3');
+      assert.strictEqual(event.eventType, 'container.created');
+      assert.strictEqual(event.blockHash, '0xblock');
+      assert.deepStrictEqual(JSON.parse(event.payload), {
+        id: '0xabc:3',
+        type: 'container.created',
+        transactionHash: '0xabc',
+        logIndex: 3,
+        blockNumber: 12,
+        blockHash: '0xblock',
+        data: { tagId: 'TAG-1' }
+      });
+    });
+
+    it('returns null for events that are not sent to webhooks', function () {
+      assert.strictEqual(webhookService.buildEvent('Approval', { log }), null);
+    });
+  });
+});